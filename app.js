@@ -1,35 +1,82 @@
+import { getEffect, getEffects, onEffectRegistered, getDefaultParams } from './effects.js';
+import { MAX_CURVE_POINTS, createDefaultGrade, buildCurveTable, parseCubeLUT } from './color-grading.js';
+import { hexToRgb, rgbToHex, hueToRgb, invertColor, getSwatchContrast } from './color-utils.js';
+import {
+    FACE_SIGNALS, MAPPING_TARGETS, MAPPING_CURVES, getFaceSignal, getMappingTarget, createMapping,
+    extractFaceSignals, createMappingRunner, getFaceBounds, matchFaceTracks
+} from './face-signals.js';
+import {
+    MAX_EFFECT_LAYERS, GESTURE_ACTIONS, createDefaultSettings, createEffectLayer, normalizeSettings,
+    encodeSettings, decodeSettings, parsePresets, serializePresets
+} from './settings.js';
+import { BLINK_GESTURES, DEFAULT_EAR_BASELINE, createBlinkDetector } from './blink-detector.js';
+import { createMotionDetector } from './motion-detector.js';
+import { createDebugOverlay } from './debug-overlay.js';
+import { createFaceMesh } from './face-mesh-loader.js';
+import { createPerformanceGovernor } from './performance-governor.js';
+import { BLEND_MODES, createPipeline } from './pipeline.js';
+import { encodeGif } from './gif-encoder.js';
+import {
+    createBroadcastSignaling, createLoopbackSignaling, createStreamSender, createStreamReceiver
+} from './stream-output.js';
+import { createRemoteClient } from './remote-control.js';
+import { createMidiMapper, describeMidiBinding, openMidiInputs } from './midi-control.js';
+
 // State
 let stream = null;
 let cameraActive = false;
-let currentEffect = 'ascii';
-let accentColor = { r: 0, g: 122, b: 255 };
+let mediaSource = null; // 'video', 'image' or 'screen' when not using the camera
+// The current look: effect, params, adjustments, accent and toggles (see settings.js)
+const settings = createDefaultSettings();
 let baseHue = 210; // Default blue hue
-let intensity = 100;
-let brightness = 100;
-let contrast = 100;
+// The URL hash mirrors settings once any shared look has been restored
+let hashReady = false;
+let hashUpdateTimer = null;
+let lastHash = '';
 let frameCount = 0;
 let totalFrames = 0;
 let lastTime = performance.now();
 let fps = 0;
 let facingMode = 'user';
 let panelOpen = false;
-let noiseTime = 0;
+let outputWidth = 1920;
+let outputHeight = 1080;
+// Native size of the current source; the output is this times the adaptive
+// quality scale
+let sourceWidth = 1920;
+let sourceHeight = 1080;
+
+// Rendering state: a worker owns the output canvas when OffscreenCanvas is
+// available, otherwise the same pipeline runs on the main thread
+let renderWorker = null;
+let workerBusy = false;
+let pipeline = null;
+const workerRequests = new Map();
+let workerRequestId = 0;
 
 // Interactive features state
-let colorShiftEnabled = false;
-let blinkInvertEnabled = false;
 let faceDetector = null;
-let headTiltAngle = 0;
+const mappingRunner = createMappingRunner();
+
+// Tracked faces, oldest first. The first is the primary face: it drives the
+// global accent, mappings and blink detector. Extra faces get their own.
+let faceTracks = [];
+let nextFaceId = 0;
 
-// Blink detection state
-let blinkCooldown = false;
-let lastEAR = 1;
-let eyesWereClosed = false;
+// Blink gestures (see blink-detector.js); created once settings are loaded
+let blinkDetector = null;
+
+// Landmark debug overlay (see debug-overlay.js), a separate layer over the output
+let debugOverlayOn = false;
+let debugInCaptures = false;
+// Landmarks being recorded as a test fixture, or null
+let landmarkRecording = null;
+// Remote control connection (see remote-control.js), or null
+let remoteClient = null;
 
 // Elements
 const video = document.getElementById('video-feed');
-const canvas = document.getElementById('canvas-output');
-const ctx = canvas.getContext('2d', { willReadFrequently: true });
+let canvas = document.getElementById('canvas-output');
 const startContainer = document.getElementById('start-container');
 const controlPanel = document.getElementById('control-panel');
 const panelExpanded = document.getElementById('panel-expanded');
@@ -39,92 +86,224 @@ const statusText = document.getElementById('status-text');
 
 // Initialize canvas and start render loop immediately
 function init() {
-    canvas.width = 1920;
-    canvas.height = 1080;
-    document.getElementById('res-value').textContent = '1920×1080';
+    document.getElementById('res-value').textContent = `${outputWidth}×${outputHeight}`;
+
+    // Effect modules have all registered by now, so a shared look can be restored
+    loadSettingsFromHash();
+    hashReady = true;
+    registerServiceWorker();
+
+    // Reconnect remote control once the HUD can report a failure
+    if (remoteSettings.enabled && remoteSettings.url) startRemote();
+
+    if (canvas.transferControlToOffscreen && typeof Worker !== 'undefined') {
+        startRenderWorker();
+    } else {
+        startMainThreadPipeline();
+    }
+
     requestAnimationFrame(processFrame);
 }
 
-// Generate animated noise (optimized with smaller buffer)
-function generateNoise() {
-    // Use a smaller buffer for performance
-    const scale = 4;
-    const w = Math.ceil(canvas.width / scale);
-    const h = Math.ceil(canvas.height / scale);
-    
-    const tempCanvas = document.createElement('canvas');
-    const tempCtx = tempCanvas.getContext('2d');
-    tempCanvas.width = w;
-    tempCanvas.height = h;
-    
-    const imageData = tempCtx.createImageData(w, h);
-    const data = imageData.data;
-    noiseTime += 0.02;
+function startMainThreadPipeline() {
+    pipeline = createPipeline(canvas);
+    pipeline.resize(outputWidth, outputHeight);
+    pipeline.setLUT(colorLUT);
+    document.getElementById('renderer-value').textContent = pipeline.rendererName;
+}
 
-    for (let y = 0; y < h; y++) {
-        for (let x = 0; x < w; x++) {
-            const i = (y * w + x) * 4;
-            
-            // Flowing noise with multiple frequencies
-            const nx = x * 0.02;
-            const ny = y * 0.02;
-            
-            const wave1 = Math.sin(nx + noiseTime) * Math.cos(ny + noiseTime * 0.7);
-            const wave2 = Math.sin(nx * 2.5 - noiseTime * 1.3) * Math.cos(ny * 2.5 + noiseTime * 0.5);
-            const grain = (Math.random() - 0.5) * 0.3;
-            
-            const combined = (wave1 * 0.6 + wave2 * 0.3 + grain * 0.1) * 0.5 + 0.5;
-            const value = Math.floor(combined * 35 + 8);
-            
-            data[i] = value;
-            data[i + 1] = value;
-            data[i + 2] = value + Math.floor(combined * 15); // Blue tint
-            data[i + 3] = 255;
+function startRenderWorker() {
+    let offscreen;
+    try {
+        renderWorker = new Worker('render-worker.js', { type: 'module' });
+        offscreen = canvas.transferControlToOffscreen();
+    } catch (err) {
+        console.warn('Render worker unavailable, rendering on the main thread:', err);
+        if (renderWorker) renderWorker.terminate();
+        renderWorker = null;
+        startMainThreadPipeline();
+        return;
+    }
+
+    renderWorker.onmessage = onWorkerMessage;
+    renderWorker.onerror = (e) => {
+        console.error('Render worker failed, rendering on the main thread:', e.message);
+        fallbackToMainThread();
+    };
+
+    // Effect modules added with <script type="module" data-effect> are loaded in the worker too
+    const scripts = Array.from(document.querySelectorAll('script[data-effect]'), script => script.src);
+    renderWorker.postMessage({
+        type: 'init',
+        canvas: offscreen,
+        width: outputWidth,
+        height: outputHeight,
+        scripts,
+        state: getRenderState(),
+        lut: colorLUT
+    }, [offscreen]);
+}
+
+// A transferred canvas can't get a context again, so swap in a fresh element
+function fallbackToMainThread() {
+    if (renderWorker) {
+        renderWorker.terminate();
+        renderWorker = null;
+    }
+    workerBusy = false;
+    workerRequests.forEach(request => request.reject(new Error('Render worker stopped')));
+    workerRequests.clear();
+
+    stopStreamOutputs();
+    const replacement = canvas.cloneNode(false);
+    canvas.replaceWith(replacement);
+    canvas = replacement;
+    startMainThreadPipeline();
+}
+
+function onWorkerMessage(e) {
+    const msg = e.data;
+
+    if (msg.type === 'failed') {
+        console.error('Render worker failed to start, rendering on the main thread:', msg.message);
+        fallbackToMainThread();
+        return;
+    }
+
+    if (msg.type === 'ready' || msg.type === 'rendered') {
+        document.getElementById('renderer-value').textContent = msg.renderer;
+        if (msg.type === 'rendered') {
+            workerBusy = false;
+            recordTimings(msg.timings);
+            countFrame();
         }
+        return;
     }
-    
-    tempCtx.putImageData(imageData, 0, 0);
-    
-    // Scale up to full canvas
-    ctx.imageSmoothingEnabled = true;
-    ctx.drawImage(tempCanvas, 0, 0, canvas.width, canvas.height);
+
+    const request = workerRequests.get(msg.id);
+    if (request) {
+        workerRequests.delete(msg.id);
+        if (msg.type === 'error') {
+            request.reject(new Error(msg.message));
+        } else {
+            request.resolve(msg.result);
+        }
+    }
+}
+
+function requestFromWorker(message) {
+    return new Promise((resolve, reject) => {
+        const id = ++workerRequestId;
+        workerRequests.set(id, { resolve, reject });
+        renderWorker.postMessage({ ...message, id });
+    });
+}
+
+// Everything the pipeline needs to render a frame
+function getRenderState() {
+    return {
+        effect: settings.effect,
+        params: getEffectParams(settings.effect),
+        intensity: settings.intensity,
+        brightness: settings.brightness,
+        contrast: settings.contrast,
+        grade: settings.grade,
+        accentColor: settings.accentColor,
+        faces: getFaceRegions(),
+        faceRegion: settings.faceRegion,
+        layers: settings.layers.filter(layer => layer.enabled)
+    };
+}
+
+// Send updated settings to the worker whenever a render setting changes
+function syncRenderState() {
+    if (renderWorker) {
+        renderWorker.postMessage({ type: 'settings', state: getRenderState() });
+    }
+    scheduleHashUpdate();
+}
+
+// Offline support; service workers need http(s)
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !location.protocol.startsWith('http')) return;
+    navigator.serviceWorker.register('sw.js').catch(err => {
+        console.warn('Service worker registration failed:', err);
+    });
+}
+
+function setOutputSize(width, height) {
+    sourceWidth = width;
+    sourceHeight = height;
+    applyOutputSize();
+}
+
+// Resize the pipeline to the source size at the current quality scale
+function applyOutputSize() {
+    const scale = getRenderScale();
+    const width = Math.max(2, Math.round(sourceWidth * scale));
+    const height = Math.max(2, Math.round(sourceHeight * scale));
+    outputWidth = width;
+    outputHeight = height;
+    document.getElementById('res-value').textContent = `${width}×${height}`;
+
+    if (renderWorker) {
+        renderWorker.postMessage({ type: 'resize', width, height });
+    } else if (pipeline) {
+        pipeline.resize(width, height);
+    }
+    debugOverlay.resize(width, height);
+    layoutMotionOverlay();
+}
+
+// Full-resolution PNG of the current output
+function captureImage() {
+    const capture = renderWorker
+        ? requestFromWorker({ type: 'capture' })
+        : new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    return debugOverlayOn && debugInCaptures ? capture.then(addDebugOverlay) : capture;
+}
+
+// Flatten the debug layer onto a captured PNG
+async function addDebugOverlay(blob) {
+    const bitmap = await createImageBitmap(blob);
+    const composite = document.createElement('canvas');
+    composite.width = bitmap.width;
+    composite.height = bitmap.height;
+    const compositeCtx = composite.getContext('2d');
+    compositeCtx.drawImage(bitmap, 0, 0);
+    compositeCtx.drawImage(debugCanvas, 0, 0, composite.width, composite.height);
+    bitmap.close();
+    return new Promise(resolve => composite.toBlob(resolve, 'image/png'));
+}
+
+// Text (or other) export of the current frame from the active effect
+function exportEffectFrame(exportId) {
+    if (renderWorker) return requestFromWorker({ type: 'export', exportId });
+    return new Promise(resolve => resolve(pipeline.exportFrame(exportId, getRenderState())));
+}
+
+// Scaled ImageBitmap of the current output
+function grabFrame(width, height) {
+    if (renderWorker) return requestFromWorker({ type: 'snapshot', width, height });
+    return createImageBitmap(canvas, { resizeWidth: width, resizeHeight: height });
 }
 
 // Initialize camera
 async function startCamera() {
-    // Try with ideal constraints first, then fall back to basic constraints
-    const constraints = [
-        {
-            video: {
-                width: { ideal: 1920 },
-                height: { ideal: 1080 },
-                facingMode: facingMode
-            }
-        },
-        {
-            video: {
-                width: { ideal: 1280 },
-                height: { ideal: 720 },
-                facingMode: facingMode
-            }
-        },
-        {
-            video: {
-                facingMode: facingMode
-            }
-        },
-        {
-            video: true
-        }
-    ];
-
+    // Already live; restartCamera() stops it first
+    if (cameraActive) return;
+    const constraints = buildCameraConstraints();
     let lastError = null;
 
     for (const constraint of constraints) {
+        // Only this attempt's stream is stopped if it fails
+        let pending = null;
         try {
-            stream = await navigator.mediaDevices.getUserMedia(constraint);
+            pending = await navigator.mediaDevices.getUserMedia(constraint);
+            // A file or screen keeps playing until the camera is granted
+            stopMediaSource();
 
-            video.srcObject = stream;
+            video.srcObject = pending;
             video.style.display = 'block';
             
             // Wait for video to be ready before hiding start button
@@ -137,24 +316,26 @@ async function startCamera() {
                 setTimeout(() => reject(new Error('Video load timeout')), 5000);
             });
 
-            canvas.width = video.videoWidth;
-            canvas.height = video.videoHeight;
-            document.getElementById('res-value').textContent =
-                `${video.videoWidth}×${video.videoHeight}`;
+            setOutputSize(video.videoWidth, video.videoHeight);
+            stream = pending;
             cameraActive = true;
+
+            // Restart on a fallback camera if this one is unplugged
+            stream.getVideoTracks()[0].addEventListener('ended', onCameraEnded);
+            refreshCameraDevices();
             
             startContainer.classList.add('hidden');
             statusDot.classList.add('live');
             statusText.textContent = 'Live';
+            updateSourceButtons();
             
             return; // Success, exit the function
         } catch (err) {
             lastError = err;
             console.warn('Camera constraint failed:', constraint, err);
             // Stop any partial stream before trying next constraint
-            if (stream) {
-                stream.getTracks().forEach(track => track.stop());
-                stream = null;
+            if (pending) {
+                pending.getTracks().forEach(track => track.stop());
             }
             continue; // Try next constraint
         }
@@ -179,13 +360,13 @@ async function startCamera() {
         }
     }
     
-    statusText.textContent = 'Error';
+    // A file or screen that was playing is still live
+    if (!mediaSource) {
+        statusText.textContent = 'Error';
+    }
     alert(message);
 }
 
-// Start on load
-init();
-
 // Draggable button with physics
 const btnStart = document.getElementById('btn-start');
 const statusIndicator = document.getElementById('status-indicator');
@@ -377,459 +558,3263 @@ window.addEventListener('resize', () => {
 });
 
 // Panel expand/collapse
-expandBtn.addEventListener('click', () => {
-    panelOpen = !panelOpen;
+function setPanelOpen(open) {
+    panelOpen = open;
     panelExpanded.classList.toggle('open', panelOpen);
     expandBtn.classList.toggle('open', panelOpen);
-});
+}
+
+expandBtn.addEventListener('click', () => setPanelOpen(!panelOpen));
 
 // Close panel when clicking outside
 document.addEventListener('click', (e) => {
-    if (panelOpen && !e.target.closest('.control-panel')) {
-        panelOpen = false;
-        panelExpanded.classList.remove('open');
-        expandBtn.classList.remove('open');
+    if (panelOpen && !e.target.closest('.control-panel') && !e.target.closest('.command-palette')) {
+        setPanelOpen(false);
     }
 });
 
 // Flip camera
 document.getElementById('flip-btn').addEventListener('click', async () => {
-    if (stream) {
-        stream.getTracks().forEach(track => track.stop());
-        cameraActive = false;
-    }
+    stopCamera();
     facingMode = facingMode === 'user' ? 'environment' : 'user';
-    await startCamera();
-});
 
-// Effect buttons
-document.querySelectorAll('.effect-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-        document.querySelectorAll('.effect-btn').forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-        currentEffect = btn.dataset.effect;
-        document.getElementById('current-effect').textContent =
-            currentEffect.charAt(0).toUpperCase() + currentEffect.slice(1);
-    });
-});
-
-// Color picker
-const colorInput = document.getElementById('color-input');
-const colorBar = document.getElementById('color-bar');
-const colorHex = document.getElementById('color-hex');
+    // Flipping picks by facing mode, so drop any specific device choice
+    cameraSettings.deviceId = '';
+    saveCameraSettings();
+    renderCameraDevices();
 
-function hexToRgb(hex) {
-    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-    return result ? {
-        r: parseInt(result[1], 16),
-        g: parseInt(result[2], 16),
-        b: parseInt(result[3], 16)
-    } : { r: 0, g: 122, b: 255 };
-}
+    await startCamera();
+});
 
-function getLuminance(r, g, b) {
-    return (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+function stopCamera() {
+    if (stream) {
+        stream.getTracks().forEach(track => {
+            track.removeEventListener('ended', onCameraEnded);
+            track.stop();
+        });
+        stream = null;
+    }
+    cameraActive = false;
 }
 
-function updateColorBar(hex) {
-    colorBar.style.background = hex;
-    colorHex.textContent = hex.toUpperCase();
-    accentColor = hexToRgb(hex);
-    
-    // Adjust text color based on background luminance
-    const luminance = getLuminance(accentColor.r, accentColor.g, accentColor.b);
-    const textColor = luminance > 0.5 ? 'rgba(0,0,0,0.8)' : 'rgba(255,255,255,0.95)';
-    const iconBg = luminance > 0.5 ? 'rgba(0,0,0,0.15)' : 'rgba(255,255,255,0.25)';
-    
-    colorBar.style.color = textColor;
-    colorBar.querySelector('.color-bar-icon').style.background = iconBg;
-    colorBar.querySelector('.color-bar-icon svg').style.fill = textColor;
+// Camera devices and capture presets
+const CAMERA_SETTINGS_KEY = 'camera-settings';
+const RESOLUTION_PRESETS = {
+    '2160': { width: 3840, height: 2160 },
+    '1080': { width: 1920, height: 1080 },
+    '720': { width: 1280, height: 720 },
+    '480': { width: 640, height: 480 }
+};
+const cameraDeviceSelect = document.getElementById('camera-device');
+const cameraResolutionSelect = document.getElementById('camera-resolution');
+const cameraFpsSelect = document.getElementById('camera-fps');
+let cameraDevices = [];
+let cameraSettings = loadCameraSettings();
+
+function loadCameraSettings() {
+    const defaults = { deviceId: '', resolution: 'auto', frameRate: 'auto' };
+    try {
+        return { ...defaults, ...JSON.parse(localStorage.getItem(CAMERA_SETTINGS_KEY)) };
+    } catch (err) {
+        return defaults;
+    }
 }
 
-colorInput.addEventListener('input', (e) => {
-    updateColorBar(e.target.value);
-});
-
-// Initialize color bar
-updateColorBar('#007AFF');
-
-// Sliders
-document.getElementById('intensity').addEventListener('input', (e) => {
-    intensity = parseInt(e.target.value);
-    document.getElementById('intensity-value').textContent = intensity + '%';
-});
-
-document.getElementById('brightness').addEventListener('input', (e) => {
-    brightness = parseInt(e.target.value);
-    document.getElementById('brightness-value').textContent = brightness + '%';
-});
-
-document.getElementById('contrast').addEventListener('input', (e) => {
-    contrast = parseInt(e.target.value);
-    document.getElementById('contrast-value').textContent = contrast + '%';
-});
-
-// Interactive toggles
-document.getElementById('color-shift-btn').addEventListener('click', async () => {
-    colorShiftEnabled = !colorShiftEnabled;
-    document.getElementById('color-shift-btn').classList.toggle('active', colorShiftEnabled);
-
-    if (colorShiftEnabled && !faceDetector) {
-        await initFaceDetection();
+function saveCameraSettings() {
+    try {
+        localStorage.setItem(CAMERA_SETTINGS_KEY, JSON.stringify(cameraSettings));
+    } catch (err) {
+        console.warn('Could not save camera settings:', err);
     }
-});
-
-document.getElementById('blink-invert-btn').addEventListener('click', async () => {
-    blinkInvertEnabled = !blinkInvertEnabled;
-    document.getElementById('blink-invert-btn').classList.toggle('active', blinkInvertEnabled);
+}
 
-    if (blinkInvertEnabled && !faceDetector) {
-        await initFaceDetection();
+// Preferred constraints first, then progressively looser fallbacks
+function buildCameraConstraints() {
+    const base = cameraSettings.deviceId
+        ? { deviceId: { exact: cameraSettings.deviceId } }
+        : { facingMode: facingMode };
+    if (cameraSettings.frameRate !== 'auto') {
+        base.frameRate = { ideal: parseInt(cameraSettings.frameRate) };
     }
-});
 
-// Face mesh initialization
-let faceMeshReady = false;
+    const preset = RESOLUTION_PRESETS[cameraSettings.resolution];
+    const sizes = preset ? [preset] : [RESOLUTION_PRESETS['1080'], RESOLUTION_PRESETS['720']];
+    const constraints = sizes.map(size => ({
+        video: { ...base, width: { ideal: size.width }, height: { ideal: size.height } }
+    }));
+    constraints.push({ video: base });
 
-async function initFaceDetection() {
-    if (typeof FaceMesh === 'undefined') {
-        console.warn('MediaPipe Face Mesh not loaded');
-        return;
+    // The chosen device may be gone; fall back to any camera
+    if (cameraSettings.deviceId) {
+        constraints.push({ video: { facingMode: facingMode } });
     }
+    constraints.push({ video: true });
+    return constraints;
+}
 
+async function refreshCameraDevices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return;
     try {
-        faceDetector = new FaceMesh({
-            locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${file}`
-        });
-
-        faceDetector.setOptions({
-            maxNumFaces: 1,
-            refineLandmarks: true,
-            minDetectionConfidence: 0.5,
-            minTrackingConfidence: 0.5
-        });
-
-        faceDetector.onResults((results) => {
-            faceMeshReady = true;
-            onFaceResults(results);
-        });
-
-        console.log('Face mesh initialized, waiting for first detection...');
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        cameraDevices = devices.filter(device => device.kind === 'videoinput');
     } catch (err) {
-        console.error('Failed to initialize face mesh:', err);
-        faceDetector = null;
+        console.warn('Could not list cameras:', err);
+        cameraDevices = [];
     }
+    renderCameraDevices();
 }
 
-// Process face mesh results
-function onFaceResults(results) {
-    if (!colorShiftEnabled && !blinkInvertEnabled) return;
+function renderCameraDevices() {
+    cameraDeviceSelect.innerHTML = '';
+    cameraDeviceSelect.add(new Option('Auto', ''));
+    cameraDevices.forEach((device, i) => {
+        // Labels stay empty until camera permission has been granted
+        cameraDeviceSelect.add(new Option(device.label || `Camera ${i + 1}`, device.deviceId));
+    });
 
-    if (results.multiFaceLandmarks && results.multiFaceLandmarks.length > 0) {
-        const landmarks = results.multiFaceLandmarks[0];
+    const known = cameraDevices.some(device => device.deviceId === cameraSettings.deviceId);
+    cameraDeviceSelect.value = known ? cameraSettings.deviceId : '';
+}
 
-        // Head tilt detection using eye positions
-        if (colorShiftEnabled) {
-            // Use eye corners for tilt: left eye outer (263), right eye outer (33)
-            const leftEyeOuter = landmarks[263];
-            const rightEyeOuter = landmarks[33];
+async function restartCamera() {
+    if (!cameraActive) return;
+    stopCamera();
+    await startCamera();
+}
 
-            const deltaY = leftEyeOuter.y - rightEyeOuter.y;
-            const deltaX = leftEyeOuter.x - rightEyeOuter.x;
-            const angle = Math.atan2(deltaY, deltaX) * (180 / Math.PI);
+function onCameraEnded() {
+    console.warn('Camera track ended, switching to another camera');
+    restartCamera();
+}
 
-            headTiltAngle = headTiltAngle * 0.7 + angle * 0.3;
+cameraDeviceSelect.addEventListener('change', () => {
+    cameraSettings.deviceId = cameraDeviceSelect.value;
+    saveCameraSettings();
+    restartCamera();
+});
 
-            // Require more tilt (-60 to +60 degrees) to reach full color range
-            const normalizedTilt = Math.max(-60, Math.min(60, headTiltAngle));
-            const hue = ((normalizedTilt + 60) / 120) * 360;
+cameraResolutionSelect.addEventListener('change', () => {
+    cameraSettings.resolution = cameraResolutionSelect.value;
+    saveCameraSettings();
+    restartCamera();
+});
 
-            updateAccentColorFromHue(hue);
-        }
+cameraFpsSelect.addEventListener('change', () => {
+    cameraSettings.frameRate = cameraFpsSelect.value;
+    saveCameraSettings();
+    restartCamera();
+});
 
-        // Blink detection using Eye Aspect Ratio (EAR)
-        if (blinkInvertEnabled) {
-            detectBlinkEAR(landmarks);
-        }
-    }
+if (navigator.mediaDevices) {
+    navigator.mediaDevices.addEventListener('devicechange', refreshCameraDevices);
 }
 
-// Calculate Eye Aspect Ratio (EAR) for blink detection
-function calculateEAR(landmarks, eyeIndices) {
-    // eyeIndices: [p1, p2, p3, p4, p5, p6] - points around the eye
-    // EAR = (|p2-p6| + |p3-p5|) / (2 * |p1-p4|)
-    const p1 = landmarks[eyeIndices[0]];
-    const p2 = landmarks[eyeIndices[1]];
-    const p3 = landmarks[eyeIndices[2]];
-    const p4 = landmarks[eyeIndices[3]];
-    const p5 = landmarks[eyeIndices[4]];
-    const p6 = landmarks[eyeIndices[5]];
+cameraResolutionSelect.value = cameraSettings.resolution;
+cameraFpsSelect.value = cameraSettings.frameRate;
+refreshCameraDevices();
 
-    const vertical1 = Math.sqrt(Math.pow(p2.x - p6.x, 2) + Math.pow(p2.y - p6.y, 2));
-    const vertical2 = Math.sqrt(Math.pow(p3.x - p5.x, 2) + Math.pow(p3.y - p5.y, 2));
-    const horizontal = Math.sqrt(Math.pow(p1.x - p4.x, 2) + Math.pow(p1.y - p4.y, 2));
+// Input sources: local video files, images and screen capture
+const sourceFileInput = document.getElementById('source-file');
+const MAX_IMAGE_SIZE = 3840;
+let sourceImage = null;
+let sourceObjectUrl = null;
+let screenStream = null;
 
-    if (horizontal === 0) return 1;
-    return (vertical1 + vertical2) / (2 * horizontal);
+// Video element sources can also drive face tracking
+function isVideoSourceActive() {
+    return cameraActive || mediaSource === 'video' || mediaSource === 'screen';
 }
 
-// Detect blinks using Eye Aspect Ratio
-function detectBlinkEAR(landmarks) {
-    if (blinkCooldown) return;
-
-    // Face Mesh eye landmark indices for EAR calculation
-    // Right eye: outer corner(33), top(159), top(158), inner corner(133), bottom(153), bottom(145)
-    // Left eye: inner corner(362), top(386), top(385), outer corner(263), bottom(380), bottom(374)
-    const rightEyeIndices = [33, 159, 158, 133, 153, 145];
-    const leftEyeIndices = [362, 386, 385, 263, 380, 374];
-
-    const rightEAR = calculateEAR(landmarks, rightEyeIndices);
-    const leftEAR = calculateEAR(landmarks, leftEyeIndices);
-    const avgEAR = (rightEAR + leftEAR) / 2;
-
-    // Higher threshold = more sensitive (0.25 catches more blinks)
-    const EAR_THRESHOLD = 0.25;
+function getFrameSource() {
+    if (cameraActive && stream) return video;
+    if (mediaSource === 'image') return sourceImage;
+    if (mediaSource === 'video' || mediaSource === 'screen') return video;
+    return null;
+}
 
-    if (avgEAR < EAR_THRESHOLD && lastEAR >= EAR_THRESHOLD) {
-        // Eyes just closed - trigger immediately on the closing edge
-        invertAccentColor();
-        blinkCooldown = true;
-        setTimeout(() => { blinkCooldown = false; }, 400);
+function stopMediaSource() {
+    if (screenStream) {
+        screenStream.getTracks().forEach(track => track.stop());
+        screenStream = null;
     }
-
-    lastEAR = avgEAR;
+    if (sourceImage) {
+        sourceImage.close();
+        sourceImage = null;
+    }
+    if (sourceObjectUrl) {
+        video.pause();
+        video.removeAttribute('src');
+        video.load();
+        URL.revokeObjectURL(sourceObjectUrl);
+        sourceObjectUrl = null;
+    }
+    mediaSource = null;
 }
 
-// Invert the accent color
-function invertAccentColor() {
-    accentColor = {
-        r: 255 - accentColor.r,
-        g: 255 - accentColor.g,
-        b: 255 - accentColor.b
-    };
-
-    // Update color bar UI
-    const hex = `#${accentColor.r.toString(16).padStart(2, '0')}${accentColor.g.toString(16).padStart(2, '0')}${accentColor.b.toString(16).padStart(2, '0')}`;
-    colorBar.style.background = hex;
-    colorHex.textContent = hex.toUpperCase();
-    colorInput.value = hex;
-
-    const luminance = getLuminance(accentColor.r, accentColor.g, accentColor.b);
-    const textColor = luminance > 0.5 ? 'rgba(0,0,0,0.8)' : 'rgba(255,255,255,0.95)';
-    const iconBg = luminance > 0.5 ? 'rgba(0,0,0,0.15)' : 'rgba(255,255,255,0.25)';
-    colorBar.style.color = textColor;
-    colorBar.querySelector('.color-bar-icon').style.background = iconBg;
-    colorBar.querySelector('.color-bar-icon svg').style.fill = textColor;
+function setSourceLive(type, label) {
+    mediaSource = type;
+    startContainer.classList.add('hidden');
+    statusDot.classList.add('live');
+    statusText.textContent = label;
+    updateSourceButtons();
 }
 
-// Convert HSL hue to RGB and update accent color
-function updateAccentColorFromHue(hue) {
-    const s = 1.0; // Full saturation
-    const l = 0.5; // Medium lightness
-
-    const c = (1 - Math.abs(2 * l - 1)) * s;
-    const x = c * (1 - Math.abs((hue / 60) % 2 - 1));
-    const m = l - c / 2;
-
-    let r, g, b;
-    if (hue < 60) { r = c; g = x; b = 0; }
-    else if (hue < 120) { r = x; g = c; b = 0; }
-    else if (hue < 180) { r = 0; g = c; b = x; }
-    else if (hue < 240) { r = 0; g = x; b = c; }
-    else if (hue < 300) { r = x; g = 0; b = c; }
-    else { r = c; g = 0; b = x; }
-
-    accentColor = {
-        r: Math.round((r + m) * 255),
-        g: Math.round((g + m) * 255),
-        b: Math.round((b + m) * 255)
-    };
-
-    // Update color bar UI
-    const hex = `#${accentColor.r.toString(16).padStart(2, '0')}${accentColor.g.toString(16).padStart(2, '0')}${accentColor.b.toString(16).padStart(2, '0')}`;
-    colorBar.style.background = hex;
-    colorHex.textContent = hex.toUpperCase();
-    colorInput.value = hex;
-
-    const luminance = getLuminance(accentColor.r, accentColor.g, accentColor.b);
-    const textColor = luminance > 0.5 ? 'rgba(0,0,0,0.8)' : 'rgba(255,255,255,0.95)';
-    const iconBg = luminance > 0.5 ? 'rgba(0,0,0,0.15)' : 'rgba(255,255,255,0.25)';
-    colorBar.style.color = textColor;
-    colorBar.querySelector('.color-bar-icon').style.background = iconBg;
-    colorBar.querySelector('.color-bar-icon svg').style.fill = textColor;
+function updateSourceButtons() {
+    const active = cameraActive ? 'camera' : mediaSource;
+    document.querySelectorAll('[data-source]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.source === active);
+    });
 }
 
-// Run face detection on video frame
-let faceDetectionPending = false;
+async function playVideoElement() {
+    await new Promise((resolve, reject) => {
+        video.onloadedmetadata = () => {
+            video.play().then(resolve).catch(reject);
+        };
+        video.onerror = () => reject(new Error('Could not load video'));
+    });
+    setOutputSize(video.videoWidth, video.videoHeight);
+}
 
-async function runFaceDetection() {
-    if ((!colorShiftEnabled && !blinkInvertEnabled) || !faceDetector || !cameraActive || video.readyState < 2) {
+async function loadSourceFile(file) {
+    if (!file) return;
+    const isVideo = file.type.startsWith('video/');
+    const isImage = file.type.startsWith('image/');
+    if (!isVideo && !isImage) {
+        alert('Please choose a video or image file.');
         return;
     }
 
-    // Prevent overlapping detections
-    if (faceDetectionPending) return;
-    faceDetectionPending = true;
+    stopCamera();
+    stopMediaSource();
 
     try {
-        await faceDetector.send({ image: video });
+        if (isVideo) {
+            sourceObjectUrl = URL.createObjectURL(file);
+            video.srcObject = null;
+            video.src = sourceObjectUrl;
+            video.loop = true;
+            video.muted = true;
+            await playVideoElement();
+            setSourceLive('video', 'Video File');
+        } else {
+            const image = await createImageBitmap(file);
+            const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(image.width, image.height));
+            sourceImage = scale < 1
+                ? await createImageBitmap(image, {
+                    resizeWidth: Math.round(image.width * scale),
+                    resizeHeight: Math.round(image.height * scale),
+                    resizeQuality: 'high'
+                })
+                : image;
+            if (sourceImage !== image) image.close();
+            setOutputSize(sourceImage.width, sourceImage.height);
+            setSourceLive('image', 'Image');
+        }
     } catch (err) {
-        console.error('Face detection error:', err);
-    } finally {
-        faceDetectionPending = false;
+        console.error('Failed to load file:', err);
+        stopMediaSource();
+        statusText.textContent = 'Error';
+        alert('Unable to open this file. Please try a different video or image.');
     }
 }
 
-// Capture button
-document.getElementById('capture-btn').addEventListener('click', () => {
-    const flash = document.getElementById('capture-flash');
-    flash.classList.add('flash');
-    setTimeout(() => flash.classList.remove('flash'), 100);
-
-    const link = document.createElement('a');
-    link.download = `vision-${Date.now()}.png`;
-    link.href = canvas.toDataURL('image/png');
-    link.click();
-});
-
-// Main processing loop
-function processFrame() {
-    frameCount++;
-    totalFrames++;
-    const now = performance.now();
-    if (now - lastTime >= 1000) {
-        fps = frameCount;
-        frameCount = 0;
-        lastTime = now;
-        document.getElementById('fps-value').textContent = fps;
-        document.getElementById('fps-display').textContent = fps;
+async function startScreenCapture() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getDisplayMedia) {
+        alert('Screen capture is not supported in this browser.');
+        return;
     }
-    document.getElementById('frames-value').textContent = totalFrames;
 
-    // Draw source: either camera or animated noise
-    if (cameraActive && stream) {
-        ctx.save();
-        if (facingMode === 'user') {
-            ctx.scale(-1, 1);
-            ctx.drawImage(video, -canvas.width, 0, canvas.width, canvas.height);
-        } else {
-            ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
-        }
-        ctx.restore();
-
-        // Run face detection for interactive features (every frame for responsiveness)
-        if (colorShiftEnabled || blinkInvertEnabled) {
-            runFaceDetection();
-        }
-    } else {
-        generateNoise();
-    }
-
-    // Brightness/contrast
-    if (brightness !== 100 || contrast !== 100) {
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        const data = imageData.data;
-        
-        // Convert contrast from 50-150 range to -127.5 to 127.5 range (where 0 = no change)
-        const contrastAdjusted = (contrast - 100) * 2.55;
-        const factor = (259 * (contrastAdjusted + 255)) / (255 * (259 - contrastAdjusted));
-        const brightnessAdjusted = brightness / 100;
-
-        for (let i = 0; i < data.length; i += 4) {
-            // Apply brightness first, then contrast
-            data[i] = clamp(factor * (data[i] * brightnessAdjusted - 128) + 128);
-            data[i + 1] = clamp(factor * (data[i + 1] * brightnessAdjusted - 128) + 128);
-            data[i + 2] = clamp(factor * (data[i + 2] * brightnessAdjusted - 128) + 128);
+    let captured;
+    try {
+        captured = await navigator.mediaDevices.getDisplayMedia({ video: { frameRate: 30 }, audio: false });
+    } catch (err) {
+        // Cancelling the picker is not an error worth reporting
+        if (err.name !== 'NotAllowedError') {
+            console.error('Screen capture failed:', err);
+            alert('Unable to start screen capture.');
         }
-        ctx.putImageData(imageData, 0, 0);
+        return;
     }
 
-    // Apply effect
-    switch (currentEffect) {
-        case 'edge': applyEdgeDetection(); break;
-        case 'ascii': applyAscii(); break;
-    }
+    stopCamera();
+    stopMediaSource();
+    screenStream = captured;
+    screenStream.getVideoTracks()[0].addEventListener('ended', () => {
+        if (screenStream !== captured) return;
+        stopMediaSource();
+        showStandby();
+    });
 
-    requestAnimationFrame(processFrame);
+    video.srcObject = screenStream;
+    await playVideoElement();
+    setSourceLive('screen', 'Screen');
 }
 
-function clamp(val) {
-    return Math.max(0, Math.min(255, val));
+function showStandby() {
+    startContainer.classList.remove('hidden');
+    statusDot.classList.remove('live');
+    statusText.textContent = 'Standby';
+    updateSourceButtons();
+    updateFaceStatus();
+    debugOverlay.clear();
+    motionDetector.reset();
 }
 
-function applyEdgeDetection() {
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const data = imageData.data;
-    const width = canvas.width;
-    const height = canvas.height;
-    const output = new Uint8ClampedArray(data.length);
-    const strength = intensity / 100;
-
-    const sobelX = [-1, 0, 1, -2, 0, 2, -1, 0, 1];
-    const sobelY = [-1, -2, -1, 0, 0, 0, 1, 2, 1];
-
-    for (let y = 1; y < height - 1; y++) {
-        for (let x = 1; x < width - 1; x++) {
-            let gx = 0, gy = 0;
-
-            for (let ky = -1; ky <= 1; ky++) {
-                for (let kx = -1; kx <= 1; kx++) {
-                    const idx = ((y + ky) * width + (x + kx)) * 4;
-                    const gray = (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
-                    const ki = (ky + 1) * 3 + (kx + 1);
-                    gx += gray * sobelX[ki];
-                    gy += gray * sobelY[ki];
-                }
-            }
-
-            const magnitude = Math.sqrt(gx * gx + gy * gy);
-            const i = (y * width + x) * 4;
-
-            const edgeVal = clamp(magnitude * strength);
-            output[i] = data[i] * (1 - strength) + (accentColor.r * edgeVal / 255) * strength;
-            output[i + 1] = data[i + 1] * (1 - strength) + (accentColor.g * edgeVal / 255) * strength;
-            output[i + 2] = data[i + 2] * (1 - strength) + (accentColor.b * edgeVal / 255) * strength;
-            output[i + 3] = 255;
+document.querySelectorAll('[data-source]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+        switch (btn.dataset.source) {
+            case 'camera':
+                await startCamera();
+                break;
+            case 'file':
+                sourceFileInput.click();
+                break;
+            case 'screen':
+                await startScreenCapture();
+                break;
         }
-    }
-
-    ctx.putImageData(new ImageData(output, width, height), 0, 0);
-}
-
-function applyAscii() {
-    const chars = ' .:-=+*#%@';
-    const fontSize = Math.max(4, 16 - Math.floor(intensity / 10));
+        updateSourceButtons();
+    });
+});
 
-    // Store current canvas content
-    const tempCanvas = document.createElement('canvas');
-    const tempCtx = tempCanvas.getContext('2d');
-    tempCanvas.width = canvas.width;
-    tempCanvas.height = canvas.height;
-    tempCtx.drawImage(canvas, 0, 0);
+sourceFileInput.addEventListener('change', () => {
+    loadSourceFile(sourceFileInput.files[0]);
+    sourceFileInput.value = '';
+});
 
-    ctx.fillStyle = '#000';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+// Drag and drop a file anywhere onto the canvas
+let dragDepth = 0;
 
-    const cols = Math.floor(canvas.width / fontSize);
-    const rows = Math.floor(canvas.height / fontSize);
+document.addEventListener('dragenter', (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    dragDepth++;
+    document.body.classList.add('drop-active');
+});
 
-    ctx.font = `${fontSize}px monospace`;
-    ctx.fillStyle = `rgb(${accentColor.r}, ${accentColor.g}, ${accentColor.b})`;
-    ctx.textBaseline = 'top';
+document.addEventListener('dragover', (e) => {
+    if (e.dataTransfer.types.includes('Files')) e.preventDefault();
+});
 
-    const imageData = tempCtx.getImageData(0, 0, canvas.width, canvas.height);
-    const data = imageData.data;
+document.addEventListener('dragleave', () => {
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (dragDepth === 0) document.body.classList.remove('drop-active');
+});
 
-    for (let y = 0; y < rows; y++) {
-        for (let x = 0; x < cols; x++) {
-            const px = Math.floor(x * fontSize + fontSize / 2);
-            const py = Math.floor(y * fontSize + fontSize / 2);
-            const i = (py * canvas.width + px) * 4;
+document.addEventListener('drop', (e) => {
+    if (!e.dataTransfer.files.length) return;
+    e.preventDefault();
+    dragDepth = 0;
+    document.body.classList.remove('drop-active');
+    const file = e.dataTransfer.files[0];
+    if (/\.cube$/i.test(file.name)) loadLUTFile(file);
+    else loadSourceFile(file);
+});
 
-            const bright = (data[i] + data[i + 1] + data[i + 2]) / 3;
-            const charIndex = Math.floor((bright / 255) * (chars.length - 1));
+// Effect buttons and per-effect sliders, built from the effect registry
+const effectGrid = document.getElementById('effect-grid');
+const effectSettings = document.getElementById('effect-settings');
 
-            ctx.fillText(chars[charIndex], x * fontSize, y * fontSize);
-        }
+function getEffectParams(name) {
+    if (!settings.effectParams[name]) {
+        const effect = getEffect(name);
+        settings.effectParams[name] = effect ? getDefaultParams(effect) : {};
     }
+    return settings.effectParams[name];
 }
+
+function renderEffectButtons() {
+    effectGrid.innerHTML = '';
+    getEffects().forEach(effect => {
+        const btn = document.createElement('button');
+        btn.className = 'effect-btn';
+        btn.classList.toggle('active', effect.name === settings.effect);
+        btn.dataset.effect = effect.name;
+        btn.innerHTML = `<svg viewBox="0 0 24 24">${effect.icon}</svg>`;
+        btn.append(effect.label);
+        btn.addEventListener('click', () => setEffect(effect.name));
+        effectGrid.appendChild(btn);
+    });
+}
+
+function formatParamValue(param, value) {
+    if (param.minLabel && value <= param.min) return param.minLabel;
+    return value + (param.unit || '');
+}
+
+// Set a range param from code and update its slider if it is on screen
+function setEffectParam(effectName, paramId, value) {
+    const effect = getEffect(effectName);
+    const param = effect && effect.params.find(p => p.id === paramId);
+    if (!param) return;
+
+    const params = getEffectParams(effectName);
+    value = Math.min(param.max, Math.max(param.min, Math.round(value)));
+    if (params[paramId] === value) return;
+    params[paramId] = value;
+
+    const item = effectName === settings.effect && effectSettings.querySelector(`[data-param="${paramId}"]`);
+    if (item) {
+        item.querySelector('input').value = value;
+        item.querySelector('.slider-value').textContent = formatParamValue(param, value);
+    }
+    syncRenderState();
+}
+
+// onRebuild redraws the controls when a select or toggle may change which
+// params apply
+function createParamControl(param, params, onRebuild = renderEffectSettings) {
+    const item = document.createElement('div');
+    item.className = 'slider-item';
+    item.dataset.param = param.id;
+
+    if (param.type === 'toggle') {
+        const btn = document.createElement('button');
+        btn.className = 'toggle-btn';
+        btn.textContent = param.label;
+        btn.classList.toggle('active', !!params[param.id]);
+        btn.addEventListener('click', () => {
+            params[param.id] = !params[param.id];
+            syncRenderState();
+            onRebuild();
+        });
+        item.appendChild(btn);
+        return item;
+    }
+
+    item.innerHTML = `
+        <div class="slider-header">
+            <span class="slider-label"></span>
+            <span class="slider-value"></span>
+        </div>`;
+    item.querySelector('.slider-label').textContent = param.label;
+    const valueEl = item.querySelector('.slider-value');
+
+    if (param.type === 'select') {
+        const select = document.createElement('select');
+        select.className = 'param-select';
+        param.options.forEach(option => {
+            select.add(new Option(option.label, option.value, false, option.value === params[param.id]));
+        });
+        select.addEventListener('change', () => {
+            params[param.id] = select.value;
+            syncRenderState();
+            onRebuild();
+        });
+        item.appendChild(select);
+    } else if (param.type === 'text') {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'param-text';
+        input.value = params[param.id];
+        input.spellcheck = false;
+        input.addEventListener('input', () => {
+            params[param.id] = input.value;
+            syncRenderState();
+        });
+        item.appendChild(input);
+    } else {
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = param.min;
+        input.max = param.max;
+        input.step = param.step || 1;
+        input.value = params[param.id];
+        valueEl.textContent = formatParamValue(param, params[param.id]);
+        input.addEventListener('input', () => {
+            params[param.id] = parseFloat(input.value);
+            valueEl.textContent = formatParamValue(param, params[param.id]);
+            syncRenderState();
+        });
+        item.appendChild(input);
+    }
+
+    return item;
+}
+
+function renderEffectSettings() {
+    const effect = getEffect(settings.effect);
+    const sliders = effectSettings.querySelector('.slider-group');
+    const exports = effectSettings.querySelector('.effect-exports');
+    sliders.innerHTML = '';
+    exports.innerHTML = '';
+    effectSettings.hidden = !effect || (effect.params.length === 0 && effect.exports.length === 0);
+    if (effectSettings.hidden) return;
+
+    effectSettings.querySelector('.section-title').textContent = `${effect.label} Settings`;
+    const params = getEffectParams(effect.name);
+
+    effect.params.forEach(param => {
+        if (param.when && !param.when(params)) return;
+        sliders.appendChild(createParamControl(param, params));
+    });
+
+    exports.hidden = effect.exports.length === 0;
+    effect.exports.forEach(exporter => {
+        const btn = document.createElement('button');
+        btn.className = 'toggle-btn';
+        btn.textContent = exporter.label;
+        btn.addEventListener('click', () => copyEffectExport(exporter, btn));
+        exports.appendChild(btn);
+    });
+}
+
+// Copy an effect export to the clipboard, or download it when that isn't allowed
+function copyEffectExport(exporter, btn) {
+    exportEffectFrame(exporter.id)
+        .then(text => {
+            const copy = navigator.clipboard
+                ? navigator.clipboard.writeText(text)
+                : Promise.reject(new Error('Clipboard unavailable'));
+            return copy
+                .then(() => {
+                    btn.textContent = 'Copied';
+                    setTimeout(() => { btn.textContent = exporter.label; }, 1200);
+                })
+                .catch(() => {
+                    downloadBlob(new Blob([text], { type: 'text/plain' }), exporter.extension || 'txt');
+                });
+        })
+        .catch(err => console.error('Export failed:', err));
+}
+
+function setEffect(name) {
+    const effect = getEffect(name);
+    if (!effect) return;
+    settings.effect = name;
+    document.querySelectorAll('.effect-btn').forEach(b => {
+        b.classList.toggle('active', b.dataset.effect === name);
+    });
+    document.getElementById('current-effect').textContent = effect.label;
+    renderEffectSettings();
+    syncRenderState();
+}
+
+// Effect layers: extra effects blended over the base effect, bottom to top
+const layerList = document.getElementById('layer-list');
+const layerAddBtn = document.getElementById('layer-add');
+
+function moveLayer(index, step) {
+    const target = index + step;
+    if (target < 0 || target >= settings.layers.length) return;
+    const [layer] = settings.layers.splice(index, 1);
+    settings.layers.splice(target, 0, layer);
+    renderLayers();
+    syncRenderState();
+}
+
+function createLayerButton(label, title, onClick) {
+    const btn = document.createElement('button');
+    btn.className = 'mapping-remove';
+    btn.title = title;
+    btn.textContent = label;
+    btn.addEventListener('click', onClick);
+    return btn;
+}
+
+function createLayerRow(layer, index) {
+    const row = document.createElement('div');
+    row.className = 'mapping-row layer-row';
+    row.classList.toggle('disabled', !layer.enabled);
+
+    const head = document.createElement('div');
+    head.className = 'mapping-head';
+    const toggle = document.createElement('button');
+    toggle.className = 'toggle-btn layer-toggle';
+    toggle.classList.toggle('active', layer.enabled);
+    toggle.textContent = layer.enabled ? 'On' : 'Off';
+    toggle.title = 'Show or hide this layer';
+    toggle.addEventListener('click', () => {
+        layer.enabled = !layer.enabled;
+        renderLayers();
+        syncRenderState();
+    });
+    const effects = getEffects().map(effect => ({ id: effect.name, label: effect.label }));
+    const effectSelect = createMappingSelect(effects, layer.effect, (name) => {
+        Object.assign(layer, { effect: name, params: getDefaultParams(getEffect(name)) });
+        renderLayers();
+        syncRenderState();
+    });
+    head.append(
+        toggle,
+        effectSelect,
+        createLayerButton('↑', 'Move up', () => moveLayer(index, 1)),
+        createLayerButton('↓', 'Move down', () => moveLayer(index, -1)),
+        createLayerButton('×', 'Remove layer', () => {
+            settings.layers.splice(index, 1);
+            renderLayers();
+            syncRenderState();
+        })
+    );
+
+    const blend = document.createElement('div');
+    blend.className = 'slider-item';
+    blend.innerHTML = `
+        <div class="slider-header">
+            <span class="slider-label">Opacity</span>
+            <span class="slider-value"></span>
+        </div>`;
+    const opacityValue = blend.querySelector('.slider-value');
+    opacityValue.textContent = `${layer.opacity}%`;
+    const blendModes = Object.keys(BLEND_MODES).map(id => ({
+        id,
+        label: id.charAt(0).toUpperCase() + id.slice(1)
+    }));
+    const blendSelect = createMappingSelect(blendModes, layer.blend, (mode) => {
+        layer.blend = mode;
+        syncRenderState();
+    });
+    blendSelect.title = 'Blend mode';
+    const opacity = document.createElement('input');
+    opacity.type = 'range';
+    opacity.min = 0;
+    opacity.max = 100;
+    opacity.value = layer.opacity;
+    opacity.addEventListener('input', () => {
+        layer.opacity = parseInt(opacity.value);
+        opacityValue.textContent = `${layer.opacity}%`;
+        syncRenderState();
+    });
+    blend.append(blendSelect, opacity);
+
+    row.append(head, blend);
+
+    const effect = getEffect(layer.effect);
+    effect.params.forEach(param => {
+        if (param.when && !param.when(layer.params)) return;
+        row.appendChild(createParamControl(param, layer.params, renderLayers));
+    });
+    return row;
+}
+
+// Listed top layer first, like the stack reads on screen
+function renderLayers() {
+    layerList.innerHTML = '';
+    for (let i = settings.layers.length - 1; i >= 0; i--) {
+        layerList.appendChild(createLayerRow(settings.layers[i], i));
+    }
+    layerAddBtn.disabled = settings.layers.length >= MAX_EFFECT_LAYERS;
+}
+
+layerAddBtn.addEventListener('click', () => {
+    if (settings.layers.length >= MAX_EFFECT_LAYERS) return;
+    const layer = createEffectLayer('edge');
+    layer.blend = 'screen';
+    settings.layers.push(layer);
+    renderLayers();
+    syncRenderState();
+});
+
+// Effect modules loaded after this script show up as they register
+onEffectRegistered(() => {
+    renderEffectButtons();
+    renderEffectSettings();
+    renderLayers();
+});
+
+renderEffectButtons();
+setEffect(settings.effect);
+renderLayers();
+
+// Color picker
+const colorInput = document.getElementById('color-input');
+const colorBar = document.getElementById('color-bar');
+const colorHex = document.getElementById('color-hex');
+
+// Set the accent color and show it on the color bar (see color-utils.js)
+function setAccentColor(color) {
+    settings.accentColor = color;
+    const hex = rgbToHex(color);
+    colorBar.style.background = hex;
+    colorHex.textContent = hex.toUpperCase();
+    colorInput.value = hex;
+
+    // Adjust text color based on background luminance
+    const contrast = getSwatchContrast(color);
+    colorBar.style.color = contrast.text;
+    colorBar.querySelector('.color-bar-icon').style.background = contrast.icon;
+    colorBar.querySelector('.color-bar-icon svg').style.fill = contrast.text;
+    syncRenderState();
+}
+
+function updateColorBar(hex) {
+    setAccentColor(hexToRgb(hex));
+}
+
+colorInput.addEventListener('input', (e) => {
+    updateColorBar(e.target.value);
+});
+
+// Initialize color bar
+updateColorBar('#007AFF');
+
+// Sliders
+function showAdjustment(id) {
+    document.getElementById(id).value = settings[id];
+    document.getElementById(`${id}-value`).textContent = settings[id] + '%';
+}
+
+// Set an adjustment from code (face mappings, presets) and update its slider
+function setAdjustment(id, value) {
+    value = Math.round(value);
+    if (settings[id] === value) return;
+    settings[id] = value;
+    showAdjustment(id);
+    syncRenderState();
+}
+
+document.getElementById('intensity').addEventListener('input', (e) => {
+    settings.intensity = parseInt(e.target.value);
+    document.getElementById('intensity-value').textContent = settings.intensity + '%';
+    syncRenderState();
+});
+
+document.getElementById('brightness').addEventListener('input', (e) => {
+    settings.brightness = parseInt(e.target.value);
+    document.getElementById('brightness-value').textContent = settings.brightness + '%';
+    syncRenderState();
+});
+
+document.getElementById('contrast').addEventListener('input', (e) => {
+    settings.contrast = parseInt(e.target.value);
+    document.getElementById('contrast-value').textContent = settings.contrast + '%';
+    syncRenderState();
+});
+
+// Color grading (see color-grading.js). A loaded LUT stays with the app, not
+// the look: it is saved locally and sent to the pipeline on its own.
+const LUT_STORAGE_KEY = 'color-lut';
+const GRADE_SLIDERS = {
+    temperature: value => String(value),
+    tint: value => String(value),
+    gamma: value => (value / 100).toFixed(2),
+    saturation: value => value + '%',
+    hue: value => value + '°',
+    lutStrength: value => value + '%'
+};
+const CURVE_COLORS = { r: '#FF453A', g: '#34C759', b: '#0A84FF' };
+const curveCanvas = document.getElementById('curve-canvas');
+const curveCtx = curveCanvas.getContext('2d');
+const curvePointValue = document.getElementById('curve-point-value');
+const lutFileInput = document.getElementById('lut-file');
+let colorLUT = null;
+let curveChannel = 'r';
+// Index of the curve point being dragged
+let curveDrag = null;
+
+function showGrade() {
+    Object.keys(GRADE_SLIDERS).forEach(key => {
+        document.getElementById(`grade-${key}`).value = settings.grade[key];
+        document.getElementById(`grade-${key}-value`).textContent = GRADE_SLIDERS[key](settings.grade[key]);
+    });
+    drawCurveEditor();
+}
+
+Object.keys(GRADE_SLIDERS).forEach(key => {
+    document.getElementById(`grade-${key}`).addEventListener('input', (e) => {
+        settings.grade[key] = parseInt(e.target.value);
+        document.getElementById(`grade-${key}-value`).textContent = GRADE_SLIDERS[key](settings.grade[key]);
+        syncRenderState();
+    });
+});
+
+document.getElementById('grade-reset').addEventListener('click', () => {
+    settings.grade = createDefaultGrade();
+    showGrade();
+    syncRenderState();
+});
+
+// The edited channel on top, the other two faintly behind it
+function drawCurveEditor() {
+    const { width, height } = curveCanvas;
+    const toX = value => value / 255 * width;
+    const toY = value => height - value / 255 * height;
+    curveCtx.clearRect(0, 0, width, height);
+
+    curveCtx.strokeStyle = 'rgba(255, 255, 255, 0.12)';
+    curveCtx.lineWidth = 2;
+    curveCtx.beginPath();
+    for (let i = 1; i < 4; i++) {
+        curveCtx.moveTo(i * width / 4, 0);
+        curveCtx.lineTo(i * width / 4, height);
+        curveCtx.moveTo(0, i * height / 4);
+        curveCtx.lineTo(width, i * height / 4);
+    }
+    curveCtx.moveTo(0, height);
+    curveCtx.lineTo(width, 0);
+    curveCtx.stroke();
+
+    ['r', 'g', 'b']
+        .sort((a, b) => (a === curveChannel) - (b === curveChannel))
+        .forEach(channel => {
+            const table = buildCurveTable(settings.grade.curves[channel]);
+            curveCtx.strokeStyle = CURVE_COLORS[channel];
+            curveCtx.globalAlpha = channel === curveChannel ? 1 : 0.35;
+            curveCtx.lineWidth = 3;
+            curveCtx.beginPath();
+            table.forEach((y, x) => {
+                if (x === 0) curveCtx.moveTo(toX(x), toY(y));
+                else curveCtx.lineTo(toX(x), toY(y));
+            });
+            curveCtx.stroke();
+        });
+    curveCtx.globalAlpha = 1;
+
+    curveCtx.fillStyle = CURVE_COLORS[curveChannel];
+    settings.grade.curves[curveChannel].forEach(([x, y], i) => {
+        curveCtx.beginPath();
+        curveCtx.arc(toX(x), toY(y), i === curveDrag ? 12 : 8, 0, Math.PI * 2);
+        curveCtx.fill();
+    });
+}
+
+function getCurvePointer(e) {
+    const rect = curveCanvas.getBoundingClientRect();
+    return [
+        Math.round(Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)) * 255),
+        Math.round(Math.min(1, Math.max(0, 1 - (e.clientY - rect.top) / rect.height)) * 255)
+    ];
+}
+
+// Index of the point within reach of the pointer, or -1
+function findCurvePoint(points, [x, y]) {
+    let nearest = -1;
+    let nearestDistance = 12;
+    points.forEach(([px, py], i) => {
+        const distance = Math.hypot(px - x, py - y);
+        if (distance < nearestDistance) {
+            nearest = i;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+}
+
+// A dragged point stays between its neighbours so the curve keeps its order
+function moveCurvePoint([x, y]) {
+    const points = settings.grade.curves[curveChannel];
+    const min = curveDrag > 0 ? points[curveDrag - 1][0] + 1 : 0;
+    const max = curveDrag < points.length - 1 ? points[curveDrag + 1][0] - 1 : 255;
+    points[curveDrag] = [Math.min(max, Math.max(min, x)), y];
+    curvePointValue.textContent = `${points[curveDrag][0]} → ${y}`;
+    drawCurveEditor();
+    syncRenderState();
+}
+
+curveCanvas.addEventListener('pointerdown', (e) => {
+    const points = settings.grade.curves[curveChannel];
+    const pointer = getCurvePointer(e);
+    let index = findCurvePoint(points, pointer);
+    if (index < 0) {
+        if (points.length >= MAX_CURVE_POINTS || points.some(point => point[0] === pointer[0])) return;
+        points.push(pointer);
+        points.sort((a, b) => a[0] - b[0]);
+        index = points.indexOf(pointer);
+    }
+    e.preventDefault();
+    curveCanvas.setPointerCapture(e.pointerId);
+    curveDrag = index;
+    moveCurvePoint(pointer);
+});
+
+curveCanvas.addEventListener('pointermove', (e) => {
+    if (curveDrag !== null) moveCurvePoint(getCurvePointer(e));
+});
+
+['pointerup', 'pointercancel'].forEach(type => {
+    curveCanvas.addEventListener(type, () => {
+        curveDrag = null;
+        curvePointValue.textContent = '';
+        drawCurveEditor();
+    });
+});
+
+curveCanvas.addEventListener('dblclick', (e) => {
+    const points = settings.grade.curves[curveChannel];
+    const index = findCurvePoint(points, getCurvePointer(e));
+    if (index < 0 || points.length <= 2) return;
+    points.splice(index, 1);
+    drawCurveEditor();
+    syncRenderState();
+});
+
+document.querySelectorAll('[data-curve-channel]').forEach(btn => {
+    btn.addEventListener('click', () => {
+        curveChannel = btn.dataset.curveChannel;
+        document.querySelectorAll('[data-curve-channel]').forEach(other => {
+            other.classList.toggle('active', other === btn);
+        });
+        drawCurveEditor();
+    });
+});
+
+function syncRenderLUT() {
+    if (renderWorker) {
+        renderWorker.postMessage({ type: 'lut', lut: colorLUT });
+    } else if (pipeline) {
+        pipeline.setLUT(colorLUT);
+    }
+}
+
+function setColorLUT(lut, name) {
+    colorLUT = lut;
+    document.getElementById('lut-name').textContent = lut ? name : 'No LUT loaded';
+    document.getElementById('lut-clear').hidden = !lut;
+    document.getElementById('lut-strength-item').hidden = !lut;
+    syncRenderLUT();
+}
+
+// Kept as the original text; a 33-point LUT is about a megabyte
+function saveLUT(name, text) {
+    try {
+        if (text === null) localStorage.removeItem(LUT_STORAGE_KEY);
+        else localStorage.setItem(LUT_STORAGE_KEY, JSON.stringify({ name, text }));
+    } catch (err) {
+        console.warn('Could not save the LUT:', err);
+    }
+}
+
+function loadSavedLUT() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(LUT_STORAGE_KEY));
+        if (saved) setColorLUT(parseCubeLUT(saved.text), saved.name);
+    } catch (err) {
+        console.warn('Could not load the saved LUT:', err);
+    }
+}
+
+async function loadLUTFile(file) {
+    try {
+        const text = await file.text();
+        const lut = parseCubeLUT(text);
+        const name = lut.title || file.name.replace(/\.cube$/i, '');
+        setColorLUT(lut, name);
+        saveLUT(name, text);
+        showHud(`LUT: ${name}`);
+    } catch (err) {
+        console.error('LUT import failed:', err);
+        alert(`That file is not a valid 3D .cube LUT.\n${err.message}`);
+    }
+}
+
+document.getElementById('lut-load').addEventListener('click', () => lutFileInput.click());
+
+lutFileInput.addEventListener('change', () => {
+    const file = lutFileInput.files[0];
+    lutFileInput.value = '';
+    if (file) loadLUTFile(file);
+});
+
+document.getElementById('lut-clear').addEventListener('click', () => {
+    setColorLUT(null);
+    saveLUT(null, null);
+});
+
+showGrade();
+loadSavedLUT();
+
+// Interactive toggles
+const interactiveButtons = {
+    colorShift: document.getElementById('color-shift-btn'),
+    blinkInvert: document.getElementById('blink-invert-btn')
+};
+
+async function setInteractiveToggle(key, enabled) {
+    settings[key] = enabled;
+    interactiveButtons[key].classList.toggle('active', enabled);
+    if (key === 'blinkInvert') {
+        blinkSettingsEl.hidden = !enabled;
+        blinkDetector.reset();
+    } else if (key === 'colorShift') {
+        mappingSection.hidden = !enabled;
+    }
+    updateFaceStatus();
+    scheduleHashUpdate();
+
+    if (enabled && !faceDetector) {
+        await initFaceDetection();
+    }
+}
+
+Object.keys(interactiveButtons).forEach(key => {
+    interactiveButtons[key].addEventListener('click', () => setInteractiveToggle(key, !settings[key]));
+});
+
+// Face mapping editor: any face signal can drive any mapping target
+const mappingSection = document.getElementById('mapping-section');
+const mappingList = document.getElementById('mapping-list');
+
+const MAPPING_APPLIERS = {
+    intensity: value => setAdjustment('intensity', value),
+    brightness: value => setAdjustment('brightness', value),
+    contrast: value => setAdjustment('contrast', value),
+    hue: value => updateAccentColorFromHue(((value % 360) + 360) % 360),
+    asciiFontSize: value => setEffectParam('ascii', 'fontSize', value),
+    effect: (value) => {
+        const effects = getEffects();
+        const effect = effects[Math.min(effects.length - 1, Math.max(0, Math.round(value)))];
+        if (effect && effect.name !== settings.effect) setEffect(effect.name);
+    }
+};
+
+function createAppMapping(signalId, targetId) {
+    const mapping = createMapping(signalId, targetId);
+    if (targetId === 'effect') mapping.outMax = getEffects().length - 1;
+    return mapping;
+}
+
+function createMappingSelect(items, value, onChange) {
+    const select = document.createElement('select');
+    select.className = 'param-select';
+    items.forEach(item => select.add(new Option(item.label, item.id, false, item.id === value)));
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+}
+
+function createMappingNumber(mapping, key) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'param-text';
+    input.step = 'any';
+    input.value = mapping[key];
+    input.title = key;
+    input.addEventListener('change', () => {
+        const value = parseFloat(input.value);
+        if (Number.isFinite(value)) {
+            mapping[key] = value;
+            scheduleHashUpdate();
+        } else {
+            input.value = mapping[key];
+        }
+    });
+    return input;
+}
+
+function createMappingRow(mapping, index) {
+    const row = document.createElement('div');
+    row.className = 'mapping-row';
+
+    const head = document.createElement('div');
+    head.className = 'mapping-head';
+    const signalSelect = createMappingSelect(FACE_SIGNALS, mapping.signal, (signalId) => {
+        const signal = getFaceSignal(signalId);
+        Object.assign(mapping, { signal: signalId, inMin: signal.min, inMax: signal.max });
+        renderMappings();
+        scheduleHashUpdate();
+    });
+    const targetSelect = createMappingSelect(MAPPING_TARGETS, mapping.target, (targetId) => {
+        const fresh = createAppMapping(mapping.signal, targetId);
+        Object.assign(mapping, { target: targetId, outMin: fresh.outMin, outMax: fresh.outMax });
+        renderMappings();
+        scheduleHashUpdate();
+    });
+    const arrow = document.createElement('span');
+    arrow.className = 'mapping-arrow';
+    arrow.textContent = '→';
+    const remove = document.createElement('button');
+    remove.className = 'mapping-remove';
+    remove.title = 'Remove mapping';
+    remove.textContent = '×';
+    remove.addEventListener('click', () => {
+        settings.mappings.splice(index, 1);
+        renderMappings();
+        scheduleHashUpdate();
+    });
+    head.append(signalSelect, arrow, targetSelect, remove);
+
+    const ranges = document.createElement('div');
+    ranges.className = 'mapping-ranges';
+    [['In', 'inMin', 'inMax'], ['Out', 'outMin', 'outMax']].forEach(([label, minKey, maxKey]) => {
+        const name = document.createElement('span');
+        name.className = 'slider-label';
+        name.textContent = label;
+        ranges.append(name, createMappingNumber(mapping, minKey), createMappingNumber(mapping, maxKey));
+    });
+
+    const shaping = document.createElement('div');
+    shaping.className = 'mapping-shaping';
+    const curves = Object.keys(MAPPING_CURVES).map(id => ({
+        id,
+        label: id.charAt(0).toUpperCase() + id.slice(1).replace('-', ' ')
+    }));
+    const curveSelect = createMappingSelect(curves, mapping.curve, (curve) => {
+        mapping.curve = curve;
+        scheduleHashUpdate();
+    });
+    const smoothing = document.createElement('input');
+    smoothing.type = 'range';
+    smoothing.min = 0;
+    smoothing.max = 0.95;
+    smoothing.step = 0.05;
+    smoothing.value = mapping.smoothing;
+    smoothing.title = 'Smoothing';
+    smoothing.addEventListener('input', () => {
+        mapping.smoothing = parseFloat(smoothing.value);
+        scheduleHashUpdate();
+    });
+    const live = document.createElement('span');
+    live.className = 'slider-value mapping-live';
+    live.textContent = '--';
+    shaping.append(curveSelect, smoothing, live);
+
+    row.append(head, ranges, shaping);
+    return row;
+}
+
+function renderMappings() {
+    mappingList.innerHTML = '';
+    settings.mappings.forEach((mapping, i) => mappingList.appendChild(createMappingRow(mapping, i)));
+}
+
+// Show the raw signal next to each mapping so ranges are easy to tune
+function updateMappingReadouts(signals) {
+    if (!panelOpen) return;
+    mappingList.querySelectorAll('.mapping-live').forEach((el, i) => {
+        const mapping = settings.mappings[i];
+        const value = mapping && signals[mapping.signal];
+        el.textContent = typeof value === 'number' ? value.toFixed(2) : '--';
+    });
+}
+
+// Multi-face options
+const maxFacesSelect = document.getElementById('max-faces');
+const faceRegionSelect = document.getElementById('face-region');
+
+maxFacesSelect.addEventListener('change', () => {
+    settings.maxFaces = parseInt(maxFacesSelect.value);
+    applyFaceOptions();
+    scheduleHashUpdate();
+});
+
+faceRegionSelect.addEventListener('change', () => {
+    settings.faceRegion = faceRegionSelect.value;
+    applyFaceOptions();
+    syncRenderState();
+});
+
+document.getElementById('mapping-add').addEventListener('click', () => {
+    settings.mappings.push(createAppMapping('mouthOpen', 'intensity'));
+    renderMappings();
+    scheduleHashUpdate();
+});
+
+renderMappings();
+
+// Landmark debug overlay: shows what the tracker sees when face control or
+// blink gestures misbehave
+const debugCanvas = document.getElementById('debug-overlay');
+const debugOverlay = createDebugOverlay(debugCanvas);
+const debugButtons = {
+    overlay: document.getElementById('debug-overlay-btn'),
+    capture: document.getElementById('debug-capture-btn')
+};
+debugOverlay.resize(outputWidth, outputHeight);
+
+function setDebugOverlay(enabled) {
+    debugOverlayOn = enabled;
+    debugButtons.overlay.classList.toggle('active', enabled);
+    debugButtons.capture.disabled = !enabled;
+    debugCanvas.hidden = !enabled;
+    debugOverlay.clear();
+    updateFaceStatus();
+
+    if (enabled && !faceDetector) {
+        initFaceDetection();
+    }
+}
+
+function drawDebugOverlay() {
+    debugOverlay.update({
+        faces: faceTracks.map(track => track.landmarks),
+        mirror: cameraActive && facingMode === 'user',
+        threshold: blinkDetector.threshold,
+        baseline: blinkDetector.baseline,
+        calibrating: blinkDetector.calibrating
+    });
+}
+
+// Landmark recording: saves the tracked faces as JSON in the format of the
+// test suite's landmark fixtures (see test/fixtures/landmarks)
+const LANDMARK_RECORDING_MAX_FRAMES = 900;
+
+function toggleLandmarkRecording() {
+    if (landmarkRecording) {
+        stopLandmarkRecording();
+        return;
+    }
+    landmarkRecording = { start: performance.now(), recordedAt: new Date().toISOString(), frames: [] };
+    showHud('Recording Landmarks');
+    updateFaceStatus();
+    if (!faceDetector) initFaceDetection();
+}
+
+function recordLandmarks(now) {
+    const round = value => Math.round(value * 10000) / 10000;
+    landmarkRecording.frames.push({
+        time: Math.round(now - landmarkRecording.start),
+        faces: faceTracks.map(track => track.landmarks.map(point => [round(point.x), round(point.y), round(point.z)]))
+    });
+    if (landmarkRecording.frames.length >= LANDMARK_RECORDING_MAX_FRAMES) stopLandmarkRecording();
+}
+
+function stopLandmarkRecording() {
+    const { recordedAt, frames } = landmarkRecording;
+    landmarkRecording = null;
+    updateFaceStatus();
+    showHud(`Recorded ${frames.length} Frames`);
+    if (frames.length === 0) return;
+
+    const json = JSON.stringify({ version: 1, source: 'recorded', recordedAt, frames });
+    downloadBlob(new Blob([json], { type: 'application/json' }), 'json');
+}
+
+debugButtons.overlay.addEventListener('click', () => setDebugOverlay(!debugOverlayOn));
+debugButtons.capture.addEventListener('click', () => {
+    debugInCaptures = !debugInCaptures;
+    debugButtons.capture.classList.toggle('active', debugInCaptures);
+});
+
+// Blink gesture settings: per-user calibration, so kept apart from the look
+const BLINK_SETTINGS_KEY = 'blink-settings';
+const blinkSettingsEl = document.getElementById('blink-settings');
+const blinkCalibrateBtn = document.getElementById('blink-calibrate');
+const blinkBaselineEl = document.getElementById('blink-baseline');
+const blinkSettings = loadBlinkSettings();
+
+const gestureActionList = document.getElementById('gesture-actions');
+
+// What a gesture can do (see GESTURE_ACTIONS); settings.gestureActions
+// picks one per gesture
+const BLINK_ACTIONS = {
+    'none': () => {},
+    'invert': () => invertAccentColor(),
+    'capture': (label) => {
+        showHud(`${label}: Capture`);
+        document.getElementById('capture-btn').click();
+    },
+    'record': (label) => {
+        showHud(isRecording ? `${label}: Stop Recording` : `${label}: Record`);
+        toggleRecording();
+    },
+    'next-effect': () => cycleEffect(1),
+    'previous-effect': () => cycleEffect(-1)
+};
+
+function runGestureAction(gesture) {
+    const { label } = BLINK_GESTURES.find(item => item.id === gesture);
+    BLINK_ACTIONS[settings.gestureActions[gesture]](label);
+}
+
+function renderGestureActions() {
+    gestureActionList.innerHTML = '';
+    BLINK_GESTURES.forEach(gesture => {
+        const row = document.createElement('div');
+        row.className = 'gesture-action-row';
+        const label = document.createElement('span');
+        label.className = 'slider-label';
+        label.textContent = gesture.label;
+        const select = createMappingSelect(GESTURE_ACTIONS, settings.gestureActions[gesture.id], (action) => {
+            settings.gestureActions[gesture.id] = action;
+            scheduleHashUpdate();
+        });
+        row.append(label, select);
+        gestureActionList.appendChild(row);
+    });
+}
+
+function loadBlinkSettings() {
+    const defaults = { baseline: DEFAULT_EAR_BASELINE, sensitivity: 50, longBlinkMs: 600, doubleBlinkMs: 450 };
+    try {
+        return { ...defaults, ...JSON.parse(localStorage.getItem(BLINK_SETTINGS_KEY)) };
+    } catch (err) {
+        return defaults;
+    }
+}
+
+function saveBlinkSettings() {
+    try {
+        localStorage.setItem(BLINK_SETTINGS_KEY, JSON.stringify(blinkSettings));
+    } catch (err) {
+        console.warn('Could not save blink settings:', err);
+    }
+}
+
+function updateBlinkBaselineLabel() {
+    blinkBaselineEl.textContent = `Baseline ${blinkSettings.baseline.toFixed(2)}`;
+}
+
+// Remote tools hear about gestures even when they don't act here
+blinkDetector = createBlinkDetector({
+    ...blinkSettings,
+    onGesture: (gesture) => {
+        if (isSendingFaceSignals()) remoteClient.send('/face/blink', gesture);
+        if (settings.blinkInvert) runGestureAction(gesture);
+    }
+});
+
+[
+    ['blink-sensitivity', 'sensitivity', '%'],
+    ['blink-long', 'longBlinkMs', ' ms'],
+    ['blink-double', 'doubleBlinkMs', ' ms']
+].forEach(([id, key, unit]) => {
+    const input = document.getElementById(id);
+    const valueEl = document.getElementById(`${id}-value`);
+    input.value = blinkSettings[key];
+    valueEl.textContent = blinkSettings[key] + unit;
+    input.addEventListener('input', () => {
+        blinkSettings[key] = parseInt(input.value);
+        valueEl.textContent = blinkSettings[key] + unit;
+        blinkDetector.configure({ [key]: blinkSettings[key] });
+        faceTracks.forEach(track => track.detector.configure({ [key]: blinkSettings[key] }));
+        saveBlinkSettings();
+    });
+});
+
+blinkCalibrateBtn.addEventListener('click', async () => {
+    if (!isVideoSourceActive()) {
+        alert('Start the camera first, then look at it with your eyes open.');
+        return;
+    }
+    if (!settings.blinkInvert) {
+        await setInteractiveToggle('blinkInvert', true);
+    }
+
+    blinkCalibrateBtn.disabled = true;
+    blinkCalibrateBtn.textContent = 'Keep Eyes Open…';
+    try {
+        blinkSettings.baseline = await blinkDetector.calibrate(2000);
+        faceTracks.forEach(track => track.detector.configure({ baseline: blinkSettings.baseline }));
+        saveBlinkSettings();
+        updateBlinkBaselineLabel();
+        showHud('Blink calibrated');
+    } catch (err) {
+        console.warn('Blink calibration failed:', err);
+        showHud(err.message);
+    } finally {
+        blinkCalibrateBtn.disabled = false;
+        blinkCalibrateBtn.textContent = 'Calibrate';
+    }
+});
+
+updateBlinkBaselineLabel();
+renderGestureActions();
+
+// Motion detection: a desk or doorway monitor. Small copies of the source are
+// compared frame to frame inside an optional region drawn over the output;
+// like blink settings, the configuration is kept apart from the look.
+const MOTION_SETTINGS_KEY = 'motion-settings';
+const MOTION_FRAME_WIDTH = 160;
+const MOTION_INTERVAL_MS = 100;
+const motionSection = document.getElementById('motion-section');
+const motionBtn = document.getElementById('motion-btn');
+const motionRegionBtn = document.getElementById('motion-region-btn');
+const motionLevel = document.getElementById('motion-level');
+const motionMeterFill = document.getElementById('motion-meter-fill');
+const motionOverlay = document.getElementById('motion-overlay');
+const motionRegionEl = document.getElementById('motion-region');
+const motionBoxEl = document.getElementById('motion-box');
+let motionSettings = loadMotionSettings();
+let motionEnabled = false;
+let motionCanvas = null;
+let lastMotionCheck = 0;
+let lastMotionTime = 0;
+// Which source the previous motion frame came from; switching resets the detector
+let motionSourceKey = '';
+// Set while a recording that motion started is running, so it can stop it
+let motionRecording = false;
+let regionDraw = null;
+
+const MOTION_ACTIONS = {
+    none: () => showHud('Motion detected'),
+    capture: () => {
+        showHud('Motion: Capture');
+        document.getElementById('capture-btn').click();
+    },
+    record: () => {
+        if (isRecording) return;
+        showHud('Motion: Record');
+        toggleRecording();
+        motionRecording = isRecording;
+    }
+};
+
+function loadMotionSettings() {
+    const defaults = { sensitivity: 50, threshold: 5, action: 'none', cooldown: 10, region: null };
+    try {
+        return { ...defaults, ...JSON.parse(localStorage.getItem(MOTION_SETTINGS_KEY)) };
+    } catch (err) {
+        return defaults;
+    }
+}
+
+function saveMotionSettings() {
+    try {
+        localStorage.setItem(MOTION_SETTINGS_KEY, JSON.stringify(motionSettings));
+    } catch (err) {
+        console.warn('Could not save motion settings:', err);
+    }
+}
+
+function getMotionDetectorConfig() {
+    return {
+        sensitivity: motionSettings.sensitivity,
+        threshold: motionSettings.threshold / 100,
+        cooldownMs: motionSettings.cooldown * 1000,
+        region: motionSettings.region
+    };
+}
+
+const motionDetector = createMotionDetector({
+    ...getMotionDetectorConfig(),
+    onTrigger: () => MOTION_ACTIONS[motionSettings.action]()
+});
+
+function setMotionEnabled(enabled) {
+    motionEnabled = enabled;
+    motionBtn.classList.toggle('active', enabled);
+    motionOverlay.hidden = !enabled && !regionDraw;
+    motionBoxEl.hidden = true;
+    motionMeterFill.style.width = '0%';
+    motionLevel.textContent = enabled ? '0%' : 'Off';
+    motionDetector.reset();
+    layoutMotionOverlay();
+}
+
+// The output canvas is scaled to cover the screen; the overlay matches the
+// visible canvas box so normalized coordinates line up with the picture
+function layoutMotionOverlay() {
+    const rect = canvas.getBoundingClientRect();
+    const scale = Math.max(rect.width / outputWidth, rect.height / outputHeight);
+    const width = outputWidth * scale;
+    const height = outputHeight * scale;
+    Object.assign(motionOverlay.style, {
+        left: `${rect.left + (rect.width - width) / 2}px`,
+        top: `${rect.top + (rect.height - height) / 2}px`,
+        width: `${width}px`,
+        height: `${height}px`
+    });
+}
+
+function placeMotionRect(el, rect) {
+    el.hidden = !rect;
+    if (!rect) return;
+    Object.assign(el.style, {
+        left: `${rect.x * 100}%`,
+        top: `${rect.y * 100}%`,
+        width: `${rect.width * 100}%`,
+        height: `${rect.height * 100}%`
+    });
+}
+
+function updateMotionRegion() {
+    placeMotionRect(motionRegionEl, motionSettings.region);
+    motionRegionBtn.textContent = motionSettings.region ? 'Clear Region' : 'Draw Region';
+}
+
+// Sample the source as it appears in the output: stretched and mirrored
+function runMotionDetection(now) {
+    const source = getFrameSource();
+    if (!source || (source === video && video.readyState < 2)) return;
+
+    const sourceKey = `${mediaSource}:${cameraActive}:${facingMode}`;
+    if (sourceKey !== motionSourceKey) {
+        motionSourceKey = sourceKey;
+        motionDetector.reset();
+    }
+
+    const width = MOTION_FRAME_WIDTH;
+    const height = Math.max(1, Math.round(width * outputHeight / outputWidth));
+    if (!motionCanvas) motionCanvas = document.createElement('canvas');
+    if (motionCanvas.width !== width || motionCanvas.height !== height) {
+        motionCanvas.width = width;
+        motionCanvas.height = height;
+        motionDetector.reset();
+    }
+
+    const motionCtx = motionCanvas.getContext('2d', { willReadFrequently: true });
+    motionCtx.save();
+    if (cameraActive && facingMode === 'user') {
+        motionCtx.scale(-1, 1);
+        motionCtx.drawImage(source, -width, 0, width, height);
+    } else {
+        motionCtx.drawImage(source, 0, 0, width, height);
+    }
+    motionCtx.restore();
+
+    const result = motionDetector.update(motionCtx.getImageData(0, 0, width, height), now);
+    if (result.active) lastMotionTime = now;
+
+    motionLevel.textContent = `${(result.amount * 100).toFixed(1)}%`;
+    // The threshold sits at the middle of the meter
+    motionMeterFill.style.width = `${Math.min(100, result.amount / (motionSettings.threshold / 100) * 50)}%`;
+    motionSection.classList.toggle('motion-active', result.active);
+    placeMotionRect(motionBoxEl, result.active ? result.bounds : null);
+
+    // Recordings started by motion end once it has been still for the cooldown
+    if (motionRecording && !isRecording) {
+        motionRecording = false;
+    } else if (motionRecording && now - lastMotionTime > motionSettings.cooldown * 1000) {
+        motionRecording = false;
+        showHud('Motion stopped: Recording saved');
+        toggleRecording();
+    }
+}
+
+// Drag out a region on the picture; Escape cancels
+function getOverlayPoint(e) {
+    const rect = motionOverlay.getBoundingClientRect();
+    return {
+        x: Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+        y: Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height))
+    };
+}
+
+function startRegionDraw() {
+    setPanelOpen(false);
+    regionDraw = { start: null };
+    document.body.classList.add('region-drawing');
+    motionOverlay.hidden = false;
+    layoutMotionOverlay();
+    showHud('Drag to draw the motion region');
+}
+
+function finishRegionDraw(region) {
+    regionDraw = null;
+    document.body.classList.remove('region-drawing');
+    motionOverlay.hidden = !motionEnabled;
+    if (region && region.width > 0.01 && region.height > 0.01) {
+        motionSettings.region = region;
+        motionDetector.configure({ region });
+        saveMotionSettings();
+    }
+    updateMotionRegion();
+}
+
+function getDrawnRegion(e) {
+    const { start } = regionDraw;
+    const end = getOverlayPoint(e);
+    return {
+        x: Math.min(start.x, end.x),
+        y: Math.min(start.y, end.y),
+        width: Math.abs(end.x - start.x),
+        height: Math.abs(end.y - start.y)
+    };
+}
+
+motionOverlay.addEventListener('pointerdown', (e) => {
+    if (!regionDraw) return;
+    e.preventDefault();
+    motionOverlay.setPointerCapture(e.pointerId);
+    regionDraw.start = getOverlayPoint(e);
+});
+
+motionOverlay.addEventListener('pointermove', (e) => {
+    if (regionDraw && regionDraw.start) placeMotionRect(motionRegionEl, getDrawnRegion(e));
+});
+
+motionOverlay.addEventListener('pointerup', (e) => {
+    if (regionDraw && regionDraw.start) finishRegionDraw(getDrawnRegion(e));
+});
+
+document.addEventListener('keydown', (e) => {
+    if (regionDraw && e.key === 'Escape') {
+        e.stopPropagation();
+        finishRegionDraw(null);
+    }
+}, true);
+
+motionBtn.addEventListener('click', () => setMotionEnabled(!motionEnabled));
+
+motionRegionBtn.addEventListener('click', () => {
+    if (motionSettings.region) {
+        motionSettings.region = null;
+        motionDetector.configure({ region: null });
+        saveMotionSettings();
+        updateMotionRegion();
+    } else {
+        startRegionDraw();
+    }
+});
+
+[
+    ['motion-sensitivity', 'sensitivity', '%'],
+    ['motion-threshold', 'threshold', '%']
+].forEach(([id, key, unit]) => {
+    const input = document.getElementById(id);
+    const valueEl = document.getElementById(`${id}-value`);
+    input.value = motionSettings[key];
+    valueEl.textContent = motionSettings[key] + unit;
+    input.addEventListener('input', () => {
+        motionSettings[key] = parseInt(input.value);
+        valueEl.textContent = motionSettings[key] + unit;
+        motionDetector.configure(getMotionDetectorConfig());
+        saveMotionSettings();
+    });
+});
+
+['action', 'cooldown'].forEach(key => {
+    const select = document.getElementById(`motion-${key}`);
+    select.value = motionSettings[key];
+    select.addEventListener('change', () => {
+        motionSettings[key] = key === 'cooldown' ? parseInt(select.value) : select.value;
+        motionDetector.configure(getMotionDetectorConfig());
+        saveMotionSettings();
+    });
+});
+
+window.addEventListener('resize', layoutMotionOverlay);
+updateMotionRegion();
+
+// Presets and shareable state
+const PRESETS_KEY = 'presets';
+const presetSelect = document.getElementById('preset-select');
+const presetNameInput = document.getElementById('preset-name');
+const presetFileInput = document.getElementById('preset-file');
+let presets = loadPresets();
+
+function loadPresets() {
+    try {
+        return parsePresets(localStorage.getItem(PRESETS_KEY));
+    } catch (err) {
+        return new Map();
+    }
+}
+
+function savePresets() {
+    try {
+        localStorage.setItem(PRESETS_KEY, serializePresets(presets));
+    } catch (err) {
+        console.warn('Could not save presets:', err);
+    }
+}
+
+function renderPresetOptions(selected = '') {
+    presetSelect.innerHTML = '';
+    presetSelect.add(new Option('Choose a preset…', ''));
+    [...presets.keys()].sort().forEach(name => {
+        presetSelect.add(new Option(name, name, false, name === selected));
+    });
+}
+
+// Replace the current look and bring every control in line with it
+function applySettings(next) {
+    const normalized = normalizeSettings(next);
+    Object.assign(settings, normalized);
+
+    ['intensity', 'brightness', 'contrast'].forEach(id => showAdjustment(id));
+    showGrade();
+
+    setAccentColor(settings.accentColor);
+
+    Object.keys(interactiveButtons).forEach(key => setInteractiveToggle(key, settings[key]));
+    setEffect(settings.effect);
+    renderLayers();
+    renderMappings();
+    renderGestureActions();
+    applyFaceOptions();
+}
+
+function getSettingsHash() {
+    return `#look=${encodeSettings(settings)}`;
+}
+
+// Throttled so per-frame changes (head tilt color) don't flood history
+function scheduleHashUpdate() {
+    if (!hashReady || hashUpdateTimer) return;
+    hashUpdateTimer = setTimeout(() => {
+        hashUpdateTimer = null;
+        lastHash = getSettingsHash();
+        history.replaceState(null, '', lastHash);
+    }, 300);
+}
+
+function loadSettingsFromHash() {
+    if (location.hash === lastHash) return;
+    const encoded = new URLSearchParams(location.hash.slice(1)).get('look');
+    if (!encoded) return;
+
+    const decoded = decodeSettings(encoded);
+    if (decoded) {
+        applySettings(decoded);
+    } else {
+        console.warn('Ignoring malformed settings in URL');
+    }
+}
+
+function flashButtonLabel(btn, label) {
+    const original = btn.textContent;
+    btn.textContent = label;
+    setTimeout(() => { btn.textContent = original; }, 1200);
+}
+
+presetSelect.addEventListener('change', () => {
+    const name = presetSelect.value;
+    if (!presets.has(name)) return;
+    presetNameInput.value = name;
+    applySettings(presets.get(name));
+});
+
+document.getElementById('preset-save').addEventListener('click', (e) => {
+    const name = presetNameInput.value.trim() || presetSelect.value;
+    if (!name) {
+        presetNameInput.focus();
+        return;
+    }
+    presets.set(name, normalizeSettings(settings));
+    savePresets();
+    renderPresetOptions(name);
+    presetNameInput.value = name;
+    flashButtonLabel(e.currentTarget, 'Saved');
+});
+
+document.getElementById('preset-delete').addEventListener('click', () => {
+    const name = presetSelect.value;
+    if (!presets.has(name)) return;
+    presets.delete(name);
+    savePresets();
+    renderPresetOptions();
+    presetNameInput.value = '';
+});
+
+document.getElementById('preset-export').addEventListener('click', () => {
+    const name = presetNameInput.value.trim() || presetSelect.value;
+    const data = { name: name || undefined, ...normalizeSettings(settings) };
+    downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), 'json');
+});
+
+document.getElementById('preset-import').addEventListener('click', () => {
+    presetFileInput.click();
+});
+
+// Imported files are applied, and saved as a preset when they carry a name
+presetFileInput.addEventListener('change', async () => {
+    const file = presetFileInput.files[0];
+    presetFileInput.value = '';
+    if (!file) return;
+
+    try {
+        const data = JSON.parse(await file.text());
+        applySettings(data);
+        if (typeof data.name === 'string' && data.name.trim()) {
+            const name = data.name.trim();
+            presets.set(name, normalizeSettings(data));
+            savePresets();
+            renderPresetOptions(name);
+            presetNameInput.value = name;
+        }
+    } catch (err) {
+        console.error('Preset import failed:', err);
+        alert('That file is not a valid preset.');
+    }
+});
+
+document.getElementById('preset-link').addEventListener('click', (e) => {
+    const btn = e.currentTarget;
+    const url = location.href.split('#')[0] + getSettingsHash();
+    const copy = navigator.clipboard
+        ? navigator.clipboard.writeText(url)
+        : Promise.reject(new Error('Clipboard unavailable'));
+    copy
+        .then(() => flashButtonLabel(btn, 'Copied'))
+        .catch(() => {
+            history.replaceState(null, '', getSettingsHash());
+            flashButtonLabel(btn, 'In Address Bar');
+        });
+});
+
+window.addEventListener('hashchange', loadSettingsFromHash);
+renderPresetOptions();
+
+// Face mesh initialization (see face-mesh-loader.js)
+const faceStatusEl = document.getElementById('face-status');
+const faceStatusText = faceStatusEl.querySelector('.face-status-text');
+let faceMeshReady = false;
+let faceMeshLoading = null;
+let faceMeshError = null;
+let faceCount = 0;
+
+// Face tracking status in the Interactive section
+function updateFaceStatus() {
+    let state = 'off';
+    let text = 'Face tracking off';
+
+    if (faceMeshError) {
+        state = 'error';
+        text = faceMeshError;
+    } else if (!isFaceTrackingWanted()) {
+        state = 'off';
+    } else if (faceMeshLoading && !faceMeshReady) {
+        state = 'loading';
+        text = 'Loading face tracking…';
+    } else if (!isVideoSourceActive()) {
+        state = 'loading';
+        text = 'Waiting for video';
+    } else if (faceCount === 0) {
+        state = 'searching';
+        text = 'No face detected';
+    } else {
+        state = 'tracking';
+        text = faceCount === 1 ? 'Tracking 1 face' : `Tracking ${faceCount} faces`;
+    }
+
+    if (faceStatusEl.dataset.state !== state || faceStatusText.textContent !== text) {
+        faceStatusEl.dataset.state = state;
+        faceStatusText.textContent = text;
+    }
+}
+
+function setFaceMeshError(message, err) {
+    console.error(message, err);
+    faceMeshError = message;
+    updateFaceStatus();
+    showHud(message);
+}
+
+function initFaceDetection() {
+    if (!faceMeshLoading) {
+        faceMeshError = null;
+        faceMeshLoading = startFaceDetection().catch((err) => {
+            faceDetector = null;
+            faceMeshLoading = null;
+            setFaceMeshError('Face tracking failed to load', err);
+        });
+        updateFaceStatus();
+    }
+    return faceMeshLoading;
+}
+
+async function startFaceDetection() {
+    faceDetector = await createFaceMesh({
+        maxFaces: settings.maxFaces,
+        onResults: (results) => {
+            faceMeshReady = true;
+            onFaceResults(results);
+        }
+    });
+    faceMeshReady = true;
+    updateFaceStatus();
+}
+
+function isFaceTrackingWanted() {
+    return settings.colorShift || settings.blinkInvert || settings.faceRegion !== 'full' || debugOverlayOn ||
+        landmarkRecording !== null || isSendingFaceSignals();
+}
+
+function createFaceTrack() {
+    const track = {
+        id: nextFaceId++,
+        bounds: null,
+        landmarks: null,
+        // Spread extra faces around the color wheel
+        accentColor: hueToRgb((baseHue + nextFaceId * 90) % 360),
+        runner: createMappingRunner(),
+        detector: null
+    };
+    track.detector = createBlinkDetector({
+        ...blinkSettings,
+        onGesture: gesture => onFaceGesture(track, gesture)
+    });
+    return track;
+}
+
+// A gesture set to invert recolors the face that made it. Capture, recording
+// and effect changes are left to the primary face, so bystanders can't
+// trigger them.
+function onFaceGesture(track, gesture) {
+    if (settings.gestureActions[gesture] !== 'invert') return;
+    const { r, g, b } = track.accentColor;
+    track.accentColor = { r: 255 - r, g: 255 - g, b: 255 - b };
+}
+
+function updateFaceTracks(faces) {
+    const bounds = faces.map(landmarks => getFaceBounds(landmarks));
+    const matches = matchFaceTracks(faceTracks.map(track => track.bounds), bounds);
+    const previousPrimary = faceTracks[0];
+
+    faceTracks = bounds.map((faceBounds, i) => {
+        const track = matches[i] >= 0 ? faceTracks[matches[i]] : createFaceTrack();
+        track.bounds = faceBounds;
+        track.landmarks = faces[i];
+        return track;
+    }).sort((a, b) => a.id - b.id);
+
+    // Eye state from another face (or none) is meaningless
+    if (faceTracks[0] !== previousPrimary) blinkDetector.reset();
+}
+
+// Regions for the pipeline; only sent when they change how a frame renders
+function getFaceRegions() {
+    if (settings.faceRegion === 'full' && faceTracks.length < 2) return [];
+    return faceTracks.map((track, i) => ({
+        ...track.bounds,
+        accentColor: i === 0 ? null : track.accentColor
+    }));
+}
+
+function applyFaceOptions() {
+    maxFacesSelect.value = settings.maxFaces;
+    faceRegionSelect.value = settings.faceRegion;
+    if (faceDetector) {
+        faceDetector.setOptions({ maxNumFaces: settings.maxFaces });
+    }
+    if (isFaceTrackingWanted() && !faceDetector) {
+        initFaceDetection();
+    }
+    updateFaceStatus();
+}
+
+// Process face mesh results
+function onFaceResults(results) {
+    if (!isFaceTrackingWanted()) return;
+
+    const hadRegions = getFaceRegions().length > 0;
+    updateFaceTracks((results.multiFaceLandmarks || []).slice(0, settings.maxFaces));
+    faceCount = faceTracks.length;
+    updateFaceStatus();
+    const now = performance.now();
+
+    faceTracks.forEach((track, i) => {
+        const primary = i === 0;
+
+        // Face signals drive whatever parameters the mappings name; extra
+        // faces only take the hue, as their own accent
+        if (settings.colorShift) {
+            const signals = extractFaceSignals(track.landmarks);
+            const runner = primary ? mappingRunner : track.runner;
+            runner.run(settings.mappings, signals).forEach(({ mapping, value }) => {
+                if (primary) {
+                    MAPPING_APPLIERS[mapping.target](value);
+                } else if (mapping.target === 'hue') {
+                    track.accentColor = hueToRgb(((value % 360) + 360) % 360);
+                }
+            });
+            if (primary) updateMappingReadouts(signals);
+        }
+
+        if (primary && isSendingFaceSignals()) sendFaceSignals(track.landmarks);
+
+        // Blink gestures using Eye Aspect Ratio (EAR)
+        if (settings.blinkInvert) {
+            (primary ? blinkDetector : track.detector).update(track.landmarks, now);
+        } else if (primary && isSendingFaceSignals()) {
+            blinkDetector.update(track.landmarks, now);
+        }
+    });
+
+    if (hadRegions || getFaceRegions().length > 0) {
+        syncRenderState();
+    }
+
+    if (debugOverlayOn) drawDebugOverlay();
+    if (landmarkRecording) recordLandmarks(now);
+}
+
+// Invert the accent color
+function invertAccentColor() {
+    setAccentColor(invertColor(settings.accentColor));
+}
+
+// Convert HSL hue to RGB and update accent color
+function updateAccentColorFromHue(hue) {
+    setAccentColor(hueToRgb(hue));
+}
+
+// Run face detection on video frame
+// MediaPipe Face Mesh needs the DOM, so unlike rendering it stays on the main thread
+let faceDetectionPending = false;
+
+async function runFaceDetection() {
+    if (!isFaceTrackingWanted() || !faceDetector || !isVideoSourceActive() || video.readyState < 2) {
+        return;
+    }
+
+    // Prevent overlapping detections
+    if (faceDetectionPending) return;
+    // Adaptive quality may only detect on every nth frame
+    if (faceFrameCounter++ % getFaceInterval() !== 0) return;
+    faceDetectionPending = true;
+
+    try {
+        const start = performance.now();
+        await faceDetector.send({ image: video });
+        recordFaceTiming(performance.now() - start);
+    } catch (err) {
+        // Free its WASM and GL resources; a broken graph may not close cleanly either
+        if (faceDetector) Promise.resolve(faceDetector.close()).catch(() => {});
+        faceDetector = null;
+        faceMeshLoading = null;
+        setFaceMeshError('Face tracking stopped working', err);
+    } finally {
+        faceDetectionPending = false;
+    }
+}
+
+// Capture button
+document.getElementById('capture-btn').addEventListener('click', () => {
+    const flash = document.getElementById('capture-flash');
+    flash.classList.add('flash');
+    setTimeout(() => flash.classList.remove('flash'), 100);
+
+    captureImage()
+        .then(blob => downloadBlob(blob, 'png'))
+        .catch(err => console.error('Capture failed:', err));
+});
+
+// Recording
+const recordBtn = document.getElementById('record-btn');
+const recordToggle = document.getElementById('record-toggle');
+const GIF_MAX_SECONDS = 10;
+const GIF_FRAME_DELAY = 100;
+const GIF_MAX_WIDTH = 480;
+let recordFormat = 'webm';
+let isRecording = false;
+let mediaRecorder = null;
+let gifCanvas = null;
+let gifFrames = [];
+let gifTimer = null;
+let recordStart = 0;
+let recordTimer = null;
+
+function formatElapsed(ms) {
+    const seconds = Math.floor(ms / 1000);
+    const m = String(Math.floor(seconds / 60)).padStart(2, '0');
+    const s = String(seconds % 60).padStart(2, '0');
+    return `${m}:${s}`;
+}
+
+function updateRecordTime() {
+    const elapsed = isRecording ? performance.now() - recordStart : 0;
+    document.getElementById('record-time').textContent = formatElapsed(elapsed);
+    document.getElementById('record-elapsed').textContent = formatElapsed(elapsed);
+
+    if (isRecording && recordFormat === 'gif' && elapsed >= GIF_MAX_SECONDS * 1000) {
+        stopRecording();
+    }
+}
+
+function downloadBlob(blob, extension) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = `vision-${Date.now()}.${extension}`;
+    link.href = url;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function getRecorderMimeType() {
+    const types = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+    return types.find(type => MediaRecorder.isTypeSupported(type)) || '';
+}
+
+async function captureGifFrame() {
+    const target = gifCanvas;
+    try {
+        const bitmap = await grabFrame(target.width, target.height);
+        // Recording may have stopped while the frame was in flight
+        if (gifCanvas === target) {
+            const gifCtx = target.getContext('2d', { willReadFrequently: true });
+            gifCtx.drawImage(bitmap, 0, 0);
+            if (debugOverlayOn && debugInCaptures) {
+                gifCtx.drawImage(debugCanvas, 0, 0, target.width, target.height);
+            }
+            gifFrames.push(gifCtx.getImageData(0, 0, target.width, target.height));
+        }
+        bitmap.close();
+    } catch (err) {
+        console.warn('GIF frame capture failed:', err);
+    }
+}
+
+function startRecording() {
+    if (recordFormat === 'webm') {
+        if (typeof MediaRecorder === 'undefined' || !canvas.captureStream) {
+            alert('Video recording is not supported in this browser.');
+            return;
+        }
+
+        const chunks = [];
+        const mimeType = getRecorderMimeType();
+        // Also works on a canvas whose control was transferred to the worker
+        const recorder = new MediaRecorder(canvas.captureStream(30), mimeType ? { mimeType } : undefined);
+        recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        };
+        recorder.onstop = () => {
+            recorder.stream.getTracks().forEach(track => track.stop());
+            downloadBlob(new Blob(chunks, { type: 'video/webm' }), 'webm');
+        };
+        recorder.start(1000);
+        mediaRecorder = recorder;
+    } else {
+        // Sample the canvas at a reduced size; encoding happens once recording stops
+        const scale = Math.min(1, GIF_MAX_WIDTH / outputWidth);
+        gifCanvas = document.createElement('canvas');
+        gifCanvas.width = Math.round(outputWidth * scale);
+        gifCanvas.height = Math.round(outputHeight * scale);
+        gifFrames = [];
+        captureGifFrame();
+        gifTimer = setInterval(captureGifFrame, GIF_FRAME_DELAY);
+    }
+
+    isRecording = true;
+    recordStart = performance.now();
+    recordTimer = setInterval(updateRecordTime, 250);
+    updateRecordUI();
+}
+
+function stopRecording() {
+    if (!isRecording) return;
+    isRecording = false;
+    clearInterval(recordTimer);
+
+    if (mediaRecorder) {
+        mediaRecorder.stop();
+        mediaRecorder = null;
+    }
+
+    if (gifTimer) {
+        clearInterval(gifTimer);
+        gifTimer = null;
+        if (gifFrames.length > 0) {
+            downloadBlob(encodeGif(gifFrames, GIF_FRAME_DELAY), 'gif');
+        }
+        gifFrames = [];
+        gifCanvas = null;
+    }
+
+    updateRecordTime();
+    updateRecordUI();
+}
+
+function updateRecordUI() {
+    recordBtn.classList.toggle('recording', isRecording);
+    recordToggle.classList.toggle('recording', isRecording);
+    recordToggle.textContent = isRecording ? 'Stop Recording' : 'Start Recording';
+    document.querySelectorAll('[data-record-format]').forEach(btn => {
+        btn.disabled = isRecording;
+    });
+}
+
+function toggleRecording() {
+    if (isRecording) {
+        stopRecording();
+    } else {
+        startRecording();
+    }
+}
+
+recordBtn.addEventListener('click', toggleRecording);
+recordToggle.addEventListener('click', toggleRecording);
+
+document.querySelectorAll('[data-record-format]').forEach(btn => {
+    btn.addEventListener('click', () => {
+        if (isRecording) return;
+        document.querySelectorAll('[data-record-format]').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        recordFormat = btn.dataset.recordFormat;
+    });
+});
+
+// Stream output (see stream-output.js): the output canvas as a MediaStream
+// for picture in picture, a loopback WebRTC preview that shows what a call
+// would receive, and viewers in other tabs (viewer.html)
+const OUTPUT_FPS = 30;
+const pipVideo = document.getElementById('pip-video');
+const loopbackVideo = document.getElementById('loopback-video');
+const outputButtons = {
+    pip: document.getElementById('pip-btn'),
+    loopback: document.getElementById('loopback-btn'),
+    share: document.getElementById('share-btn')
+};
+let outputStream = null;
+let loopback = null;
+let outputSender = null;
+
+// One capture stream shared by every output
+function getOutputStream() {
+    if (!outputStream) {
+        if (!canvas.captureStream) throw new Error('Streaming the output is not supported in this browser');
+        outputStream = canvas.captureStream(OUTPUT_FPS);
+    }
+    return outputStream;
+}
+
+function updateOutputStatus() {
+    const pip = document.pictureInPictureElement === pipVideo;
+    outputButtons.pip.classList.toggle('active', pip);
+    outputButtons.loopback.classList.toggle('active', !!loopback);
+    outputButtons.share.classList.toggle('active', !!outputSender);
+
+    const parts = [];
+    if (pip) parts.push('PiP');
+    if (loopback) parts.push('Loopback');
+    if (outputSender) {
+        const viewers = outputSender.peerCount;
+        parts.push(viewers === 1 ? '1 Viewer' : `${viewers} Viewers`);
+    }
+    document.getElementById('output-value').textContent = parts.length ? parts.join(' · ') : 'Off';
+}
+
+function showOutputError(message, err) {
+    console.error(message, err);
+    showHud(err && err.message ? err.message : message);
+}
+
+async function togglePictureInPicture() {
+    if (document.pictureInPictureElement === pipVideo) {
+        await document.exitPictureInPicture();
+        return;
+    }
+    if (!document.pictureInPictureEnabled) {
+        showHud('Picture in picture is not supported in this browser');
+        return;
+    }
+    pipVideo.srcObject = getOutputStream();
+    await pipVideo.play();
+    await pipVideo.requestPictureInPicture();
+}
+
+pipVideo.addEventListener('enterpictureinpicture', updateOutputStatus);
+pipVideo.addEventListener('leavepictureinpicture', () => {
+    pipVideo.srcObject = null;
+    updateOutputStatus();
+});
+
+function startLoopback() {
+    const [senderEnd, receiverEnd] = createLoopbackSignaling();
+    loopback = {
+        sender: createStreamSender(getOutputStream(), senderEnd),
+        receiver: createStreamReceiver(receiverEnd, {
+            onStream: stream => {
+                loopbackVideo.srcObject = stream;
+                loopbackVideo.play().catch(err => showOutputError('Loopback preview failed', err));
+            }
+        })
+    };
+    loopbackVideo.hidden = false;
+    updateOutputStatus();
+}
+
+function stopLoopback() {
+    if (!loopback) return;
+    loopback.receiver.close();
+    loopback.sender.close();
+    loopback = null;
+    loopbackVideo.srcObject = null;
+    loopbackVideo.hidden = true;
+    updateOutputStatus();
+}
+
+function startSharing() {
+    outputSender = createStreamSender(getOutputStream(), createBroadcastSignaling(), {
+        onPeersChange: updateOutputStatus
+    });
+    updateOutputStatus();
+    showHud('Sharing: open the viewer in another tab');
+}
+
+function stopSharing() {
+    if (!outputSender) return;
+    outputSender.close();
+    outputSender = null;
+    updateOutputStatus();
+}
+
+// The capture stream belongs to the canvas, so outputs stop when it is replaced
+function stopStreamOutputs() {
+    if (document.pictureInPictureElement === pipVideo) {
+        document.exitPictureInPicture().catch(() => {});
+    }
+    stopLoopback();
+    stopSharing();
+    if (outputStream) {
+        outputStream.getTracks().forEach(track => track.stop());
+        outputStream = null;
+    }
+}
+
+function togglePipOutput() {
+    togglePictureInPicture().catch(err => showOutputError('Picture in picture failed', err));
+}
+
+function toggleLoopbackOutput() {
+    try {
+        if (loopback) {
+            stopLoopback();
+        } else {
+            startLoopback();
+        }
+    } catch (err) {
+        showOutputError('Loopback preview failed', err);
+    }
+}
+
+function toggleSharedOutput() {
+    try {
+        if (outputSender) {
+            stopSharing();
+        } else {
+            startSharing();
+        }
+    } catch (err) {
+        showOutputError('Sharing failed', err);
+    }
+}
+
+outputButtons.pip.addEventListener('click', togglePipOutput);
+outputButtons.loopback.addEventListener('click', toggleLoopbackOutput);
+outputButtons.share.addEventListener('click', toggleSharedOutput);
+window.addEventListener('pagehide', stopSharing);
+
+// Remote control (see remote-control.js): another device changes the look
+// over a WebSocket, and face signals go back out for other tools to react
+// to. The connection is a setup detail, so kept apart from the look.
+const REMOTE_SETTINGS_KEY = 'remote-settings';
+const remoteUrlInput = document.getElementById('remote-url');
+const remoteConnectBtn = document.getElementById('remote-connect');
+const remoteFaceBtn = document.getElementById('remote-face');
+const remoteFormatSelect = document.getElementById('remote-format');
+const remoteSettings = loadRemoteSettings();
+
+const REMOTE_STATUS_LABELS = {
+    connecting: 'Connecting…',
+    connected: 'Connected',
+    reconnecting: 'Reconnecting…',
+    closed: 'Off'
+};
+
+function getRemoteNumber(value, address) {
+    const number = Number(value);
+    if (value === undefined || value === '' || !Number.isFinite(number)) {
+        throw new Error(`${address} needs a number`);
+    }
+    return number;
+}
+
+function setRemoteAdjustment(id, value, address) {
+    const target = getMappingTarget(id);
+    setAdjustment(id, Math.min(target.max, Math.max(target.min, getRemoteNumber(value, address))));
+}
+
+// Incoming addresses; handlers get the message's arguments and throw when
+// they can't use them
+const REMOTE_HANDLERS = {
+    '/effect': name => {
+        if (!getEffect(name)) throw new Error(`Unknown effect: ${name}`);
+        setEffect(name);
+    },
+    '/next': () => cycleEffect(1),
+    '/previous': () => cycleEffect(-1),
+    '/intensity': value => setRemoteAdjustment('intensity', value, '/intensity'),
+    '/brightness': value => setRemoteAdjustment('brightness', value, '/brightness'),
+    '/contrast': value => setRemoteAdjustment('contrast', value, '/contrast'),
+    // A range param of the current effect, e.g. /param threshold 40
+    '/param': (id, value) => {
+        const param = getEffect(settings.effect).params.find(p => p.id === id && !p.type);
+        if (!param) throw new Error(`Unknown param for ${settings.effect}: ${id}`);
+        setEffectParam(settings.effect, id, getRemoteNumber(value, '/param'));
+    },
+    // #rrggbb, or r g b from 0 to 255
+    '/color': (...args) => {
+        if (args.length >= 3) {
+            const [r, g, b] = args.map(value => Math.min(255, Math.max(0, Math.round(getRemoteNumber(value, '/color')))));
+            setAccentColor({ r, g, b });
+        } else if (/^#?[0-9a-f]{6}$/i.test(args[0])) {
+            setAccentColor(hexToRgb(args[0]));
+        } else {
+            throw new Error('/color needs #rrggbb or r g b');
+        }
+    },
+    '/hue': value => updateAccentColorFromHue(((getRemoteNumber(value, '/hue') % 360) + 360) % 360),
+    '/invert': () => invertAccentColor(),
+    '/capture': () => document.getElementById('capture-btn').click(),
+    // Toggles, or starts and stops with true and false
+    '/record': (value) => {
+        if (value === undefined || !!value !== isRecording) toggleRecording();
+    }
+};
+
+function loadRemoteSettings() {
+    const defaults = { url: '', format: 'json', enabled: false, sendFace: false };
+    try {
+        return { ...defaults, ...JSON.parse(localStorage.getItem(REMOTE_SETTINGS_KEY)) };
+    } catch (err) {
+        return defaults;
+    }
+}
+
+function saveRemoteSettings() {
+    try {
+        localStorage.setItem(REMOTE_SETTINGS_KEY, JSON.stringify(remoteSettings));
+    } catch (err) {
+        console.warn('Could not save remote settings:', err);
+    }
+}
+
+function updateRemoteStatus() {
+    const status = remoteClient ? remoteClient.status : 'closed';
+    document.getElementById('remote-status').textContent = REMOTE_STATUS_LABELS[status];
+    remoteConnectBtn.classList.toggle('active', !!remoteClient);
+    remoteConnectBtn.textContent = remoteClient ? 'Disconnect' : 'Connect';
+    remoteFaceBtn.classList.toggle('active', remoteSettings.sendFace);
+}
+
+function onRemoteMessage({ address, args }) {
+    const handler = REMOTE_HANDLERS[address];
+    if (!handler) {
+        console.warn('Unknown remote address:', address);
+        return;
+    }
+    try {
+        handler(...args);
+    } catch (err) {
+        console.warn('Remote message ignored:', err.message);
+    }
+}
+
+function startRemote() {
+    const url = remoteUrlInput.value.trim();
+    if (!url) {
+        showHud('Enter a WebSocket URL first');
+        return;
+    }
+    try {
+        remoteClient = createRemoteClient({
+            url,
+            format: remoteSettings.format,
+            onMessage: onRemoteMessage,
+            onStatusChange: updateRemoteStatus,
+            onError: err => console.warn('Remote message ignored:', err.message)
+        });
+    } catch (err) {
+        console.error('Remote control failed:', err);
+        showHud(err.message);
+        return;
+    }
+    remoteSettings.url = url;
+    remoteSettings.enabled = true;
+    saveRemoteSettings();
+    updateRemoteStatus();
+    updateFaceStatus();
+    if (remoteSettings.sendFace && !faceDetector) initFaceDetection();
+}
+
+function stopRemote() {
+    if (!remoteClient) return;
+    remoteClient.close();
+    remoteClient = null;
+    remoteSettings.enabled = false;
+    saveRemoteSettings();
+    updateRemoteStatus();
+    updateFaceStatus();
+}
+
+// Editing the URL while connected moves the client over to the new server
+function changeRemoteUrl() {
+    const url = remoteUrlInput.value.trim();
+    if (!url || url === remoteSettings.url) return;
+    try {
+        remoteClient.configure({ url });
+    } catch (err) {
+        // The client closed itself
+        console.error('Remote control failed:', err);
+        showHud(err.message);
+        stopRemote();
+        return;
+    }
+    remoteSettings.url = url;
+    saveRemoteSettings();
+}
+
+function toggleRemote() {
+    if (remoteClient) {
+        stopRemote();
+    } else {
+        startRemote();
+    }
+}
+
+function isSendingFaceSignals() {
+    return remoteClient !== null && remoteSettings.sendFace;
+}
+
+// Head tilt on every face detection, rounded so a still head sends the same value
+function sendFaceSignals(landmarks) {
+    remoteClient.send('/face/tilt', Math.round(extractFaceSignals(landmarks).tilt * 10) / 10);
+}
+
+remoteUrlInput.value = remoteSettings.url;
+remoteFormatSelect.value = remoteSettings.format;
+remoteConnectBtn.addEventListener('click', toggleRemote);
+remoteUrlInput.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter') return;
+    if (remoteClient) {
+        changeRemoteUrl();
+    } else {
+        startRemote();
+    }
+});
+remoteUrlInput.addEventListener('change', () => {
+    if (remoteClient) changeRemoteUrl();
+});
+remoteFormatSelect.addEventListener('change', () => {
+    remoteSettings.format = remoteFormatSelect.value;
+    if (remoteClient) remoteClient.configure({ format: remoteSettings.format });
+    saveRemoteSettings();
+});
+remoteFaceBtn.addEventListener('click', () => {
+    remoteSettings.sendFace = !remoteSettings.sendFace;
+    saveRemoteSettings();
+    updateRemoteStatus();
+    updateFaceStatus();
+    if (isSendingFaceSignals() && !faceDetector) initFaceDetection();
+});
+
+updateRemoteStatus();
+
+// MIDI control (see midi-control.js): knobs and faders drive the adjustment
+// sliders, pads and keys switch effects, capture and record. In learn mode a
+// click picks the control and the next MIDI control that moves is bound to it.
+// Bindings belong to the hardware, so like remote settings they stay local.
+const MIDI_SETTINGS_KEY = 'midi-settings';
+const MIDI_SLIDERS = ['intensity', 'brightness', 'contrast'];
+const midiEnableBtn = document.getElementById('midi-enable');
+const midiLearnBtn = document.getElementById('midi-learn');
+const midiBindingList = document.getElementById('midi-bindings');
+const midiSettings = loadMidiSettings();
+let midiInputs = null;
+let midiDeviceNames = [];
+let midiLearning = false;
+
+const midiMapper = createMidiMapper({
+    bindings: midiSettings.bindings,
+    onAction: runMidiAction,
+    onLearn: (binding) => {
+        saveMidiBindings();
+        markMidiLearnTarget(null);
+        showHud(`${getMidiTargetLabel(binding.target)}: ${describeMidiBinding(binding)}`);
+    }
+});
+
+function loadMidiSettings() {
+    const defaults = { enabled: false, bindings: [] };
+    try {
+        return { ...defaults, ...JSON.parse(localStorage.getItem(MIDI_SETTINGS_KEY)) };
+    } catch (err) {
+        return defaults;
+    }
+}
+
+function saveMidiSettings() {
+    try {
+        localStorage.setItem(MIDI_SETTINGS_KEY, JSON.stringify(midiSettings));
+    } catch (err) {
+        console.warn('Could not save MIDI settings:', err);
+    }
+}
+
+function saveMidiBindings() {
+    midiSettings.bindings = midiMapper.bindings;
+    saveMidiSettings();
+    renderMidiBindings();
+}
+
+function getMidiTargetLabel(target) {
+    if (MIDI_SLIDERS.includes(target)) return getMappingTarget(target).label;
+    if (target === 'capture') return 'Capture';
+    if (target === 'record') return 'Record';
+    const effect = getEffect(target.slice('effect:'.length));
+    return effect ? effect.label : target;
+}
+
+// The bindable control under a click, as a binding target, or null
+function getMidiTarget(el) {
+    const slider = el.closest('input[type="range"]');
+    if (slider && MIDI_SLIDERS.includes(slider.id)) return slider.id;
+    const effectBtn = el.closest('.effect-btn');
+    if (effectBtn) return `effect:${effectBtn.dataset.effect}`;
+    if (el.closest('#capture-btn')) return 'capture';
+    if (el.closest('#record-btn, #record-toggle')) return 'record';
+    return null;
+}
+
+function getMidiTargetElements(target) {
+    if (MIDI_SLIDERS.includes(target)) return [document.getElementById(target)];
+    if (target === 'capture') return [document.getElementById('capture-btn')];
+    if (target === 'record') return [recordBtn, recordToggle];
+    return Array.from(document.querySelectorAll('.effect-btn'))
+        .filter(btn => `effect:${btn.dataset.effect}` === target);
+}
+
+function markMidiLearnTarget(target) {
+    document.querySelectorAll('.midi-learn-target').forEach(el => el.classList.remove('midi-learn-target'));
+    if (target) getMidiTargetElements(target).forEach(el => el.classList.add('midi-learn-target'));
+}
+
+// Sliders span their whole range; everything else acts once per press
+function runMidiAction(binding, value, pressed) {
+    // Learn mode is for setting up, so bound controls wait until it ends
+    if (midiLearning) return;
+
+    if (MIDI_SLIDERS.includes(binding.target)) {
+        const target = getMappingTarget(binding.target);
+        setAdjustment(binding.target, target.min + value * (target.max - target.min));
+        return;
+    }
+    if (!pressed) return;
+
+    if (binding.target === 'capture') {
+        document.getElementById('capture-btn').click();
+    } else if (binding.target === 'record') {
+        toggleRecording();
+    } else {
+        const name = binding.target.slice('effect:'.length);
+        if (getEffect(name) && name !== settings.effect) {
+            setEffect(name);
+            showHud(getEffect(name).label);
+        }
+    }
+}
+
+function renderMidiBindings() {
+    midiBindingList.innerHTML = '';
+    midiMapper.bindings.forEach(binding => {
+        const row = document.createElement('div');
+        row.className = 'mapping-row';
+        const head = document.createElement('div');
+        head.className = 'mapping-head';
+        const label = document.createElement('span');
+        label.className = 'midi-binding-label';
+        label.textContent = getMidiTargetLabel(binding.target);
+        const source = document.createElement('span');
+        source.className = 'midi-binding-source';
+        source.textContent = describeMidiBinding(binding);
+        head.append(label, source, createLayerButton('×', 'Remove binding', () => {
+            midiMapper.unbind(binding.target);
+            saveMidiBindings();
+        }));
+        row.appendChild(head);
+        midiBindingList.appendChild(row);
+    });
+}
+
+function updateMidiStatus() {
+    let text = 'Off';
+    if (midiInputs && midiDeviceNames.length === 0) {
+        text = 'No Devices';
+    } else if (midiInputs) {
+        text = midiDeviceNames.length === 1 ? midiDeviceNames[0] : `${midiDeviceNames.length} Devices`;
+    }
+    document.getElementById('midi-status').textContent = text;
+    midiEnableBtn.classList.toggle('active', !!midiInputs);
+    midiEnableBtn.textContent = midiInputs ? 'Disable MIDI' : 'Enable MIDI';
+    midiLearnBtn.classList.toggle('active', midiLearning);
+}
+
+async function startMidi() {
+    if (midiInputs) return;
+    try {
+        midiInputs = await openMidiInputs({
+            onMessage: data => midiMapper.handle(data),
+            onInputsChange: (names) => {
+                midiDeviceNames = names;
+                updateMidiStatus();
+            }
+        });
+    } catch (err) {
+        console.error('MIDI failed:', err);
+        showHud(err.message);
+        return;
+    }
+    midiSettings.enabled = true;
+    saveMidiSettings();
+    updateMidiStatus();
+}
+
+function stopMidi() {
+    setMidiLearn(false);
+    if (!midiInputs) return;
+    midiInputs.close();
+    midiInputs = null;
+    midiDeviceNames = [];
+    midiSettings.enabled = false;
+    saveMidiSettings();
+    updateMidiStatus();
+}
+
+function setMidiLearn(enabled) {
+    midiLearning = enabled;
+    document.body.classList.toggle('midi-learn', enabled);
+    if (!enabled) {
+        midiMapper.cancelLearn();
+        markMidiLearnTarget(null);
+    }
+    updateMidiStatus();
+}
+
+async function toggleMidiLearn() {
+    if (midiLearning) {
+        setMidiLearn(false);
+        return;
+    }
+    await startMidi();
+    if (!midiInputs) return;
+    setMidiLearn(true);
+    showHud('MIDI Learn: click a control, then move a knob or press a pad');
+}
+
+// While learning, a click on a bindable control picks it instead of using it
+function onMidiLearnPointer(e) {
+    if (!midiLearning || e.target === midiLearnBtn) return;
+    const target = getMidiTarget(e.target);
+    if (!target) return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.type !== 'pointerdown') return;
+
+    // Sliders need a knob or fader; buttons take pads and keys too
+    midiMapper.learn(target, MIDI_SLIDERS.includes(target) ? ['cc'] : ['cc', 'note']);
+    markMidiLearnTarget(target);
+}
+
+document.addEventListener('pointerdown', onMidiLearnPointer, true);
+document.addEventListener('click', onMidiLearnPointer, true);
+// A slider may still move under the pointer or arrow keys; put it back
+document.addEventListener('input', (e) => {
+    if (midiLearning && MIDI_SLIDERS.includes(e.target.id)) {
+        e.stopPropagation();
+        showAdjustment(e.target.id);
+    }
+}, true);
+document.addEventListener('keydown', (e) => {
+    if (midiLearning && e.key === 'Escape') {
+        e.stopPropagation();
+        setMidiLearn(false);
+    }
+}, true);
+
+midiEnableBtn.addEventListener('click', () => {
+    if (midiInputs) {
+        stopMidi();
+    } else {
+        startMidi();
+    }
+});
+midiLearnBtn.addEventListener('click', toggleMidiLearn);
+
+renderMidiBindings();
+updateMidiStatus();
+if (midiSettings.enabled) startMidi();
+
+// Keyboard shortcuts and command palette
+// Every action is a command with an optional key; users can rebind keys from
+// the palette and the overrides are kept in localStorage.
+const SHORTCUTS_KEY = 'shortcuts';
+const commandPalette = document.getElementById('command-palette');
+const paletteInput = document.getElementById('palette-input');
+const paletteList = document.getElementById('palette-list');
+const hudToast = document.getElementById('hud-toast');
+let shortcutOverrides = loadShortcuts();
+let paletteMode = 'run'; // 'run', 'bind' (pick a command) or 'capture' (press a key)
+let paletteItems = [];
+let paletteIndex = 0;
+let bindingCommand = null;
+let activeSliderIndex = 0;
+let hudTimer = null;
+
+function loadShortcuts() {
+    try {
+        return JSON.parse(localStorage.getItem(SHORTCUTS_KEY)) || {};
+    } catch (err) {
+        return {};
+    }
+}
+
+function saveShortcuts() {
+    try {
+        localStorage.setItem(SHORTCUTS_KEY, JSON.stringify(shortcutOverrides));
+    } catch (err) {
+        console.warn('Could not save shortcuts:', err);
+    }
+}
+
+function showHud(text) {
+    hudToast.textContent = text;
+    hudToast.classList.add('visible');
+    clearTimeout(hudTimer);
+    hudTimer = setTimeout(() => hudToast.classList.remove('visible'), 1200);
+}
+
+function toggleFullscreen() {
+    if (document.fullscreenElement) {
+        document.exitFullscreen();
+    } else if (document.documentElement.requestFullscreen) {
+        document.documentElement.requestFullscreen().catch(err => console.warn('Fullscreen refused:', err));
+    }
+}
+
+function cycleEffect(step) {
+    const effects = getEffects();
+    const index = effects.findIndex(effect => effect.name === settings.effect);
+    const next = effects[(index + step + effects.length) % effects.length];
+    setEffect(next.name);
+    showHud(next.label);
+}
+
+// Arrow keys work on whichever panel slider is active, including the current
+// effect's range params
+function getNudgeSliders() {
+    return Array.from(panelExpanded.querySelectorAll('input[type="range"]'));
+}
+
+function getSliderLabel(input) {
+    const item = input.closest('.slider-item');
+    return item ? item.querySelector('.slider-label').textContent : input.title;
+}
+
+function selectSlider(step) {
+    const sliders = getNudgeSliders();
+    if (sliders.length === 0) return;
+    activeSliderIndex = (activeSliderIndex + step + sliders.length) % sliders.length;
+    const slider = sliders[activeSliderIndex];
+    showHud(`${getSliderLabel(slider)} ${slider.value}`);
+}
+
+function nudgeSlider(direction) {
+    const sliders = getNudgeSliders();
+    const slider = sliders[Math.min(activeSliderIndex, sliders.length - 1)];
+    if (!slider) return;
+
+    const min = parseFloat(slider.min);
+    const max = parseFloat(slider.max);
+    const step = parseFloat(slider.step) || 1;
+    const amount = Math.max(step, Math.round((max - min) / 20 / step) * step);
+    slider.value = Math.min(max, Math.max(min, parseFloat(slider.value) + direction * amount));
+    slider.dispatchEvent(new Event('input'));
+    showHud(`${getSliderLabel(slider)} ${slider.value}`);
+}
+
+function getCommands() {
+    const effectCommands = getEffects().map((effect, i) => ({
+        id: `effect:${effect.name}`,
+        label: `Effect: ${effect.label}`,
+        key: i < 9 ? String(i + 1) : '',
+        run: () => {
+            setEffect(effect.name);
+            showHud(effect.label);
+        }
+    }));
+
+    const commands = [
+        ...effectCommands,
+        { id: 'next-effect', label: 'Next Effect', key: ']', run: () => cycleEffect(1) },
+        { id: 'previous-effect', label: 'Previous Effect', key: '[', run: () => cycleEffect(-1) },
+        { id: 'capture', label: 'Capture Photo', key: 'Space', run: () => document.getElementById('capture-btn').click() },
+        { id: 'record', label: 'Start/Stop Recording', key: 'R', run: toggleRecording },
+        { id: 'flip', label: 'Flip Camera', key: 'C', run: () => document.getElementById('flip-btn').click() },
+        { id: 'panel', label: 'Toggle Settings Panel', key: 'P', run: () => setPanelOpen(!panelOpen) },
+        {
+            id: 'hide-ui',
+            label: 'Hide/Show Interface',
+            key: 'H',
+            run: () => document.body.classList.toggle('ui-hidden')
+        },
+        { id: 'fullscreen', label: 'Toggle Fullscreen', key: 'F', run: toggleFullscreen },
+        { id: 'color-shift', label: 'Toggle Face Control', key: 'T', run: () => interactiveButtons.colorShift.click() },
+        { id: 'blink-invert', label: 'Toggle Blink Gestures', key: 'B', run: () => interactiveButtons.blinkInvert.click() },
+        { id: 'debug-overlay', label: 'Toggle Debug Overlay', key: 'D', run: () => setDebugOverlay(!debugOverlayOn) },
+        { id: 'record-landmarks', label: 'Start/Stop Recording Landmarks', key: '', run: toggleLandmarkRecording },
+        { id: 'pip', label: 'Toggle Picture in Picture', key: '', run: togglePipOutput },
+        { id: 'loopback', label: 'Toggle Loopback Preview', key: '', run: toggleLoopbackOutput },
+        { id: 'share-output', label: 'Toggle Sharing to Other Tabs', key: '', run: toggleSharedOutput },
+        { id: 'remote', label: 'Connect/Disconnect Remote Control', key: '', run: toggleRemote },
+        { id: 'midi-learn', label: 'Start/Stop MIDI Learn', key: '', run: toggleMidiLearn },
+        { id: 'motion', label: 'Toggle Motion Detection', key: 'M', run: () => setMotionEnabled(!motionEnabled) },
+        { id: 'motion-region', label: 'Draw Motion Region', key: '', run: startRegionDraw },
+        { id: 'adaptive', label: 'Toggle Adaptive Quality', key: '', run: () => setAdaptive(!performanceSettings.adaptive) },
+        { id: 'slider-next', label: 'Select Next Slider', key: 'ArrowDown', run: () => selectSlider(1) },
+        { id: 'slider-previous', label: 'Select Previous Slider', key: 'ArrowUp', run: () => selectSlider(-1) },
+        { id: 'slider-increase', label: 'Increase Slider', key: 'ArrowRight', run: () => nudgeSlider(1) },
+        { id: 'slider-decrease', label: 'Decrease Slider', key: 'ArrowLeft', run: () => nudgeSlider(-1) },
+        { id: 'palette', label: 'Command Palette', key: 'Mod+K', run: () => openPalette('run') },
+        { id: 'edit-shortcuts', label: 'Edit Keyboard Shortcuts', key: '', run: () => openPalette('bind') },
+        {
+            id: 'reset-shortcuts',
+            label: 'Reset Keyboard Shortcuts',
+            key: '',
+            run: () => {
+                shortcutOverrides = {};
+                saveShortcuts();
+                showHud('Shortcuts reset');
+            }
+        }
+    ];
+
+    commands.forEach(command => {
+        if (command.id in shortcutOverrides) command.key = shortcutOverrides[command.id];
+    });
+    return commands;
+}
+
+// Normalize a keydown into a combo like "Mod+K", "Shift+ArrowUp" or "Space"
+function getKeyCombo(e) {
+    if (['Control', 'Meta', 'Alt', 'Shift'].includes(e.key)) return '';
+
+    let key = e.key === ' ' ? 'Space' : e.key;
+    const printable = key.length === 1;
+    if (printable) key = key.toUpperCase();
+
+    const parts = [];
+    if (e.ctrlKey || e.metaKey) parts.push('Mod');
+    if (e.altKey) parts.push('Alt');
+    // Shift is already reflected in printable characters
+    if (e.shiftKey && !printable) parts.push('Shift');
+    parts.push(key);
+    return parts.join('+');
+}
+
+function formatKeyCombo(combo) {
+    const isMac = /Mac|iPhone|iPad/.test(navigator.platform);
+    return combo
+        .replace('Mod', isMac ? '⌘' : 'Ctrl')
+        .replace('ArrowUp', '↑')
+        .replace('ArrowDown', '↓')
+        .replace('ArrowLeft', '←')
+        .replace('ArrowRight', '→');
+}
+
+function openPalette(mode) {
+    paletteMode = mode;
+    bindingCommand = null;
+    commandPalette.hidden = false;
+    paletteInput.value = '';
+    paletteInput.placeholder = mode === 'bind' ? 'Choose a command to rebind…' : 'Type a command…';
+    paletteIndex = 0;
+    renderPalette();
+    paletteInput.focus();
+}
+
+function closePalette() {
+    commandPalette.hidden = true;
+    bindingCommand = null;
+    paletteInput.blur();
+}
+
+function renderPalette() {
+    const words = paletteInput.value.toLowerCase().split(/\s+/).filter(Boolean);
+    paletteItems = getCommands().filter(command => {
+        const label = command.label.toLowerCase();
+        return words.every(word => label.includes(word));
+    });
+    paletteIndex = Math.min(paletteIndex, Math.max(0, paletteItems.length - 1));
+
+    paletteList.innerHTML = '';
+    paletteItems.forEach((command, i) => {
+        const item = document.createElement('li');
+        item.className = 'palette-item';
+        item.classList.toggle('active', i === paletteIndex);
+
+        const label = document.createElement('span');
+        label.textContent = command.label;
+        const key = document.createElement('kbd');
+        key.textContent = command === bindingCommand ? 'Press a key…' : formatKeyCombo(command.key);
+        item.append(label, key);
+
+        item.addEventListener('mousemove', () => {
+            if (paletteIndex === i) return;
+            paletteIndex = i;
+            renderPalette();
+        });
+        item.addEventListener('click', () => choosePaletteItem(command));
+        paletteList.appendChild(item);
+    });
+
+    const active = paletteList.children[paletteIndex];
+    if (active) active.scrollIntoView({ block: 'nearest' });
+}
+
+function choosePaletteItem(command) {
+    if (!command) return;
+    if (paletteMode === 'bind') {
+        paletteMode = 'capture';
+        bindingCommand = command;
+        renderPalette();
+        paletteInput.focus();
+        return;
+    }
+    closePalette();
+    command.run();
+}
+
+// Assign a key to the command being rebound, taking it away from any other
+function bindShortcut(combo) {
+    if (combo !== 'Escape') {
+        getCommands().forEach(command => {
+            if (command.key === combo) shortcutOverrides[command.id] = '';
+        });
+        shortcutOverrides[bindingCommand.id] = combo === 'Backspace' ? '' : combo;
+        saveShortcuts();
+    }
+    paletteMode = 'bind';
+    bindingCommand = null;
+    renderPalette();
+}
+
+function onPaletteKeyDown(e) {
+    if (paletteMode === 'capture') {
+        const combo = getKeyCombo(e);
+        if (!combo) return;
+        e.preventDefault();
+        bindShortcut(combo);
+        return;
+    }
+
+    switch (e.key) {
+        case 'Escape':
+            e.preventDefault();
+            closePalette();
+            break;
+        case 'ArrowDown':
+        case 'ArrowUp':
+            e.preventDefault();
+            if (paletteItems.length === 0) return;
+            paletteIndex = (paletteIndex + (e.key === 'ArrowDown' ? 1 : -1) + paletteItems.length) % paletteItems.length;
+            renderPalette();
+            break;
+        case 'Enter':
+            e.preventDefault();
+            choosePaletteItem(paletteItems[paletteIndex]);
+            break;
+    }
+}
+
+function isTypingTarget(target) {
+    if (target.isContentEditable) return true;
+    if (target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+    return target.tagName === 'INPUT' && target.type !== 'range' && target.type !== 'color';
+}
+
+document.addEventListener('keydown', (e) => {
+    if (!commandPalette.hidden) {
+        onPaletteKeyDown(e);
+        return;
+    }
+    if (isTypingTarget(e.target) || e.repeat && !e.key.startsWith('Arrow')) return;
+
+    const combo = getKeyCombo(e);
+    if (!combo) return;
+
+    // "/" always opens the palette so it can't be locked out by rebinding
+    const command = combo === '/'
+        ? { run: () => openPalette('run') }
+        : getCommands().find(c => c.key === combo);
+    if (!command) return;
+
+    e.preventDefault();
+    command.run();
+});
+
+paletteInput.addEventListener('input', () => {
+    paletteIndex = 0;
+    renderPalette();
+});
+
+commandPalette.addEventListener('click', (e) => {
+    if (e.target === commandPalette) closePalette();
+});
+
+// Performance governor (see performance-governor.js). Stage timings are
+// averaged over each second for the stats; in adaptive mode they also tell
+// the governor whether a higher quality level would fit.
+const PERFORMANCE_SETTINGS_KEY = 'performance-settings';
+const TIMED_STAGES = ['draw', 'adjust', 'effect'];
+const adaptiveBtn = document.getElementById('adaptive-btn');
+const adaptiveTarget = document.getElementById('adaptive-target');
+let performanceSettings = loadPerformanceSettings();
+let stageTotals = createStageTotals();
+let faceFrameCounter = 0;
+
+const governor = createPerformanceGovernor({
+    targetFps: performanceSettings.targetFps,
+    onChange: () => {
+        applyOutputSize();
+        updateQualityLabel();
+    }
+});
+
+function loadPerformanceSettings() {
+    const defaults = { adaptive: false, targetFps: 30 };
+    try {
+        return { ...defaults, ...JSON.parse(localStorage.getItem(PERFORMANCE_SETTINGS_KEY)) };
+    } catch (err) {
+        return defaults;
+    }
+}
+
+function savePerformanceSettings() {
+    try {
+        localStorage.setItem(PERFORMANCE_SETTINGS_KEY, JSON.stringify(performanceSettings));
+    } catch (err) {
+        console.warn('Could not save performance settings:', err);
+    }
+}
+
+// gpu marks stages that ran inside the GPU draw pass at least once
+function createStageTotals() {
+    return { frames: 0, faces: 0, draw: 0, adjust: 0, effect: 0, face: 0, gpu: {} };
+}
+
+// Pipeline timings for one rendered frame
+function recordTimings(timings) {
+    if (!timings) return;
+    stageTotals.frames++;
+    TIMED_STAGES.forEach(stage => {
+        if (timings[stage] === null) stageTotals.gpu[stage] = true;
+        else stageTotals[stage] += timings[stage];
+    });
+}
+
+function recordFaceTiming(ms) {
+    stageTotals.faces++;
+    stageTotals.face += ms;
+}
+
+function getRenderScale() {
+    return performanceSettings.adaptive ? governor.level.scale : 1;
+}
+
+function getFaceInterval() {
+    return performanceSettings.adaptive ? governor.level.faceInterval : 1;
+}
+
+function updateQualityLabel() {
+    const level = governor.level;
+    document.getElementById('quality-value').textContent = !performanceSettings.adaptive
+        ? 'Full'
+        : `${Math.round(level.scale * 100)}%` + (level.faceInterval > 1 ? ` · Face 1/${level.faceInterval}` : '');
+}
+
+// Once a second, with the FPS
+function updatePerformance() {
+    const { frames, faces } = stageTotals;
+    const average = stage => (frames > 0 ? stageTotals[stage] / frames : 0);
+    const faceMs = faces > 0 ? stageTotals.face / faces : 0;
+
+    TIMED_STAGES.forEach(stage => {
+        const el = document.getElementById(`time-${stage}`);
+        if (stageTotals.gpu[stage] && stageTotals[stage] === 0) el.textContent = 'GPU';
+        else el.textContent = frames > 0 ? average(stage).toFixed(1) : '--';
+    });
+    document.getElementById('time-face').textContent = faces > 0 ? faceMs.toFixed(1) : '--';
+
+    if (performanceSettings.adaptive) {
+        governor.update({
+            fps,
+            renderMs: TIMED_STAGES.reduce((sum, stage) => sum + average(stage), 0),
+            faceMs
+        });
+    }
+    stageTotals = createStageTotals();
+}
+
+function setAdaptive(enabled) {
+    performanceSettings.adaptive = enabled;
+    adaptiveBtn.classList.toggle('active', enabled);
+    governor.reset();
+    applyOutputSize();
+    updateQualityLabel();
+    savePerformanceSettings();
+    showHud(enabled ? 'Adaptive Quality: On' : 'Adaptive Quality: Off');
+}
+
+adaptiveBtn.addEventListener('click', () => setAdaptive(!performanceSettings.adaptive));
+
+adaptiveTarget.value = String(performanceSettings.targetFps);
+adaptiveTarget.addEventListener('change', () => {
+    performanceSettings.targetFps = parseInt(adaptiveTarget.value);
+    governor.configure({ targetFps: performanceSettings.targetFps });
+    savePerformanceSettings();
+});
+
+adaptiveBtn.classList.toggle('active', performanceSettings.adaptive);
+updateQualityLabel();
+
+// Main processing loop
+function processFrame() {
+    const source = getFrameSource();
+    const mirror = cameraActive && facingMode === 'user';
+
+    if (renderWorker) {
+        if (!workerBusy) {
+            sendFrameToWorker(source, mirror);
+        }
+    } else if (pipeline) {
+        pipeline.render(source, mirror, getRenderState());
+        recordTimings(pipeline.timings);
+        countFrame();
+    }
+
+    // Run face detection for interactive features (every frame for responsiveness)
+    if (isVideoSourceActive() && isFaceTrackingWanted()) {
+        runFaceDetection();
+    }
+
+    // Motion only needs a few checks a second
+    const now = performance.now();
+    if (motionEnabled && now - lastMotionCheck >= MOTION_INTERVAL_MS) {
+        lastMotionCheck = now;
+        runMotionDetection(now);
+    }
+
+    requestAnimationFrame(processFrame);
+}
+
+// Hand the current frame to the worker; null renders the noise placeholder
+function sendFrameToWorker(source, mirror) {
+    if (!source) {
+        workerBusy = true;
+        renderWorker.postMessage({ type: 'frame', frame: null, mirror });
+        return;
+    }
+
+    const isVideo = source === video;
+    if (isVideo && source.readyState < 2) return;
+    workerBusy = true;
+
+    if (isVideo && typeof VideoFrame !== 'undefined') {
+        const frame = new VideoFrame(source);
+        renderWorker.postMessage({ type: 'frame', frame, mirror }, [frame]);
+        return;
+    }
+
+    createImageBitmap(source)
+        .then(bitmap => {
+            if (!renderWorker) {
+                bitmap.close();
+                return;
+            }
+            renderWorker.postMessage({ type: 'frame', frame: bitmap, mirror }, [bitmap]);
+        })
+        .catch(() => {
+            workerBusy = false;
+        });
+}
+
+function countFrame() {
+    frameCount++;
+    totalFrames++;
+    const now = performance.now();
+    if (now - lastTime >= 1000) {
+        fps = frameCount;
+        frameCount = 0;
+        lastTime = now;
+        document.getElementById('fps-value').textContent = fps;
+        document.getElementById('fps-display').textContent = fps;
+        updatePerformance();
+    }
+    document.getElementById('frames-value').textContent = totalFrames;
+}
+
+// Start once the page, including any effect modules after this script, has loaded
+document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,173 @@
+// Blink and wink detection
+// Turns per-frame Eye Aspect Ratios into gestures. The closed-eye threshold is
+// a fraction of the user's open-eye baseline, learned by calibrate(), so it
+// works for narrow eyes and glasses as well as the default face. Has no DOM
+// access; the caller feeds it landmarks and handles the gesture callbacks.
+//
+// Gestures: 'blink', 'double-blink', 'long-blink', 'wink-left', 'wink-right'
+// (left/right are the user's own eyes, not the mirrored image)
+// The first blink of a double blink still fires 'blink' so blinks stay instant.
+
+// Every gesture the detector reports, in the order the panel lists them
+export const BLINK_GESTURES = [
+    { id: 'blink', label: 'Blink' },
+    { id: 'double-blink', label: 'Double Blink' },
+    { id: 'long-blink', label: 'Long Blink' },
+    { id: 'wink-left', label: 'Left Wink' },
+    { id: 'wink-right', label: 'Right Wink' }
+];
+
+// Face Mesh eye landmarks for EAR: [outer/inner corner, top, top, corner, bottom, bottom]
+export const RIGHT_EYE_INDICES = [33, 159, 158, 133, 153, 145];
+export const LEFT_EYE_INDICES = [362, 386, 385, 263, 380, 374];
+
+// Open-eye EAR used until the user calibrates
+export const DEFAULT_EAR_BASELINE = 0.3;
+
+// Eye Aspect Ratio: (|p2-p6| + |p3-p5|) / (2 * |p1-p4|)
+export function calculateEAR(landmarks, eyeIndices) {
+    const [p1, p2, p3, p4, p5, p6] = eyeIndices.map(i => landmarks[i]);
+
+    const vertical1 = Math.hypot(p2.x - p6.x, p2.y - p6.y);
+    const vertical2 = Math.hypot(p3.x - p5.x, p3.y - p5.y);
+    const horizontal = Math.hypot(p1.x - p4.x, p1.y - p4.y);
+
+    if (horizontal === 0) return 1;
+    return (vertical1 + vertical2) / (2 * horizontal);
+}
+
+// options: { baseline, sensitivity (0-100), longBlinkMs, doubleBlinkMs, winkMs, onGesture(name) }
+export function createBlinkDetector(options) {
+    const config = {
+        baseline: DEFAULT_EAR_BASELINE,
+        sensitivity: 50,
+        longBlinkMs: 600,
+        doubleBlinkMs: 450,
+        winkMs: 200,
+        ...options
+    };
+
+    const eyes = {
+        left: { closed: false, since: 0 },
+        right: { closed: false, since: 0 }
+    };
+    let bothClosedSince = 0;
+    let longBlinkFired = false;
+    let winkFired = false;
+    let lastBlinkTime = -Infinity;
+    let calibration = null;
+
+    // Higher sensitivity closes at a smaller drop from the baseline
+    function getThreshold() {
+        const ratio = 0.55 + (config.sensitivity / 100) * 0.3;
+        return config.baseline * ratio;
+    }
+
+    // Hysteresis: reopening needs a little more than the closing threshold
+    function updateEye(eye, ear, now) {
+        const threshold = getThreshold();
+        if (!eye.closed && ear < threshold) {
+            eye.closed = true;
+            eye.since = now;
+        } else if (eye.closed && ear > threshold * 1.1) {
+            eye.closed = false;
+        }
+    }
+
+    function emit(name) {
+        if (config.onGesture) config.onGesture(name);
+    }
+
+    function finishCalibration() {
+        const { samples, resolve, reject } = calibration;
+        calibration = null;
+        if (samples.length < 10) {
+            reject(new Error('Not enough face samples, keep your face in view'));
+            return;
+        }
+
+        // Upper-middle of the distribution, so stray blinks don't drag it down
+        samples.sort((a, b) => a - b);
+        config.baseline = samples[Math.floor(samples.length * 0.6)];
+        resolve(config.baseline);
+    }
+
+    // Feed one frame of landmarks; now is a millisecond timestamp
+    function update(landmarks, now) {
+        const leftEAR = calculateEAR(landmarks, LEFT_EYE_INDICES);
+        const rightEAR = calculateEAR(landmarks, RIGHT_EYE_INDICES);
+
+        if (calibration) {
+            calibration.samples.push((leftEAR + rightEAR) / 2);
+            return { leftEAR, rightEAR, threshold: getThreshold() };
+        }
+
+        const wasBothClosed = eyes.left.closed && eyes.right.closed;
+        updateEye(eyes.left, leftEAR, now);
+        updateEye(eyes.right, rightEAR, now);
+        const bothClosed = eyes.left.closed && eyes.right.closed;
+
+        if (bothClosed && !wasBothClosed) {
+            // Closing edge: fire immediately so the blink feels instant
+            bothClosedSince = now;
+            longBlinkFired = false;
+            emit(now - lastBlinkTime < config.doubleBlinkMs ? 'double-blink' : 'blink');
+            lastBlinkTime = now;
+        } else if (bothClosed && !longBlinkFired && now - bothClosedSince >= config.longBlinkMs) {
+            longBlinkFired = true;
+            lastBlinkTime = -Infinity;
+            emit('long-blink');
+        }
+
+        // A wink is one eye held shut while the other stays open
+        const winking = eyes.left.closed !== eyes.right.closed;
+        if (!winking) {
+            winkFired = false;
+        } else if (!winkFired) {
+            const eye = eyes.left.closed ? 'left' : 'right';
+            if (now - eyes[eye].since >= config.winkMs) {
+                winkFired = true;
+                emit(`wink-${eye}`);
+            }
+        }
+
+        return { leftEAR, rightEAR, threshold: getThreshold() };
+    }
+
+    // Forget eye state, e.g. when the face leaves the frame
+    function reset() {
+        eyes.left.closed = false;
+        eyes.right.closed = false;
+        bothClosedSince = 0;
+        longBlinkFired = false;
+        winkFired = false;
+        lastBlinkTime = -Infinity;
+    }
+
+    // Collect open-eye samples for durationMs; resolves with the new baseline
+    function calibrate(durationMs = 2000) {
+        if (calibration) {
+            clearTimeout(calibration.timer);
+            calibration.reject(new Error('Calibration restarted'));
+        }
+        reset();
+        return new Promise((resolve, reject) => {
+            calibration = { samples: [], resolve, reject };
+            calibration.timer = setTimeout(finishCalibration, durationMs);
+        });
+    }
+
+    function configure(changes) {
+        Object.assign(config, changes);
+    }
+
+    return {
+        update,
+        reset,
+        calibrate,
+        configure,
+        get calibrating() { return !!calibration; },
+        get baseline() { return config.baseline; },
+        get threshold() { return getThreshold(); }
+    };
+}
@@ -0,0 +1,314 @@
+// Color grading
+// Tone and color controls that run with brightness/contrast, before any
+// effect: white balance, gamma, saturation, hue rotation, per-channel RGB
+// curves and a 3D LUT loaded from a .cube file. prepareGrade() reduces all of
+// it to two rows of lookup tables and a 3×3 color matrix, so the CPU path and
+// the WebGL adjust shader produce the same picture. Like effects.js it has no
+// DOM access.
+//
+// grade: { temperature, tint,      // white balance, -100 to 100
+//          gamma,                  // 50-200, 100 is linear
+//          saturation, hue,        // 0-200%, -180 to 180 degrees
+//          curves: { r, g, b },    // [input, output] points, 0-255, sorted
+//          lutStrength }           // 0-100%, when a LUT is loaded
+//
+// The LUT itself is far too big for a shared link, so it is not part of the
+// grade; the caller keeps it and hands it to the pipeline separately.
+
+import { clamp } from './effects.js';
+
+export const MAX_CURVE_POINTS = 16;
+export const MAX_LUT_SIZE = 128;
+
+// Offsets into a prepared tone table: RGBA rows of 256 entries
+const TONE_ROW = 256 * 4;
+
+export function createDefaultCurve() {
+    return [[0, 0], [255, 255]];
+}
+
+export function createDefaultGrade() {
+    return {
+        temperature: 0,
+        tint: 0,
+        gamma: 100,
+        saturation: 100,
+        hue: 0,
+        curves: { r: createDefaultCurve(), g: createDefaultCurve(), b: createDefaultCurve() },
+        lutStrength: 100
+    };
+}
+
+function isDefaultCurve(points) {
+    return points.length === 2 &&
+        points[0][0] === 0 && points[0][1] === 0 &&
+        points[1][0] === 255 && points[1][1] === 255;
+}
+
+// Monotone cubic (Fritsch-Carlson) through the points, so a curve never
+// overshoots and reverses tones between two points
+export function buildCurveTable(points) {
+    const table = new Uint8Array(256);
+    const n = points.length;
+    const xs = points.map(point => point[0]);
+    const ys = points.map(point => point[1]);
+
+    const secants = [];
+    for (let k = 0; k < n - 1; k++) {
+        secants.push((ys[k + 1] - ys[k]) / (xs[k + 1] - xs[k]));
+    }
+    const tangents = [secants[0]];
+    for (let k = 1; k < n - 1; k++) {
+        tangents.push(secants[k - 1] * secants[k] <= 0 ? 0 : (secants[k - 1] + secants[k]) / 2);
+    }
+    tangents.push(secants[n - 2]);
+
+    for (let k = 0; k < n - 1; k++) {
+        if (secants[k] === 0) {
+            tangents[k] = 0;
+            tangents[k + 1] = 0;
+            continue;
+        }
+        const a = tangents[k] / secants[k];
+        const b = tangents[k + 1] / secants[k];
+        const s = a * a + b * b;
+        if (s > 9) {
+            const t = 3 / Math.sqrt(s);
+            tangents[k] = t * a * secants[k];
+            tangents[k + 1] = t * b * secants[k];
+        }
+    }
+
+    let k = 0;
+    for (let x = 0; x < 256; x++) {
+        let y;
+        if (x <= xs[0]) {
+            y = ys[0];
+        } else if (x >= xs[n - 1]) {
+            y = ys[n - 1];
+        } else {
+            while (x > xs[k + 1]) k++;
+            const h = xs[k + 1] - xs[k];
+            const t = (x - xs[k]) / h;
+            const t2 = t * t;
+            const t3 = t2 * t;
+            y = (2 * t3 - 3 * t2 + 1) * ys[k] +
+                (t3 - 2 * t2 + t) * h * tangents[k] +
+                (-2 * t3 + 3 * t2) * ys[k + 1] +
+                (t3 - t2) * h * tangents[k + 1];
+        }
+        table[x] = clamp(Math.round(y));
+    }
+    return table;
+}
+
+// Channel gains for a color temperature (warm is positive) and a green to
+// magenta tint (magenta is positive)
+export function getWhiteBalance(temperature, tint) {
+    const warm = temperature / 100;
+    const magenta = tint / 100;
+    return [1 + warm * 0.25, 1 - magenta * 0.2, 1 - warm * 0.25];
+}
+
+function multiplyMatrices(a, b) {
+    const result = [];
+    for (let row = 0; row < 3; row++) {
+        for (let col = 0; col < 3; col++) {
+            result.push(a[row * 3] * b[col] + a[row * 3 + 1] * b[3 + col] + a[row * 3 + 2] * b[6 + col]);
+        }
+    }
+    return result;
+}
+
+// Saturation then hue rotation around the gray axis, as in the CSS
+// saturate() and hue-rotate() filters. Row-major; null when it's the identity.
+export function getColorMatrix(saturation, hue) {
+    if (saturation === 100 && hue === 0) return null;
+
+    const s = saturation / 100;
+    const saturate = [
+        0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s,
+        0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s,
+        0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s
+    ];
+
+    const angle = hue * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const rotate = [
+        0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+        0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283,
+        0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072
+    ];
+    return multiplyMatrices(rotate, saturate);
+}
+
+// Everything needed to grade a frame:
+// { tone, matrix, lutStrength (0-1), neutral }
+// tone is 256×2 RGBA: row 0 maps each channel through brightness, contrast,
+// white balance and gamma, row 1 through the curves
+export function prepareGrade(brightness, contrast, grade) {
+    const tone = new Uint8Array(TONE_ROW * 2);
+
+    // Same brightness/contrast formula the adjustments have always used
+    const contrastAdjusted = (contrast - 100) * 2.55;
+    const factor = (259 * (contrastAdjusted + 255)) / (255 * (259 - contrastAdjusted));
+    const brightnessAdjusted = brightness / 100;
+    const gains = getWhiteBalance(grade.temperature, grade.tint);
+    const exponent = 100 / grade.gamma;
+    const curves = ['r', 'g', 'b'].map(channel => buildCurveTable(grade.curves[channel]));
+
+    for (let value = 0; value < 256; value++) {
+        const adjusted = clamp(factor * (value * brightnessAdjusted - 128) + 128);
+        for (let c = 0; c < 3; c++) {
+            const balanced = Math.min(255, adjusted * gains[c]);
+            tone[value * 4 + c] = clamp(Math.round(255 * Math.pow(balanced / 255, exponent)));
+            tone[TONE_ROW + value * 4 + c] = curves[c][value];
+        }
+        tone[value * 4 + 3] = 255;
+        tone[TONE_ROW + value * 4 + 3] = 255;
+    }
+
+    const matrix = getColorMatrix(grade.saturation, grade.hue);
+    return {
+        tone,
+        matrix,
+        lutStrength: grade.lutStrength / 100,
+        neutral: brightness === 100 && contrast === 100 &&
+            grade.temperature === 0 && grade.tint === 0 && grade.gamma === 100 && !matrix &&
+            ['r', 'g', 'b'].every(channel => isDefaultCurve(grade.curves[channel]))
+    };
+}
+
+// Position of a 0-255 channel value on a LUT axis, 0 to size - 1
+function getLUTCoord(lut, value, c) {
+    const t = (value / 255 - lut.domainMin[c]) / (lut.domainMax[c] - lut.domainMin[c]);
+    return Math.min(1, Math.max(0, t)) * (lut.size - 1);
+}
+
+// Trilinear lookup of 0-255 RGB in a parsed LUT, written to out as 0-255.
+// Runs for every pixel on the CPU path, so it avoids allocating.
+export function sampleLUT(lut, r, g, b, out) {
+    const { data, size } = lut;
+    const max = size - 1;
+    const x = getLUTCoord(lut, r, 0);
+    const y = getLUTCoord(lut, g, 1);
+    const z = getLUTCoord(lut, b, 2);
+    const x0 = Math.floor(x), y0 = Math.floor(y), z0 = Math.floor(z);
+    const fx = x - x0, fy = y - y0, fz = z - z0;
+
+    // Red varies fastest in .cube data
+    const dx = x0 < max ? 3 : 0;
+    const dy = y0 < max ? size * 3 : 0;
+    const dz = z0 < max ? size * size * 3 : 0;
+    const base = ((z0 * size + y0) * size + x0) * 3;
+
+    for (let c = 0; c < 3; c++) {
+        const i = base + c;
+        const c00 = data[i] + (data[i + dx] - data[i]) * fx;
+        const c10 = data[i + dy] + (data[i + dy + dx] - data[i + dy]) * fx;
+        const c01 = data[i + dz] + (data[i + dz + dx] - data[i + dz]) * fx;
+        const c11 = data[i + dz + dy] + (data[i + dz + dy + dx] - data[i + dz + dy]) * fx;
+        const c0 = c00 + (c10 - c00) * fy;
+        const c1 = c01 + (c11 - c01) * fy;
+        out[c] = (c0 + (c1 - c0) * fz) * 255;
+    }
+}
+
+// Grade RGBA pixels in place; lut is null or a parseCubeLUT() result
+export function applyGrade(data, grade, lut) {
+    const { tone, matrix } = grade;
+    const strength = lut ? grade.lutStrength : 0;
+    const graded = [0, 0, 0];
+
+    for (let i = 0; i < data.length; i += 4) {
+        let r = tone[data[i] * 4];
+        let g = tone[data[i + 1] * 4 + 1];
+        let b = tone[data[i + 2] * 4 + 2];
+
+        if (matrix) {
+            const mr = matrix[0] * r + matrix[1] * g + matrix[2] * b;
+            const mg = matrix[3] * r + matrix[4] * g + matrix[5] * b;
+            const mb = matrix[6] * r + matrix[7] * g + matrix[8] * b;
+            r = clamp(Math.round(mr));
+            g = clamp(Math.round(mg));
+            b = clamp(Math.round(mb));
+        }
+
+        r = tone[TONE_ROW + r * 4];
+        g = tone[TONE_ROW + g * 4 + 1];
+        b = tone[TONE_ROW + b * 4 + 2];
+
+        if (strength > 0) {
+            sampleLUT(lut, r, g, b, graded);
+            r += (graded[0] - r) * strength;
+            g += (graded[1] - g) * strength;
+            b += (graded[2] - b) * strength;
+        }
+
+        data[i] = r;
+        data[i + 1] = g;
+        data[i + 2] = b;
+    }
+}
+
+// Parse an Adobe/Resolve .cube file. Returns
+// { title, size, domainMin, domainMax, data } with data as RGB floats, red
+// varying fastest; throws with the offending line when the file is malformed.
+export function parseCubeLUT(text) {
+    const lut = { title: '', size: 0, domainMin: [0, 0, 0], domainMax: [1, 1, 1], data: null };
+    let count = 0;
+
+    const lines = text.split(/\r?\n/);
+    for (let lineNumber = 1; lineNumber <= lines.length; lineNumber++) {
+        const line = lines[lineNumber - 1].trim();
+        if (!line || line.startsWith('#')) continue;
+
+        const parts = line.split(/\s+/);
+        const keyword = parts[0].toUpperCase();
+        const fail = (message) => new Error(`Line ${lineNumber}: ${message}`);
+        const readTriple = () => {
+            const values = parts.slice(1, 4).map(Number);
+            if (values.length < 3 || !values.every(Number.isFinite)) throw fail(`${keyword} needs three numbers`);
+            return values;
+        };
+
+        if (keyword === 'TITLE') {
+            lut.title = line.slice(5).trim().replace(/^"(.*)"$/, '$1');
+        } else if (keyword === 'LUT_3D_SIZE') {
+            const size = Number(parts[1]);
+            if (!Number.isInteger(size) || size < 2 || size > MAX_LUT_SIZE) {
+                throw fail(`LUT_3D_SIZE must be between 2 and ${MAX_LUT_SIZE}`);
+            }
+            lut.size = size;
+            lut.data = new Float32Array(size * size * size * 3);
+        } else if (keyword === 'LUT_1D_SIZE') {
+            throw fail('1D LUTs are not supported, only 3D');
+        } else if (keyword === 'DOMAIN_MIN') {
+            lut.domainMin = readTriple();
+        } else if (keyword === 'DOMAIN_MAX') {
+            lut.domainMax = readTriple();
+        } else if (keyword === 'LUT_3D_INPUT_RANGE') {
+            const [min, max] = parts.slice(1, 3).map(Number);
+            if (!Number.isFinite(min) || !Number.isFinite(max)) throw fail('LUT_3D_INPUT_RANGE needs two numbers');
+            lut.domainMin = [min, min, min];
+            lut.domainMax = [max, max, max];
+        } else if (/^[A-Z_]/.test(keyword)) {
+            // Other keywords (LUT_1D_INPUT_RANGE, vendor extensions) don't affect a 3D table
+        } else {
+            if (!lut.data) throw fail('LUT_3D_SIZE must come before the table');
+            const values = parts.map(Number);
+            if (values.length !== 3 || !values.every(Number.isFinite)) throw fail('expected three numbers');
+            if (count >= lut.size ** 3) throw fail(`more than ${lut.size ** 3} entries`);
+            lut.data.set(values, count * 3);
+            count++;
+        }
+    }
+
+    if (!lut.data) throw new Error('Missing LUT_3D_SIZE');
+    if (count !== lut.size ** 3) throw new Error(`Expected ${lut.size ** 3} entries, found ${count}`);
+    if ([0, 1, 2].some(c => lut.domainMax[c] <= lut.domainMin[c])) {
+        throw new Error('DOMAIN_MAX must be greater than DOMAIN_MIN');
+    }
+    return lut;
+}
@@ -0,0 +1,60 @@
+// Color helpers
+// Conversions behind the accent color and its color bar swatch. Pure
+// functions with no DOM access.
+
+export const DEFAULT_ACCENT_COLOR = { r: 0, g: 122, b: 255 };
+
+// '#rrggbb' (the # is optional) to { r, g, b }; the default accent if malformed
+export function hexToRgb(hex) {
+    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+    return result ? {
+        r: parseInt(result[1], 16),
+        g: parseInt(result[2], 16),
+        b: parseInt(result[3], 16)
+    } : { ...DEFAULT_ACCENT_COLOR };
+}
+
+export function rgbToHex({ r, g, b }) {
+    return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
+}
+
+export function getLuminance(r, g, b) {
+    return (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+}
+
+// Convert an HSL hue (0-360) at full saturation to RGB
+export function hueToRgb(hue) {
+    const s = 1.0; // Full saturation
+    const l = 0.5; // Medium lightness
+
+    const c = (1 - Math.abs(2 * l - 1)) * s;
+    const x = c * (1 - Math.abs((hue / 60) % 2 - 1));
+    const m = l - c / 2;
+
+    let r, g, b;
+    if (hue < 60) { r = c; g = x; b = 0; }
+    else if (hue < 120) { r = x; g = c; b = 0; }
+    else if (hue < 180) { r = 0; g = c; b = x; }
+    else if (hue < 240) { r = 0; g = x; b = c; }
+    else if (hue < 300) { r = x; g = 0; b = c; }
+    else { r = c; g = 0; b = x; }
+
+    return {
+        r: Math.round((r + m) * 255),
+        g: Math.round((g + m) * 255),
+        b: Math.round((b + m) * 255)
+    };
+}
+
+export function invertColor({ r, g, b }) {
+    return { r: 255 - r, g: 255 - g, b: 255 - b };
+}
+
+// Text and icon background colors that stay readable on a swatch
+export function getSwatchContrast(color) {
+    const light = getLuminance(color.r, color.g, color.b) > 0.5;
+    return {
+        text: light ? 'rgba(0,0,0,0.8)' : 'rgba(255,255,255,0.95)',
+        icon: light ? 'rgba(0,0,0,0.15)' : 'rgba(255,255,255,0.25)'
+    };
+}
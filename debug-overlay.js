@@ -0,0 +1,175 @@
+// Face tracking debug overlay
+// Draws what the tracker sees on its own canvas, layered over the output, so
+// it stays out of captures unless the app composites it in: every landmark,
+// the six points per eye that calculateEAR uses, a rolling EAR graph against
+// the blink threshold, and the smoothed head tilt. Landmarks map onto the
+// canvas the same way the pipeline maps face regions.
+
+import { LEFT_EYE_INDICES, RIGHT_EYE_INDICES, calculateEAR } from './blink-detector.js';
+import { extractFaceSignals } from './face-signals.js';
+
+// Frames of EAR history shown in the graph
+const DEBUG_EAR_HISTORY = 150;
+
+const DEBUG_COLORS = {
+    landmark: 'rgba(255, 255, 255, 0.55)',
+    leftEye: '#FFCC00',
+    rightEye: '#34C759',
+    threshold: '#FF453A',
+    panel: 'rgba(0, 0, 0, 0.6)',
+    text: 'rgba(255, 255, 255, 0.95)'
+};
+
+// options: { tiltSmoothing (0-0.95) }
+export function createDebugOverlay(canvas, options = {}) {
+    const ctx = canvas.getContext('2d');
+    const tiltSmoothing = options.tiltSmoothing !== undefined ? options.tiltSmoothing : 0.7;
+    let history = [];
+    let tilt = null;
+
+    function toCanvas(point, mirror) {
+        return {
+            x: (mirror ? 1 - point.x : point.x) * canvas.width,
+            y: point.y * canvas.height
+        };
+    }
+
+    function drawLandmarks(landmarks, mirror, scale) {
+        const size = Math.max(1, 2 * scale);
+        ctx.fillStyle = DEBUG_COLORS.landmark;
+        landmarks.forEach(point => {
+            const { x, y } = toCanvas(point, mirror);
+            ctx.fillRect(x - size / 2, y - size / 2, size, size);
+        });
+    }
+
+    // Corner to corner, then the two lid pairs whose ratio is the EAR
+    function drawEye(landmarks, indices, color, mirror, scale) {
+        const [p1, p2, p3, p4, p5, p6] = indices.map(i => toCanvas(landmarks[i], mirror));
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = Math.max(1, 1.5 * scale);
+        ctx.beginPath();
+        [[p1, p4], [p2, p6], [p3, p5]].forEach(([a, b]) => {
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+        });
+        ctx.stroke();
+        [p1, p2, p3, p4, p5, p6].forEach(({ x, y }) => {
+            ctx.beginPath();
+            ctx.arc(x, y, 3 * scale, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+
+    function drawGraph(x, y, width, height, scale) {
+        const maxEAR = Math.max(0.4, ...history.map(s => Math.max(s.left, s.right, s.threshold * 1.2)));
+        const toY = value => y + height - (Math.min(value, maxEAR) / maxEAR) * height;
+        const step = width / (DEBUG_EAR_HISTORY - 1);
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x, y, width, height);
+
+        function plot(key, color, dashed) {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = Math.max(1, 1.5 * scale);
+            ctx.setLineDash(dashed ? [6 * scale, 4 * scale] : []);
+            ctx.beginPath();
+            history.forEach((sample, i) => {
+                const px = x + (DEBUG_EAR_HISTORY - history.length + i) * step;
+                if (i === 0) ctx.moveTo(px, toY(sample[key]));
+                else ctx.lineTo(px, toY(sample[key]));
+            });
+            ctx.stroke();
+        }
+
+        plot('threshold', DEBUG_COLORS.threshold, true);
+        plot('left', DEBUG_COLORS.leftEye, false);
+        plot('right', DEBUG_COLORS.rightEye, false);
+        ctx.setLineDash([]);
+    }
+
+    // Readouts and graph in a panel at the top center, which stays visible
+    // when the output is cropped to fill a portrait or landscape screen
+    function drawHud(lines, scale) {
+        const width = 380 * scale;
+        const lineHeight = 22 * scale;
+        const padding = 14 * scale;
+        const graphHeight = 90 * scale;
+        const height = padding * 3 + lines.length * lineHeight + graphHeight;
+        const x = (canvas.width - width) / 2;
+        const y = canvas.height * 0.06;
+
+        ctx.fillStyle = DEBUG_COLORS.panel;
+        ctx.fillRect(x, y, width, height);
+
+        ctx.font = `${14 * scale}px ui-monospace, Menlo, monospace`;
+        ctx.textBaseline = 'top';
+        lines.forEach((line, i) => {
+            ctx.fillStyle = line.color || DEBUG_COLORS.text;
+            ctx.fillText(line.text, x + padding, y + padding + i * lineHeight);
+        });
+
+        drawGraph(x + padding, y + padding * 2 + lines.length * lineHeight, width - padding * 2, graphHeight, scale);
+    }
+
+    // frame: { faces: [landmarks], mirror, threshold, baseline, calibrating }
+    // The first face is the one the EAR graph and tilt follow
+    function update(frame) {
+        const scale = canvas.height / 1080;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        frame.faces.forEach(landmarks => {
+            drawLandmarks(landmarks, frame.mirror, scale);
+            drawEye(landmarks, LEFT_EYE_INDICES, DEBUG_COLORS.leftEye, frame.mirror, scale);
+            drawEye(landmarks, RIGHT_EYE_INDICES, DEBUG_COLORS.rightEye, frame.mirror, scale);
+        });
+
+        const primary = frame.faces[0];
+        const lines = [];
+        if (primary) {
+            const sample = {
+                left: calculateEAR(primary, LEFT_EYE_INDICES),
+                right: calculateEAR(primary, RIGHT_EYE_INDICES),
+                threshold: frame.threshold
+            };
+            history.push(sample);
+            if (history.length > DEBUG_EAR_HISTORY) history.shift();
+
+            const rawTilt = extractFaceSignals(primary).tilt;
+            tilt = tilt === null ? rawTilt : tilt * tiltSmoothing + rawTilt * (1 - tiltSmoothing);
+
+            lines.push(
+                { text: `EAR L ${sample.left.toFixed(3)}`, color: DEBUG_COLORS.leftEye },
+                { text: `EAR R ${sample.right.toFixed(3)}`, color: DEBUG_COLORS.rightEye }
+            );
+        } else {
+            tilt = null;
+            lines.push({ text: 'No face' });
+        }
+
+        lines.push(
+            {
+                text: `Threshold ${frame.threshold.toFixed(3)}  Baseline ${frame.baseline.toFixed(3)}` +
+                    (frame.calibrating ? '  calibrating' : ''),
+                color: DEBUG_COLORS.threshold
+            },
+            { text: `Head tilt ${tilt === null ? '--' : tilt.toFixed(1) + '°'}  Faces ${frame.faces.length}` }
+        );
+        drawHud(lines, scale);
+    }
+
+    function clear() {
+        history = [];
+        tilt = null;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+    }
+
+    function resize(width, height) {
+        canvas.width = width;
+        canvas.height = height;
+    }
+
+    return { update, clear, resize, canvas };
+}
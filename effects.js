@@ -0,0 +1,933 @@
+// Effect registry
+//
+// Effects describe themselves and the control panel builds its buttons and
+// per-effect sliders from this list. An effect module is an ES module loaded
+// with a data-effect attribute (so the render worker imports it too) that
+// calls registerEffect():
+//
+//     <script type="module" src="mono-effect.js" data-effect></script>
+//
+//     import { registerEffect } from './effects.js';
+//
+//     registerEffect({
+//         name: 'mono',                 // unique id
+//         label: 'Mono',                // button text
+//         icon: '<circle cx="12" cy="12" r="9"/>', // SVG markup for a 24×24 viewBox
+//         params: [                     // optional sliders
+//             { id: 'amount', label: 'Amount', min: 0, max: 100, value: 100, unit: '%' }
+//         ],
+//         apply(imageData, params, frame) { ... }
+//     });
+//
+// Params are range sliders unless they set type: 'select' (with options of
+// { value, label }), 'toggle' or 'text'. A when(params) function hides a param
+// while it doesn't apply. A range param's minLabel is shown in place of its
+// minimum value (e.g. 'Auto').
+//
+// By default apply() receives the frame's ImageData and may modify it in place
+// or return a new ImageData. Effects that draw instead (like ASCII) set
+// input: 'context' and receive the 2D context. The frame argument carries
+// width, height, intensity (0-100) and accentColor ({ r, g, b }).
+//
+// Effects can also provide a GLSL fragment shader for the WebGL path
+// (see gl-renderer.js). The shader gets u_image, u_resolution, u_intensity
+// (0-1), u_accent (0-1 RGB), v_uv and outColor, plus a float u_<id> for every
+// param. shader.glyphs adds a glyph atlas as u_glyphs/u_glyphCount, and
+// shader.uniforms(params, frame) may return extra uniform values. Only range
+// and toggle params become uniforms; glyphs may be a function of the params.
+//
+// exports lists frame exports offered in the panel as
+// { id, label, extension, run(imageData, params, frame) } returning text.
+//
+// Temporal effects set history(params) to the number of past frames they
+// read. They then get frame.history (see frame-history.js), whose get(age)
+// returns the RGBA pixels from that many frames ago, with 0 the current one.
+// They run on the CPU, since the frames have to be read back anyway.
+
+const effectRegistry = [];
+const effectListeners = [];
+
+export function registerEffect(effect) {
+    if (!effect || !effect.name) {
+        throw new Error('Effect needs a name');
+    }
+
+    const entry = {
+        name: effect.name,
+        label: effect.label || effect.name.charAt(0).toUpperCase() + effect.name.slice(1),
+        icon: effect.icon || '<circle cx="12" cy="12" r="9"/>',
+        params: effect.params || [],
+        input: effect.input || 'imageData',
+        apply: effect.apply || null,
+        shader: effect.shader || null,
+        history: effect.history || null,
+        exports: effect.exports || []
+    };
+
+    const index = effectRegistry.findIndex(e => e.name === entry.name);
+    if (index >= 0) {
+        effectRegistry[index] = entry;
+    } else {
+        effectRegistry.push(entry);
+    }
+
+    effectListeners.forEach(listener => listener(entry));
+    return entry;
+}
+
+export function getEffect(name) {
+    return effectRegistry.find(e => e.name === name) || null;
+}
+
+export function getEffects() {
+    return effectRegistry.slice();
+}
+
+export function onEffectRegistered(listener) {
+    effectListeners.push(listener);
+}
+
+// Default parameter values from an effect's schema
+export function getDefaultParams(effect) {
+    const params = {};
+    effect.params.forEach(param => {
+        params[param.id] = param.value !== undefined ? param.value : param.min;
+    });
+    return params;
+}
+
+// Params that map to a float uniform in shaders
+export function isNumericParam(param) {
+    return !param.type || param.type === 'range' || param.type === 'toggle';
+}
+
+// Run an effect against the current canvas contents
+export function runEffect(effect, ctx, params, frame) {
+    if (!effect || !effect.apply) return;
+
+    if (effect.input === 'context') {
+        effect.apply(ctx, params, frame);
+        return;
+    }
+
+    const imageData = ctx.getImageData(0, 0, frame.width, frame.height);
+    if (effect.history && frame.history) frame.history.record(imageData);
+    const result = effect.apply(imageData, params, frame) || imageData;
+    ctx.putImageData(result, 0, 0);
+}
+
+export function clamp(val) {
+    return Math.max(0, Math.min(255, val));
+}
+
+// Canvas for intermediate drawing that never enters the document
+export function createScratchCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    const scratch = document.createElement('canvas');
+    scratch.width = width;
+    scratch.height = height;
+    return scratch;
+}
+
+const SOBEL_X = [-1, 0, 1, -2, 0, 2, -1, 0, 1];
+const SOBEL_Y = [-1, -2, -1, 0, 0, 0, 1, 2, 1];
+
+// Sobel gradient magnitude of the gray (channel average) image at x, y, which
+// must be at least one pixel in from the border
+export function getSobelMagnitude(data, width, x, y) {
+    let gx = 0, gy = 0;
+    for (let ky = -1; ky <= 1; ky++) {
+        for (let kx = -1; kx <= 1; kx++) {
+            const idx = ((y + ky) * width + (x + kx)) * 4;
+            const gray = (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
+            const ki = (ky + 1) * 3 + (kx + 1);
+            gx += gray * SOBEL_X[ki];
+            gy += gray * SOBEL_Y[ki];
+        }
+    }
+    return Math.sqrt(gx * gx + gy * gy);
+}
+
+// Built-in effects
+
+registerEffect({
+    name: 'normal',
+    label: 'Normal',
+    icon: '<circle cx="12" cy="12" r="9"/>'
+});
+
+registerEffect({
+    name: 'edge',
+    label: 'Edge',
+    icon: '<path d="M4 4l16 16M4 20L20 4"/><circle cx="12" cy="12" r="3"/>',
+    params: [
+        { id: 'threshold', label: 'Threshold', min: 0, max: 255, value: 0 }
+    ],
+    apply(imageData, params, frame) {
+        const data = imageData.data;
+        const width = imageData.width;
+        const height = imageData.height;
+        const output = new Uint8ClampedArray(data.length);
+        const strength = frame.intensity / 100;
+        const accentColor = frame.accentColor;
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const magnitude = getSobelMagnitude(data, width, x, y);
+                const i = (y * width + x) * 4;
+
+                const edgeVal = magnitude < params.threshold ? 0 : clamp(magnitude * strength);
+                output[i] = data[i] * (1 - strength) + (accentColor.r * edgeVal / 255) * strength;
+                output[i + 1] = data[i + 1] * (1 - strength) + (accentColor.g * edgeVal / 255) * strength;
+                output[i + 2] = data[i + 2] * (1 - strength) + (accentColor.b * edgeVal / 255) * strength;
+                output[i + 3] = 255;
+            }
+        }
+
+        return new ImageData(output, width, height);
+    },
+    shader: {
+        source: `
+void main() {
+    vec2 texel = 1.0 / u_resolution;
+    float gx = 0.0;
+    float gy = 0.0;
+    for (int ky = -1; ky <= 1; ky++) {
+        for (int kx = -1; kx <= 1; kx++) {
+            vec3 c = texture(u_image, v_uv + vec2(kx, ky) * texel).rgb;
+            float gray = (c.r + c.g + c.b) / 3.0;
+            gx += gray * float(kx) * (ky == 0 ? 2.0 : 1.0);
+            gy += gray * float(ky) * (kx == 0 ? 2.0 : 1.0);
+        }
+    }
+    float magnitude = length(vec2(gx, gy));
+    float edge = magnitude * 255.0 < u_threshold ? 0.0 : clamp(magnitude * u_intensity, 0.0, 1.0);
+    vec3 src = texture(u_image, v_uv).rgb;
+    outColor = vec4(src * (1.0 - u_intensity) + u_accent * edge * u_intensity, 1.0);
+}`
+    }
+});
+
+// ASCII charsets, darkest to brightest
+export const ASCII_CHARSETS = {
+    standard: ' .:-=+*#%@',
+    block: ' ░▒▓█',
+    braille: '⠀⠁⠃⠇⠏⠟⠿⡿⣿',
+    katakana: ' ･ｰｧｨｯｼｿﾂﾃﾅﾇﾈﾏﾐﾑﾒﾓﾖﾗﾘﾜ'
+};
+
+// A fixed font size wins; at its minimum (Auto) higher intensity means smaller cells
+export function getAsciiFontSize(params, intensity) {
+    if (params.fontSize > 3) return Math.round(params.fontSize);
+    return Math.max(4, 16 - Math.floor(intensity / 10));
+}
+
+// Glyph ramp for the current params, as an array so multi-byte glyphs stay whole
+export function getAsciiGlyphs(params) {
+    let glyphs = Array.from(params.charset === 'custom'
+        ? params.customChars
+        : ASCII_CHARSETS[params.charset] || ASCII_CHARSETS.standard);
+    if (glyphs.length < 2) glyphs = Array.from(ASCII_CHARSETS.standard);
+    return params.invert ? glyphs.reverse() : glyphs;
+}
+
+// Average color and gamma-corrected brightness (0-1) of every cell
+export function sampleAsciiCells(data, width, height, cellSize, gamma) {
+    const cols = Math.floor(width / cellSize);
+    const rows = Math.floor(height / cellSize);
+    const colors = new Uint8ClampedArray(cols * rows * 3);
+    const brightness = new Float32Array(cols * rows);
+    const count = cellSize * cellSize;
+
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            let r = 0, g = 0, b = 0;
+            for (let y = row * cellSize; y < (row + 1) * cellSize; y++) {
+                let i = (y * width + col * cellSize) * 4;
+                for (let x = 0; x < cellSize; x++, i += 4) {
+                    r += data[i];
+                    g += data[i + 1];
+                    b += data[i + 2];
+                }
+            }
+
+            const cell = row * cols + col;
+            colors[cell * 3] = r / count;
+            colors[cell * 3 + 1] = g / count;
+            colors[cell * 3 + 2] = b / count;
+            brightness[cell] = Math.pow((r + g + b) / (count * 765), 1 / gamma);
+        }
+    }
+
+    return { cols, rows, colors, brightness };
+}
+
+export function getAsciiCharIndex(bright, glyphCount) {
+    return Math.min(glyphCount - 1, Math.floor(bright * (glyphCount - 1)));
+}
+
+// Text export of the current frame, optionally with 24-bit ANSI colors
+export function renderAsciiText(imageData, params, frame, ansi) {
+    const glyphs = getAsciiGlyphs(params);
+    const cells = sampleAsciiCells(imageData.data, imageData.width, imageData.height,
+        getAsciiFontSize(params, frame.intensity), params.gamma / 100);
+    const accent = frame.accentColor;
+    const lines = [];
+
+    for (let row = 0; row < cells.rows; row++) {
+        let line = '';
+        let lastColor = '';
+        for (let col = 0; col < cells.cols; col++) {
+            const cell = row * cells.cols + col;
+            const char = glyphs[getAsciiCharIndex(cells.brightness[cell], glyphs.length)];
+
+            if (ansi) {
+                const color = params.colorMode === 'source'
+                    ? `${cells.colors[cell * 3]};${cells.colors[cell * 3 + 1]};${cells.colors[cell * 3 + 2]}`
+                    : `${accent.r};${accent.g};${accent.b}`;
+                if (color !== lastColor) {
+                    line += `\x1b[38;2;${color}m`;
+                    lastColor = color;
+                }
+            }
+            line += char;
+        }
+        lines.push(ansi ? line + '\x1b[0m' : line.replace(/\s+$/, ''));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+registerEffect({
+    name: 'ascii',
+    label: 'ASCII',
+    icon: '<path d="M4 7V4h16v3M9 20h6M12 4v16"/>',
+    input: 'context',
+    params: [
+        { id: 'gamma', label: 'Gamma', min: 50, max: 200, value: 100, unit: '%' },
+        { id: 'fontSize', label: 'Font Size', min: 3, max: 32, value: 3, unit: 'px', minLabel: 'Auto' },
+        {
+            id: 'charset',
+            label: 'Charset',
+            type: 'select',
+            value: 'standard',
+            options: [
+                { value: 'standard', label: 'Standard' },
+                { value: 'block', label: 'Block' },
+                { value: 'braille', label: 'Braille' },
+                { value: 'katakana', label: 'Katakana' },
+                { value: 'custom', label: 'Custom' }
+            ]
+        },
+        {
+            id: 'customChars',
+            label: 'Characters',
+            type: 'text',
+            value: ' .oO@',
+            when: params => params.charset === 'custom'
+        },
+        {
+            id: 'colorMode',
+            label: 'Color',
+            type: 'select',
+            value: 'accent',
+            options: [
+                { value: 'accent', label: 'Accent' },
+                { value: 'source', label: 'Source' }
+            ]
+        },
+        { id: 'invert', label: 'Invert Ramp', type: 'toggle', value: false }
+    ],
+    exports: [
+        {
+            id: 'text',
+            label: 'Copy Text',
+            extension: 'txt',
+            run: (imageData, params, frame) => renderAsciiText(imageData, params, frame, false)
+        },
+        {
+            id: 'ansi',
+            label: 'Copy ANSI',
+            extension: 'ans',
+            run: (imageData, params, frame) => renderAsciiText(imageData, params, frame, true)
+        }
+    ],
+    apply(ctx, params, frame) {
+        const glyphs = getAsciiGlyphs(params);
+        const fontSize = getAsciiFontSize(params, frame.intensity);
+        const width = frame.width;
+        const height = frame.height;
+        const sourceColor = params.colorMode === 'source';
+
+        // Sample the frame before it is cleared
+        const data = ctx.getImageData(0, 0, width, height).data;
+        const cells = sampleAsciiCells(data, width, height, fontSize, params.gamma / 100);
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.font = `${fontSize}px monospace`;
+        ctx.fillStyle = `rgb(${frame.accentColor.r}, ${frame.accentColor.g}, ${frame.accentColor.b})`;
+        ctx.textBaseline = 'top';
+
+        for (let y = 0; y < cells.rows; y++) {
+            for (let x = 0; x < cells.cols; x++) {
+                const cell = y * cells.cols + x;
+                const charIndex = getAsciiCharIndex(cells.brightness[cell], glyphs.length);
+                if (charIndex === 0 && glyphs[0] === ' ') continue;
+
+                if (sourceColor) {
+                    ctx.fillStyle = `rgb(${cells.colors[cell * 3]}, ${cells.colors[cell * 3 + 1]}, ${cells.colors[cell * 3 + 2]})`;
+                }
+                ctx.fillText(glyphs[charIndex], x * fontSize, y * fontSize);
+            }
+        }
+    },
+    shader: {
+        glyphs: params => getAsciiGlyphs(params).join(''),
+        uniforms(params, frame) {
+            return {
+                u_cellSize: getAsciiFontSize(params, frame.intensity),
+                u_sourceColor: params.colorMode === 'source' ? 1 : 0
+            };
+        },
+        source: `
+uniform float u_cellSize;
+uniform float u_sourceColor;
+void main() {
+    // Work in top-left pixel coordinates so cells line up with the CPU path
+    vec2 pos = vec2(gl_FragCoord.x, u_resolution.y - gl_FragCoord.y);
+    vec2 cell = floor(pos / u_cellSize);
+    if (any(greaterThanEqual(cell, floor(u_resolution / u_cellSize)))) {
+        outColor = vec4(0.0, 0.0, 0.0, 1.0);
+        return;
+    }
+
+    // Approximate the cell average with a 4×4 grid of filtered samples
+    vec3 c = vec3(0.0);
+    for (int sy = 0; sy < 4; sy++) {
+        for (int sx = 0; sx < 4; sx++) {
+            vec2 p = cell * u_cellSize + (vec2(sx, sy) + 0.5) * u_cellSize / 4.0;
+            c += texture(u_image, vec2(p.x / u_resolution.x, 1.0 - p.y / u_resolution.y)).rgb;
+        }
+    }
+    c /= 16.0;
+
+    float bright = pow((c.r + c.g + c.b) / 3.0, 100.0 / u_gamma);
+    float index = min(u_glyphCount - 1.0, floor(bright * (u_glyphCount - 1.0)));
+
+    vec2 local = (pos - cell * u_cellSize) / u_cellSize;
+    float glyph = texture(u_glyphs, vec2((index + local.x) / u_glyphCount, 1.0 - local.y)).a;
+    outColor = vec4(mix(u_accent, c, u_sourceColor) * glyph, 1.0);
+}`
+    }
+});
+
+// Shared by the effects below: blend an effect's output over the source by
+// intensity, the same mix edge uses
+export function blendWithSource(data, output, strength) {
+    for (let i = 0; i < data.length; i += 4) {
+        output[i] = data[i] * (1 - strength) + output[i] * strength;
+        output[i + 1] = data[i + 1] * (1 - strength) + output[i + 1] * strength;
+        output[i + 2] = data[i + 2] * (1 - strength) + output[i + 2] * strength;
+        output[i + 3] = 255;
+    }
+}
+
+// Perceptual brightness, 0-255
+export function getLuma(data, i) {
+    return data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+}
+
+export const COLOR_MODE_PARAM = {
+    id: 'colorMode',
+    label: 'Color',
+    type: 'select',
+    value: 'accent',
+    options: [
+        { value: 'accent', label: 'Accent' },
+        { value: 'source', label: 'Source' }
+    ]
+};
+
+registerEffect({
+    name: 'pixelate',
+    label: 'Pixelate',
+    icon: '<rect x="4" y="4" width="7" height="7"/><rect x="13" y="13" width="7" height="7"/>',
+    params: [
+        { id: 'size', label: 'Block Size', min: 2, max: 64, value: 12, unit: 'px' },
+        { id: 'grid', label: 'Accent Grid', type: 'toggle', value: false }
+    ],
+    apply(imageData, params, frame) {
+        const { data, width, height } = imageData;
+        const output = new Uint8ClampedArray(data.length);
+        const size = Math.round(params.size);
+        const accent = frame.accentColor;
+
+        for (let by = 0; by < height; by += size) {
+            for (let bx = 0; bx < width; bx += size) {
+                const bw = Math.min(size, width - bx);
+                const bh = Math.min(size, height - by);
+                let r = 0, g = 0, b = 0;
+                for (let y = by; y < by + bh; y++) {
+                    for (let x = bx, i = (y * width + bx) * 4; x < bx + bw; x++, i += 4) {
+                        r += data[i];
+                        g += data[i + 1];
+                        b += data[i + 2];
+                    }
+                }
+
+                const count = bw * bh;
+                for (let y = by; y < by + bh; y++) {
+                    for (let x = bx, i = (y * width + bx) * 4; x < bx + bw; x++, i += 4) {
+                        const line = params.grid && (x === bx || y === by);
+                        output[i] = line ? accent.r : r / count;
+                        output[i + 1] = line ? accent.g : g / count;
+                        output[i + 2] = line ? accent.b : b / count;
+                    }
+                }
+            }
+        }
+
+        blendWithSource(data, output, frame.intensity / 100);
+        return new ImageData(output, width, height);
+    },
+    shader: {
+        source: `
+void main() {
+    // Top-left pixel coordinates so blocks line up with the CPU path
+    vec2 pos = vec2(gl_FragCoord.x, u_resolution.y - gl_FragCoord.y);
+    vec2 origin = floor(pos / u_size) * u_size;
+    vec2 extent = min(vec2(u_size), u_resolution - origin);
+
+    // Approximate the block average with a 4×4 grid of filtered samples
+    vec3 c = vec3(0.0);
+    for (int sy = 0; sy < 4; sy++) {
+        for (int sx = 0; sx < 4; sx++) {
+            vec2 p = origin + (vec2(sx, sy) + 0.5) * extent / 4.0;
+            c += texture(u_image, vec2(p.x / u_resolution.x, 1.0 - p.y / u_resolution.y)).rgb;
+        }
+    }
+    c /= 16.0;
+
+    vec2 local = pos - origin;
+    if (u_grid > 0.5 && (local.x < 1.0 || local.y < 1.0)) c = u_accent;
+    vec3 src = texture(u_image, v_uv).rgb;
+    outColor = vec4(mix(src, c, u_intensity), 1.0);
+}`
+    }
+});
+
+// Box radii whose repeated application approximates a Gaussian of sigma
+function getGaussianBoxRadii(sigma, passes) {
+    const ideal = Math.sqrt((12 * sigma * sigma) / passes + 1);
+    let lower = Math.floor(ideal);
+    if (lower % 2 === 0) lower--;
+    const upper = lower + 2;
+    const lowerCount = Math.round((12 * sigma * sigma - passes * lower * lower - 4 * passes * lower - 3 * passes) /
+        (-4 * lower - 4));
+    return Array.from({ length: passes }, (_, i) => ((i < lowerCount ? lower : upper) - 1) / 2);
+}
+
+// Box blur passes over RGBA float buffers, repeating the edge pixels. Both
+// keep running sums so the cost doesn't grow with the radius.
+function boxBlurRows(src, dst, width, height, radius) {
+    const scale = 1 / (radius * 2 + 1);
+    for (let y = 0; y < height; y++) {
+        const row = y * width * 4;
+        for (let channel = 0; channel < 3; channel++) {
+            const c = row + channel;
+            let sum = src[c] * (radius + 1);
+            for (let k = 1; k <= radius; k++) sum += src[c + Math.min(k, width - 1) * 4];
+            for (let x = 0; x < width; x++) {
+                dst[c + x * 4] = sum * scale;
+                sum += src[c + Math.min(x + radius + 1, width - 1) * 4] - src[c + Math.max(x - radius, 0) * 4];
+            }
+        }
+    }
+}
+
+// Column sums are kept for a whole row at a time to read memory in order
+function boxBlurColumns(src, dst, width, height, radius) {
+    const scale = 1 / (radius * 2 + 1);
+    const stride = width * 4;
+    const sums = new Float32Array(stride);
+    for (let i = 0; i < stride; i++) {
+        sums[i] = src[i] * (radius + 1);
+        for (let k = 1; k <= radius; k++) sums[i] += src[Math.min(k, height - 1) * stride + i];
+    }
+
+    for (let y = 0; y < height; y++) {
+        const row = y * stride;
+        const add = Math.min(y + radius + 1, height - 1) * stride;
+        const remove = Math.max(y - radius, 0) * stride;
+        for (let i = 0; i < stride; i++) {
+            dst[row + i] = sums[i] * scale;
+            sums[i] += src[add + i] - src[remove + i];
+        }
+    }
+}
+
+registerEffect({
+    name: 'blur',
+    label: 'Blur',
+    icon: '<circle cx="12" cy="12" r="8" stroke-dasharray="2 3"/><circle cx="12" cy="12" r="3"/>',
+    params: [
+        { id: 'radius', label: 'Radius', min: 1, max: 40, value: 8, unit: 'px' },
+        { id: 'tint', label: 'Accent Tint', min: 0, max: 100, value: 0, unit: '%' }
+    ],
+    apply(imageData, params, frame) {
+        const { data, width, height } = imageData;
+        const blurred = new Float32Array(data);
+        const scratch = new Float32Array(data.length);
+        const accent = frame.accentColor;
+        const tint = params.tint / 100;
+
+        // Three box passes each way are within a few percent of a true Gaussian
+        getGaussianBoxRadii(params.radius / 2, 3).forEach(radius => {
+            boxBlurRows(blurred, scratch, width, height, radius);
+            boxBlurColumns(scratch, blurred, width, height, radius);
+        });
+
+        const output = new Uint8ClampedArray(data.length);
+        for (let i = 0; i < output.length; i += 4) {
+            output[i] = blurred[i] * (1 - tint + tint * accent.r / 255);
+            output[i + 1] = blurred[i + 1] * (1 - tint + tint * accent.g / 255);
+            output[i + 2] = blurred[i + 2] * (1 - tint + tint * accent.b / 255);
+        }
+
+        blendWithSource(data, output, frame.intensity / 100);
+        return new ImageData(output, width, height);
+    },
+    shader: {
+        source: `
+void main() {
+    // Gaussian-weighted samples on a golden-angle spiral out to three sigma
+    float sigma = u_radius / 2.0;
+    vec3 sum = vec3(0.0);
+    float total = 0.0;
+    for (int i = 0; i < 64; i++) {
+        float r = sqrt((float(i) + 0.5) / 64.0) * sigma * 3.0;
+        float a = float(i) * 2.39996323;
+        vec2 offset = vec2(cos(a), sin(a)) * r;
+        float w = exp(-(r * r) / (2.0 * sigma * sigma));
+        sum += texture(u_image, v_uv + offset / u_resolution).rgb * w;
+        total += w;
+    }
+    vec3 c = sum / total;
+    c *= mix(vec3(1.0), u_accent, u_tint / 100.0);
+    vec3 src = texture(u_image, v_uv).rgb;
+    outColor = vec4(mix(src, c, u_intensity), 1.0);
+}`
+    }
+});
+
+registerEffect({
+    name: 'halftone',
+    label: 'Halftone',
+    icon: '<circle cx="7" cy="7" r="3"/><circle cx="17" cy="7" r="2"/><circle cx="7" cy="17" r="2"/><circle cx="17" cy="17" r="1"/>',
+    params: [
+        { id: 'size', label: 'Dot Spacing', min: 4, max: 48, value: 10, unit: 'px' },
+        { id: 'angle', label: 'Angle', min: 0, max: 90, value: 45, unit: '°' },
+        COLOR_MODE_PARAM
+    ],
+    apply(imageData, params, frame) {
+        const { data, width, height } = imageData;
+        const output = new Uint8ClampedArray(data.length);
+        const size = params.size;
+        const angle = params.angle * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const accent = frame.accentColor;
+        const sourceColor = params.colorMode === 'source';
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                // Nearest dot center on the rotated grid, then back to image space
+                const u = x * cos + y * sin;
+                const v = -x * sin + y * cos;
+                const cu = (Math.floor(u / size) + 0.5) * size;
+                const cv = (Math.floor(v / size) + 0.5) * size;
+                const sx = Math.min(width - 1, Math.max(0, Math.round(cu * cos - cv * sin)));
+                const sy = Math.min(height - 1, Math.max(0, Math.round(cu * sin + cv * cos)));
+                const si = (sy * width + sx) * 4;
+
+                // Dot area follows brightness; full brightness just touches its neighbors
+                const radius = Math.sqrt(getLuma(data, si) / 255) * size * 0.7071;
+                const i = (y * width + x) * 4;
+                if ((u - cu) * (u - cu) + (v - cv) * (v - cv) < radius * radius) {
+                    output[i] = sourceColor ? data[si] : accent.r;
+                    output[i + 1] = sourceColor ? data[si + 1] : accent.g;
+                    output[i + 2] = sourceColor ? data[si + 2] : accent.b;
+                }
+            }
+        }
+
+        blendWithSource(data, output, frame.intensity / 100);
+        return new ImageData(output, width, height);
+    },
+    shader: {
+        uniforms(params) {
+            return { u_sourceColor: params.colorMode === 'source' ? 1 : 0 };
+        },
+        source: `
+uniform float u_sourceColor;
+void main() {
+    vec2 pos = vec2(gl_FragCoord.x, u_resolution.y - gl_FragCoord.y);
+    float a = radians(u_angle);
+    mat2 rotate = mat2(cos(a), -sin(a), sin(a), cos(a));
+    vec2 uv = rotate * pos;
+    vec2 center = (floor(uv / u_size) + 0.5) * u_size;
+    vec2 p = clamp(transpose(rotate) * center, vec2(0.0), u_resolution - 1.0);
+    vec3 c = texture(u_image, vec2(p.x / u_resolution.x, 1.0 - p.y / u_resolution.y)).rgb;
+
+    float radius = sqrt(dot(c, vec3(0.299, 0.587, 0.114))) * u_size * 0.7071;
+    float inside = length(uv - center) < radius ? 1.0 : 0.0;
+    vec3 src = texture(u_image, v_uv).rgb;
+    outColor = vec4(mix(src, mix(u_accent, c, u_sourceColor) * inside, u_intensity), 1.0);
+}`
+    }
+});
+
+// 8×8 Bayer matrix for ordered dithering
+const BAYER_8 = [
+    0, 32, 8, 40, 2, 34, 10, 42,
+    48, 16, 56, 24, 50, 18, 58, 26,
+    12, 44, 4, 36, 14, 46, 6, 38,
+    60, 28, 52, 20, 62, 30, 54, 22,
+    3, 35, 11, 43, 1, 33, 9, 41,
+    51, 19, 59, 27, 49, 17, 57, 25,
+    15, 47, 7, 39, 13, 45, 5, 37,
+    63, 31, 55, 23, 61, 29, 53, 21
+];
+
+// Quantize a grid of values (0-1) in place, spreading the error forward
+function ditherFloydSteinberg(values, cols, rows, levels) {
+    const steps = levels - 1;
+    for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < cols; x++) {
+            const i = y * cols + x;
+            const old = values[i];
+            const quantized = Math.min(1, Math.max(0, Math.round(old * steps) / steps));
+            const error = old - quantized;
+            values[i] = quantized;
+            if (x + 1 < cols) values[i + 1] += error * 7 / 16;
+            if (y + 1 < rows) {
+                if (x > 0) values[i + cols - 1] += error * 3 / 16;
+                values[i + cols] += error * 5 / 16;
+                if (x + 1 < cols) values[i + cols + 1] += error * 1 / 16;
+            }
+        }
+    }
+}
+
+function ditherOrdered(values, cols, rows, levels) {
+    const steps = levels - 1;
+    for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < cols; x++) {
+            const i = y * cols + x;
+            const threshold = (BAYER_8[(y & 7) * 8 + (x & 7)] + 0.5) / 64;
+            values[i] = Math.min(steps, Math.floor(values[i] * steps + threshold)) / steps;
+        }
+    }
+}
+
+// Floyd-Steinberg diffuses error from pixel to pixel, so there is no shader
+registerEffect({
+    name: 'dither',
+    label: 'Dither',
+    icon: '<rect x="4" y="4" width="4" height="4"/><rect x="12" y="4" width="4" height="4"/><rect x="8" y="8" width="4" height="4"/><rect x="16" y="8" width="4" height="4"/><rect x="4" y="12" width="4" height="4"/><rect x="12" y="12" width="4" height="4"/><rect x="8" y="16" width="4" height="4"/>',
+    params: [
+        {
+            id: 'method',
+            label: 'Method',
+            type: 'select',
+            value: 'ordered',
+            options: [
+                { value: 'ordered', label: 'Ordered (Bayer)' },
+                { value: 'floyd-steinberg', label: 'Floyd–Steinberg' }
+            ]
+        },
+        { id: 'levels', label: 'Levels', min: 2, max: 8, value: 2 },
+        { id: 'scale', label: 'Pixel Size', min: 1, max: 8, value: 2, unit: 'px' },
+        COLOR_MODE_PARAM
+    ],
+    apply(imageData, params, frame) {
+        const { data, width, height } = imageData;
+        const output = new Uint8ClampedArray(data.length);
+        const scale = Math.round(params.scale);
+        const levels = Math.round(params.levels);
+        const cols = Math.ceil(width / scale);
+        const rows = Math.ceil(height / scale);
+        const dither = params.method === 'floyd-steinberg' ? ditherFloydSteinberg : ditherOrdered;
+        const accent = frame.accentColor;
+
+        // Accent mode dithers brightness into shades of the accent; source mode
+        // dithers each channel
+        const channels = params.colorMode === 'source' ? [0, 1, 2] : [null];
+        channels.forEach(channel => {
+            const values = new Float32Array(cols * rows);
+            for (let row = 0; row < rows; row++) {
+                for (let col = 0; col < cols; col++) {
+                    const i = (row * scale * width + col * scale) * 4;
+                    values[row * cols + col] = (channel === null ? getLuma(data, i) : data[i + channel]) / 255;
+                }
+            }
+
+            dither(values, cols, rows, levels);
+
+            for (let y = 0; y < height; y++) {
+                const rowOffset = Math.floor(y / scale) * cols;
+                for (let x = 0, i = y * width * 4; x < width; x++, i += 4) {
+                    const value = values[rowOffset + Math.floor(x / scale)];
+                    if (channel === null) {
+                        output[i] = accent.r * value;
+                        output[i + 1] = accent.g * value;
+                        output[i + 2] = accent.b * value;
+                    } else {
+                        output[i + channel] = value * 255;
+                    }
+                }
+            }
+        });
+
+        blendWithSource(data, output, frame.intensity / 100);
+        return new ImageData(output, width, height);
+    }
+});
+
+registerEffect({
+    name: 'posterize',
+    label: 'Posterize',
+    icon: '<rect x="4" y="4" width="16" height="16" rx="2"/><path d="M4 12h16M12 4v16"/>',
+    params: [
+        { id: 'levels', label: 'Levels', min: 2, max: 16, value: 4 },
+        COLOR_MODE_PARAM
+    ],
+    apply(imageData, params, frame) {
+        const { data, width, height } = imageData;
+        const output = new Uint8ClampedArray(data.length);
+        const steps = Math.round(params.levels) - 1;
+        const accent = frame.accentColor;
+        const sourceColor = params.colorMode === 'source';
+        const quantize = value => Math.round(value / 255 * steps) / steps;
+
+        for (let i = 0; i < data.length; i += 4) {
+            if (sourceColor) {
+                output[i] = quantize(data[i]) * 255;
+                output[i + 1] = quantize(data[i + 1]) * 255;
+                output[i + 2] = quantize(data[i + 2]) * 255;
+            } else {
+                const value = quantize(getLuma(data, i));
+                output[i] = accent.r * value;
+                output[i + 1] = accent.g * value;
+                output[i + 2] = accent.b * value;
+            }
+        }
+
+        blendWithSource(data, output, frame.intensity / 100);
+        return new ImageData(output, width, height);
+    },
+    shader: {
+        uniforms(params) {
+            return { u_sourceColor: params.colorMode === 'source' ? 1 : 0 };
+        },
+        source: `
+uniform float u_sourceColor;
+void main() {
+    float steps = floor(u_levels + 0.5) - 1.0;
+    vec3 src = texture(u_image, v_uv).rgb;
+    vec3 channels = floor(src * steps + 0.5) / steps;
+    float luma = floor(dot(src, vec3(0.299, 0.587, 0.114)) * steps + 0.5) / steps;
+    vec3 c = mix(u_accent * luma, channels, u_sourceColor);
+    outColor = vec4(mix(src, c, u_intensity), 1.0);
+}`
+    }
+});
+
+// False-color palettes as five evenly spaced stops, dark to bright.
+// 'accent' runs from black through the accent color to white.
+const THERMAL_PALETTES = {
+    thermal: [[0, 0, 0], [40, 0, 160], [200, 0, 120], [255, 140, 0], [255, 255, 255]],
+    ironbow: [[0, 0, 20], [90, 0, 150], [210, 40, 90], [250, 170, 20], [255, 250, 220]],
+    rainbow: [[40, 0, 160], [0, 160, 255], [0, 220, 60], [255, 220, 0], [255, 30, 0]]
+};
+
+function getThermalStops(palette, accent) {
+    if (palette !== 'accent') return THERMAL_PALETTES[palette] || THERMAL_PALETTES.thermal;
+    const { r, g, b } = accent;
+    return [[0, 0, 0], [r / 2, g / 2, b / 2], [r, g, b], [(r + 255) / 2, (g + 255) / 2, (b + 255) / 2], [255, 255, 255]];
+}
+
+registerEffect({
+    name: 'thermal',
+    label: 'Thermal',
+    icon: '<path d="M10 4a2 2 0 0 1 4 0v10a4 4 0 1 1-4 0z"/><path d="M12 9v7"/>',
+    params: [
+        {
+            id: 'palette',
+            label: 'Palette',
+            type: 'select',
+            value: 'thermal',
+            options: [
+                { value: 'thermal', label: 'Thermal' },
+                { value: 'ironbow', label: 'Ironbow' },
+                { value: 'rainbow', label: 'Rainbow' },
+                { value: 'accent', label: 'Accent' }
+            ]
+        }
+    ],
+    apply(imageData, params, frame) {
+        const { data, width, height } = imageData;
+        const output = new Uint8ClampedArray(data.length);
+        const stops = getThermalStops(params.palette, frame.accentColor);
+
+        // 256-entry lookup table, interpolated between stops
+        const lut = new Uint8ClampedArray(256 * 3);
+        for (let v = 0; v < 256; v++) {
+            const t = v / 255 * (stops.length - 1);
+            const lower = Math.min(stops.length - 2, Math.floor(t));
+            const f = t - lower;
+            for (let c = 0; c < 3; c++) {
+                lut[v * 3 + c] = stops[lower][c] * (1 - f) + stops[lower + 1][c] * f;
+            }
+        }
+
+        for (let i = 0; i < data.length; i += 4) {
+            const v = Math.round(getLuma(data, i)) * 3;
+            output[i] = lut[v];
+            output[i + 1] = lut[v + 1];
+            output[i + 2] = lut[v + 2];
+        }
+
+        blendWithSource(data, output, frame.intensity / 100);
+        return new ImageData(output, width, height);
+    },
+    shader: {
+        uniforms(params, frame) {
+            const stops = getThermalStops(params.palette, frame.accentColor);
+            const uniforms = {};
+            stops.forEach((stop, i) => {
+                uniforms[`u_stop${i}`] = stop.map(c => c / 255);
+            });
+            return uniforms;
+        },
+        source: `
+uniform vec3 u_stop0;
+uniform vec3 u_stop1;
+uniform vec3 u_stop2;
+uniform vec3 u_stop3;
+uniform vec3 u_stop4;
+void main() {
+    vec3 src = texture(u_image, v_uv).rgb;
+    float t = dot(src, vec3(0.299, 0.587, 0.114)) * 4.0;
+    vec3 c = t < 1.0 ? mix(u_stop0, u_stop1, t)
+        : t < 2.0 ? mix(u_stop1, u_stop2, t - 1.0)
+        : t < 3.0 ? mix(u_stop2, u_stop3, t - 2.0)
+        : mix(u_stop3, u_stop4, t - 3.0);
+    outColor = vec4(mix(src, c, u_intensity), 1.0);
+}`
+    }
+});
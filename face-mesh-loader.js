@@ -0,0 +1,83 @@
+// Face mesh loader
+// MediaPipe loads from the path in <meta name="face-mesh-path"> (self-hosted
+// copies work offline and under a strict CSP), then from the CDN unless that
+// meta sets data-cdn-fallback="false". Face Mesh is a classic script that
+// defines a FaceMesh global, so it is added to the page on first use.
+
+const FACE_MESH_CDN = 'https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh@0.4.1633559619/';
+
+// basePath, when given, is tried before the page's meta path
+export function getFaceMeshPaths(basePath) {
+    const meta = document.querySelector('meta[name="face-mesh-path"]');
+    const paths = [];
+    [basePath, meta && meta.content].forEach(path => {
+        if (path) paths.push(path.endsWith('/') ? path : path + '/');
+    });
+    if (!meta || meta.dataset.cdnFallback !== 'false') {
+        paths.push(FACE_MESH_CDN);
+    }
+    return paths;
+}
+
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.crossOrigin = 'anonymous';
+        script.onload = resolve;
+        script.onerror = () => {
+            script.remove();
+            reject(new Error(`Could not load ${src}`));
+        };
+        document.head.appendChild(script);
+    });
+}
+
+async function findFaceMesh(basePath) {
+    for (const path of getFaceMeshPaths(basePath)) {
+        try {
+            await loadScript(path + 'face_mesh.js');
+            if (typeof FaceMesh !== 'undefined') return path;
+        } catch (err) {
+            console.warn(err.message);
+        }
+    }
+    throw new Error('Face tracking library unavailable');
+}
+
+// Shared, so the app and any embedded cameras add the script only once
+let loading = null;
+
+// Resolves with the base path the library loaded from
+export function loadFaceMesh(basePath) {
+    if (!loading) {
+        loading = findFaceMesh(basePath).catch(err => {
+            loading = null;
+            throw err;
+        });
+    }
+    return loading;
+}
+
+// options: { maxFaces, basePath, onResults(results) }
+// Resolves with a ready detector; send({ image }) runs one detection
+export async function createFaceMesh(options) {
+    const path = await loadFaceMesh(options.basePath);
+
+    const detector = new FaceMesh({
+        locateFile: (file) => path + file
+    });
+
+    detector.setOptions({
+        maxNumFaces: options.maxFaces || 1,
+        refineLandmarks: true,
+        minDetectionConfidence: 0.5,
+        minTrackingConfidence: 0.5
+    });
+    detector.onResults(options.onResults);
+
+    // Fetches the model and wasm now, so failures surface here rather than
+    // on the first frame
+    await detector.initialize();
+    return detector;
+}
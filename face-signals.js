@@ -0,0 +1,181 @@
+// Face signals and mappings
+// Reduces Face Mesh landmarks to a handful of named signals and maps them onto
+// app parameters. A mapping is plain data so it can live in settings:
+//
+//     { signal: 'tilt', target: 'hue', inMin: -60, inMax: 60,
+//       outMin: 0, outMax: 360, curve: 'linear', smoothing: 0.7 }
+//
+// The signal is clamped to [inMin, inMax], shaped by the curve and scaled to
+// [outMin, outMax] (either range may run backwards to invert). Smoothing
+// (0-0.95) is an exponential moving average on the signal. Landmark
+// coordinates are in image space, so x-based signals are not mirrored.
+// Face bounds and frame-to-frame matching support multi-face sessions.
+// No DOM access; the app applies mapped values to its own state.
+
+// Default input ranges cover a comfortable range of motion
+export const FACE_SIGNALS = [
+    { id: 'tilt', label: 'Head Tilt', min: -60, max: 60 },
+    { id: 'yaw', label: 'Head Turn', min: -0.6, max: 0.6 },
+    { id: 'pitch', label: 'Head Nod', min: 0.3, max: 0.6 },
+    { id: 'mouthOpen', label: 'Mouth Open', min: 0, max: 0.15 },
+    { id: 'eyebrowRaise', label: 'Eyebrow Raise', min: 0.06, max: 0.11 },
+    { id: 'faceDistance', label: 'Face Size', min: 0.15, max: 0.6 },
+    { id: 'noseX', label: 'Nose X', min: 0.2, max: 0.8 },
+    { id: 'noseY', label: 'Nose Y', min: 0.2, max: 0.8 }
+];
+
+// max: null means the app decides (e.g. the number of registered effects)
+export const MAPPING_TARGETS = [
+    { id: 'intensity', label: 'Intensity', min: 0, max: 100 },
+    { id: 'brightness', label: 'Brightness', min: 50, max: 150 },
+    { id: 'contrast', label: 'Contrast', min: 50, max: 150 },
+    { id: 'hue', label: 'Accent Hue', min: 0, max: 360 },
+    { id: 'asciiFontSize', label: 'ASCII Font Size', min: 4, max: 32 },
+    { id: 'effect', label: 'Effect', min: 0, max: null }
+];
+
+export const MAPPING_CURVES = {
+    linear: t => t,
+    'ease-in': t => t * t,
+    'ease-out': t => 1 - (1 - t) * (1 - t),
+    smooth: t => t * t * (3 - 2 * t),
+    step: t => (t < 0.5 ? 0 : 1)
+};
+
+export function getFaceSignal(id) {
+    return FACE_SIGNALS.find(signal => signal.id === id) || null;
+}
+
+export function getMappingTarget(id) {
+    return MAPPING_TARGETS.find(target => target.id === id) || null;
+}
+
+// Mapping with the signal's input range and the target's output range
+export function createMapping(signalId, targetId) {
+    const signal = getFaceSignal(signalId);
+    const target = getMappingTarget(targetId);
+    return {
+        signal: signal.id,
+        target: target.id,
+        inMin: signal.min,
+        inMax: signal.max,
+        outMin: target.min,
+        outMax: target.max === null ? target.min : target.max,
+        curve: 'linear',
+        smoothing: 0.5
+    };
+}
+
+function landmarkDistance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+// Face Mesh landmarks (468 or 478 points) to signal values
+export function extractFaceSignals(landmarks) {
+    const rightEyeOuter = landmarks[33];
+    const leftEyeOuter = landmarks[263];
+    const nose = landmarks[1];
+    const forehead = landmarks[10];
+    const chin = landmarks[152];
+    const rightCheek = landmarks[234];
+    const leftCheek = landmarks[454];
+
+    const faceHeight = landmarkDistance(forehead, chin) || 1;
+    const faceWidth = landmarkDistance(rightCheek, leftCheek) || 1;
+    const eyeMidY = (rightEyeOuter.y + leftEyeOuter.y) / 2;
+    const cheekMidX = (rightCheek.x + leftCheek.x) / 2;
+
+    return {
+        tilt: Math.atan2(leftEyeOuter.y - rightEyeOuter.y, leftEyeOuter.x - rightEyeOuter.x) * (180 / Math.PI),
+        // Nose offset from the face center, in half face widths
+        yaw: (nose.x - cheekMidX) / (faceWidth / 2),
+        // Nose height between the eye line and the chin
+        pitch: (nose.y - eyeMidY) / ((chin.y - eyeMidY) || 1),
+        mouthOpen: landmarkDistance(landmarks[13], landmarks[14]) / faceHeight,
+        // Brow to upper eyelid, averaged over both eyes
+        eyebrowRaise: (landmarkDistance(landmarks[105], landmarks[159]) +
+            landmarkDistance(landmarks[334], landmarks[386])) / (2 * faceHeight),
+        faceDistance: faceWidth,
+        noseX: nose.x,
+        noseY: nose.y
+    };
+}
+
+// Signal value to output value, without smoothing
+export function evaluateMapping(mapping, value) {
+    const span = mapping.inMax - mapping.inMin;
+    let t = span === 0 ? 0 : (value - mapping.inMin) / span;
+    t = Math.min(1, Math.max(0, t));
+    t = (MAPPING_CURVES[mapping.curve] || MAPPING_CURVES.linear)(t);
+    return mapping.outMin + t * (mapping.outMax - mapping.outMin);
+}
+
+// Evaluates a list of mappings frame after frame, keeping each mapping's
+// smoothed signal between calls
+export function createMappingRunner() {
+    const smoothed = new WeakMap();
+
+    // Returns [{ mapping, value }] for every mapping whose signal is present
+    function run(mappings, signals) {
+        return mappings
+            .filter(mapping => typeof signals[mapping.signal] === 'number')
+            .map(mapping => {
+                const raw = signals[mapping.signal];
+                const previous = smoothed.has(mapping) ? smoothed.get(mapping) : raw;
+                const value = previous * mapping.smoothing + raw * (1 - mapping.smoothing);
+                smoothed.set(mapping, value);
+                return { mapping, value: evaluateMapping(mapping, value) };
+            });
+    }
+
+    return { run };
+}
+
+// Normalized bounding box of the face, padded so region masks cover the
+// forehead and chin
+export function getFaceBounds(landmarks, padding = 0.15) {
+    let minX = 1, minY = 1, maxX = 0, maxY = 0;
+    landmarks.forEach(point => {
+        minX = Math.min(minX, point.x);
+        minY = Math.min(minY, point.y);
+        maxX = Math.max(maxX, point.x);
+        maxY = Math.max(maxY, point.y);
+    });
+
+    const padX = (maxX - minX) * padding;
+    const padY = (maxY - minY) * padding;
+    return {
+        x: minX - padX,
+        y: minY - padY,
+        width: maxX - minX + padX * 2,
+        height: maxY - minY + padY * 2
+    };
+}
+
+// Pair detected faces with known ones by nearest center, so per-face state
+// follows the same person between frames. Returns, for each face, the index
+// of its match in previous or -1 for a new face.
+export function matchFaceTracks(previous, faces, maxDistance = 0.2) {
+    const center = b => ({ x: b.x + b.width / 2, y: b.y + b.height / 2 });
+    const pairs = [];
+    faces.forEach((face, i) => {
+        previous.forEach((known, j) => {
+            const a = center(face);
+            const b = center(known);
+            const distance = Math.hypot(a.x - b.x, a.y - b.y);
+            if (distance <= maxDistance) pairs.push({ i, j, distance });
+        });
+    });
+
+    // Greedy closest-first assignment is plenty for a handful of faces
+    pairs.sort((a, b) => a.distance - b.distance);
+    const matches = faces.map(() => -1);
+    const taken = new Set();
+    pairs.forEach(({ i, j }) => {
+        if (matches[i] === -1 && !taken.has(j)) {
+            matches[i] = j;
+            taken.add(j);
+        }
+    });
+    return matches;
+}
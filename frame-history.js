@@ -0,0 +1,81 @@
+// Frame history
+// A ring buffer of recent frames for temporal effects. The pipeline sizes it
+// each frame to the most history any active effect asks for, and the first
+// temporal effect to run records the adjusted source frame. Buffers are reused
+// once the ring is full, and the number of frames is capped by
+// FRAME_HISTORY_BUDGET whatever the effects ask for (about 30 frames at
+// 1080p). Like the pipeline it has no DOM access.
+
+export const FRAME_HISTORY_BUDGET = 256 * 1024 * 1024;
+
+export function createFrameHistory() {
+    // Newest first; each entry is a copy of a frame's RGBA pixels
+    let frames = [];
+    let width = 0;
+    let height = 0;
+    let capacity = 0;
+    let frameId = 0;
+    let recordedId = -1;
+    // Per-effect state that should live as long as the history, e.g. the
+    // previous output of a feedback effect. Face regions and effect layers
+    // can run an effect several times a frame, so state that advances should
+    // do so once per frameId.
+    const states = new Map();
+
+    function getMaxFrames(w, h) {
+        return Math.max(2, Math.floor(FRAME_HISTORY_BUDGET / (w * h * 4)));
+    }
+
+    // Start a new frame that needs the current frame plus `past` earlier ones
+    function begin(past, w, h) {
+        if (w !== width || h !== height) {
+            clear();
+            width = w;
+            height = h;
+        }
+        capacity = Math.min(past + 1, getMaxFrames(w, h));
+        if (frames.length > capacity) frames.length = capacity;
+        frameId++;
+    }
+
+    // Record the current frame; later calls in the same frame are ignored
+    function record(imageData) {
+        if (recordedId === frameId || capacity === 0) return;
+        recordedId = frameId;
+
+        const buffer = frames.length >= capacity
+            ? frames.pop()
+            : new Uint8ClampedArray(imageData.data.length);
+        buffer.set(imageData.data);
+        frames.unshift(buffer);
+    }
+
+    // Pixels from `age` frames ago (0 is the current frame), or the oldest
+    // frame kept when there isn't that much history yet
+    function get(age) {
+        if (frames.length === 0) return null;
+        return frames[Math.min(frames.length - 1, Math.max(0, Math.round(age)))];
+    }
+
+    function getState(key) {
+        if (!states.has(key)) states.set(key, {});
+        return states.get(key);
+    }
+
+    function clear() {
+        frames = [];
+        capacity = 0;
+        states.clear();
+    }
+
+    return {
+        begin,
+        record,
+        get,
+        getState,
+        clear,
+        get length() { return frames.length; },
+        get capacity() { return capacity; },
+        get frameId() { return frameId; }
+    };
+}
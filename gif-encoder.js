@@ -0,0 +1,127 @@
+// Minimal animated GIF encoder for short clips
+// Frames are quantized to a fixed 3-3-2 RGB palette, which keeps encoding fast
+// and works well for the limited palettes of the ASCII and edge effects.
+
+function buildGifPalette() {
+    const palette = new Uint8Array(256 * 3);
+    for (let i = 0; i < 256; i++) {
+        palette[i * 3] = Math.round(((i >> 5) & 7) * 255 / 7);
+        palette[i * 3 + 1] = Math.round(((i >> 2) & 7) * 255 / 7);
+        palette[i * 3 + 2] = Math.round((i & 3) * 255 / 3);
+    }
+    return palette;
+}
+
+// Map RGBA pixels to palette indices
+function quantizeFrame(data) {
+    const indices = new Uint8Array(data.length / 4);
+    for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+        indices[p] = (data[i] & 0xe0) | ((data[i + 1] >> 3) & 0x1c) | (data[i + 2] >> 6);
+    }
+    return indices;
+}
+
+// Variable-width LZW compression as required by the GIF image data block
+function lzwEncode(indices, minCodeSize, out) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+
+    let bitBuffer = 0;
+    let bitCount = 0;
+    const bytes = [];
+
+    function emit(code) {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            bytes.push(bitBuffer & 0xff);
+            bitBuffer >>= 8;
+            bitCount -= 8;
+        }
+    }
+
+    out.push(minCodeSize);
+    emit(clearCode);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode === 4096) {
+            emit(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = k;
+    }
+
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) bytes.push(bitBuffer & 0xff);
+
+    // Split into sub-blocks of at most 255 bytes
+    for (let i = 0; i < bytes.length; i += 255) {
+        const chunk = bytes.slice(i, i + 255);
+        out.push(chunk.length);
+        for (const b of chunk) out.push(b);
+    }
+    out.push(0);
+}
+
+// Encode a list of ImageData frames into a looping GIF blob
+// delay is the frame duration in milliseconds
+export function encodeGif(frames, delay) {
+    const width = frames[0].width;
+    const height = frames[0].height;
+    const out = [];
+    const writeString = (s) => { for (let i = 0; i < s.length; i++) out.push(s.charCodeAt(i)); };
+    const writeShort = (v) => { out.push(v & 0xff, (v >> 8) & 0xff); };
+
+    // Header and logical screen descriptor with a global color table
+    writeString('GIF89a');
+    writeShort(width);
+    writeShort(height);
+    out.push(0xf7, 0, 0);
+    for (const v of buildGifPalette()) out.push(v);
+
+    // Loop forever
+    out.push(0x21, 0xff, 11);
+    writeString('NETSCAPE2.0');
+    out.push(3, 1, 0, 0, 0);
+
+    const delayCs = Math.max(2, Math.round(delay / 10));
+
+    for (const frame of frames) {
+        // Graphic control extension
+        out.push(0x21, 0xf9, 4, 0x04);
+        writeShort(delayCs);
+        out.push(0, 0);
+
+        // Image descriptor
+        out.push(0x2c);
+        writeShort(0);
+        writeShort(0);
+        writeShort(width);
+        writeShort(height);
+        out.push(0);
+
+        lzwEncode(quantizeFrame(frame.data), 8, out);
+    }
+
+    out.push(0x3b);
+    return new Blob([new Uint8Array(out)], { type: 'image/gif' });
+}
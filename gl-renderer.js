@@ -0,0 +1,341 @@
+// WebGL2 render path
+// Each frame is uploaded as a texture, brightness/contrast and the color grade
+// run as one shader pass and the effect as a second. Effects opt in by describing a `shader` in
+// the registry; effects without one are applied on the CPU after the adjust
+// pass. createGLRenderer() returns null when WebGL2 is unavailable or only
+// software rendering is on offer, and the caller keeps using Canvas2D.
+
+import { isNumericParam, createScratchCanvas } from './effects.js';
+
+const GL_VERTEX_SHADER = `#version 300 es
+in vec2 a_position;
+out vec2 v_uv;
+void main() {
+    v_uv = a_position * 0.5 + 0.5;
+    gl_Position = vec4(a_position, 0.0, 1.0);
+}`;
+
+// Shared declarations prepended to every fragment shader
+const GL_FRAGMENT_PRELUDE = `#version 300 es
+precision highp float;
+uniform sampler2D u_image;
+uniform vec2 u_resolution;
+uniform float u_intensity;
+uniform vec3 u_accent;
+in vec2 v_uv;
+out vec4 outColor;
+`;
+
+// Mirrors applyGrade() in color-grading.js: tone row, color matrix, curves
+// row, then the LUT
+const GL_ADJUST_SHADER = `
+precision highp sampler3D;
+uniform bool u_mirror;
+uniform sampler2D u_tone;
+uniform mat3 u_colorMatrix;
+uniform sampler3D u_lut;
+uniform float u_lutSize;
+uniform vec3 u_lutMin;
+uniform vec3 u_lutRange;
+uniform float u_lutStrength;
+
+vec3 lookupTone(vec3 c, int row) {
+    ivec3 i = ivec3(clamp(c, 0.0, 255.0) + 0.5);
+    return vec3(
+        texelFetch(u_tone, ivec2(i.r, row), 0).r,
+        texelFetch(u_tone, ivec2(i.g, row), 0).g,
+        texelFetch(u_tone, ivec2(i.b, row), 0).b
+    ) * 255.0;
+}
+
+void main() {
+    vec2 uv = u_mirror ? vec2(1.0 - v_uv.x, v_uv.y) : v_uv;
+    vec3 c = lookupTone(texture(u_image, uv).rgb * 255.0, 0);
+    c = lookupTone(u_colorMatrix * c, 1);
+    if (u_lutStrength > 0.0) {
+        vec3 t = clamp((c / 255.0 - u_lutMin) / u_lutRange, 0.0, 1.0);
+        vec3 graded = texture(u_lut, (t * (u_lutSize - 1.0) + 0.5) / u_lutSize).rgb * 255.0;
+        c = mix(c, graded, u_lutStrength);
+    }
+    outColor = vec4(c / 255.0, 1.0);
+}`;
+
+const GL_IDENTITY_MATRIX = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+export function createGLRenderer() {
+    const glCanvas = createScratchCanvas(1, 1);
+    const gl = glCanvas.getContext('webgl2', {
+        alpha: false,
+        antialias: false,
+        premultipliedAlpha: false,
+        failIfMajorPerformanceCaveat: true
+    });
+    if (!gl) return null;
+
+    let lost = false;
+    glCanvas.addEventListener('webglcontextlost', (e) => {
+        e.preventDefault();
+        lost = true;
+    });
+
+    function compile(type, source) {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            const log = gl.getShaderInfoLog(shader);
+            gl.deleteShader(shader);
+            throw new Error(log);
+        }
+        return shader;
+    }
+
+    function createProgram(fragmentSource) {
+        const program = gl.createProgram();
+        gl.attachShader(program, compile(gl.VERTEX_SHADER, GL_VERTEX_SHADER));
+        gl.attachShader(program, compile(gl.FRAGMENT_SHADER, GL_FRAGMENT_PRELUDE + fragmentSource));
+        gl.bindAttribLocation(program, 0, 'a_position');
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(gl.getProgramInfoLog(program));
+        }
+        return { program, uniforms: {} };
+    }
+
+    function getLocation(prog, name) {
+        if (!(name in prog.uniforms)) {
+            prog.uniforms[name] = gl.getUniformLocation(prog.program, name);
+        }
+        return prog.uniforms[name];
+    }
+
+    function setSampler(prog, name, unit) {
+        const location = getLocation(prog, name);
+        if (location !== null) gl.uniform1i(location, unit);
+    }
+
+    function setUniform(prog, name, value) {
+        const location = getLocation(prog, name);
+        if (location === null) return;
+
+        if (typeof value === 'boolean') gl.uniform1i(location, value ? 1 : 0);
+        else if (typeof value === 'number') gl.uniform1f(location, value);
+        else if (value.length === 2) gl.uniform2fv(location, value);
+        else if (value.length === 3) gl.uniform3fv(location, value);
+        else if (value.length === 4) gl.uniform4fv(location, value);
+        else if (value.length === 9) gl.uniformMatrix3fv(location, true, value);
+    }
+
+    function createTexture() {
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        return texture;
+    }
+
+    // Full-screen quad
+    const quad = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, quad);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+    gl.enableVertexAttribArray(0);
+    gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+
+    // Textures are stored bottom-up so they line up with framebuffer coordinates
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+
+    const adjustProgram = createProgram(GL_ADJUST_SHADER);
+    const sourceTexture = createTexture();
+    const adjustedTexture = createTexture();
+    const toneTexture = createTexture();
+    const lutTexture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_3D, lutTexture);
+    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    [gl.TEXTURE_WRAP_S, gl.TEXTURE_WRAP_T, gl.TEXTURE_WRAP_R].forEach(wrap => {
+        gl.texParameteri(gl.TEXTURE_3D, wrap, gl.CLAMP_TO_EDGE);
+    });
+    // What the tone and LUT textures currently hold
+    let uploadedTone = null;
+    let uploadedLUT = null;
+    const framebuffer = gl.createFramebuffer();
+    let framebufferWidth = 0;
+    let framebufferHeight = 0;
+
+    // Compiled effect programs and glyph atlases, keyed by effect name
+    const effectPrograms = new Map();
+    const glyphAtlases = new Map();
+
+    function getEffectProgram(effect) {
+        if (!effectPrograms.has(effect.name)) {
+            let prog = null;
+            try {
+                const paramUniforms = effect.params
+                    .filter(isNumericParam)
+                    .map(p => `uniform float u_${p.id};\n`)
+                    .join('');
+                const glyphUniforms = effect.shader.glyphs
+                    ? 'uniform sampler2D u_glyphs;\nuniform float u_glyphCount;\n'
+                    : '';
+                prog = createProgram(paramUniforms + glyphUniforms + effect.shader.source);
+            } catch (err) {
+                console.error(`Shader for effect "${effect.name}" failed, using CPU path:`, err);
+            }
+            effectPrograms.set(effect.name, prog);
+        }
+        return effectPrograms.get(effect.name);
+    }
+
+    // Render a row of glyphs, white on transparent, for atlas lookups
+    function getGlyphAtlas(glyphs) {
+        if (!glyphAtlases.has(glyphs)) {
+            // Custom charsets change as they are typed, so keep only a few atlases
+            if (glyphAtlases.size >= 8) {
+                const [oldest, texture] = glyphAtlases.entries().next().value;
+                gl.deleteTexture(texture);
+                glyphAtlases.delete(oldest);
+            }
+
+            const size = 32;
+            const chars = Array.from(glyphs);
+            const atlas = createScratchCanvas(size * chars.length, size);
+            const atlasCtx = atlas.getContext('2d');
+            atlasCtx.font = `${size}px monospace`;
+            atlasCtx.textBaseline = 'top';
+            atlasCtx.fillStyle = '#fff';
+            chars.forEach((char, i) => atlasCtx.fillText(char, i * size, 0));
+
+            const texture = createTexture();
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, atlas);
+            glyphAtlases.set(glyphs, texture);
+        }
+        return glyphAtlases.get(glyphs);
+    }
+
+    function resize(width, height) {
+        if (glCanvas.width !== width || glCanvas.height !== height) {
+            glCanvas.width = width;
+            glCanvas.height = height;
+        }
+        if (framebufferWidth !== width || framebufferHeight !== height) {
+            gl.bindTexture(gl.TEXTURE_2D, adjustedTexture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, adjustedTexture, 0);
+            framebufferWidth = width;
+            framebufferHeight = height;
+        }
+    }
+
+    // Tables are uploaded top-down (3D uploads from arrays can't be flipped
+    // anyway) and only when the grade or LUT changes
+    function uploadGrade(grade, lut) {
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+        if (grade.tone !== uploadedTone) {
+            gl.activeTexture(gl.TEXTURE2);
+            gl.bindTexture(gl.TEXTURE_2D, toneTexture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, 256, 2, 0, gl.RGBA, gl.UNSIGNED_BYTE, grade.tone);
+            uploadedTone = grade.tone;
+        }
+        if (lut && lut !== uploadedLUT) {
+            gl.activeTexture(gl.TEXTURE3);
+            gl.bindTexture(gl.TEXTURE_3D, lutTexture);
+            gl.texImage3D(gl.TEXTURE_3D, 0, gl.RGB16F, lut.size, lut.size, lut.size, 0, gl.RGB, gl.FLOAT, lut.data);
+            uploadedLUT = lut;
+        }
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+        gl.activeTexture(gl.TEXTURE0);
+    }
+
+    function setCommonUniforms(prog, frame) {
+        setSampler(prog, 'u_image', 0);
+        setUniform(prog, 'u_resolution', [frame.width, frame.height]);
+        setUniform(prog, 'u_intensity', frame.intensity / 100);
+        setUniform(prog, 'u_accent', [
+            frame.accentColor.r / 255,
+            frame.accentColor.g / 255,
+            frame.accentColor.b / 255
+        ]);
+    }
+
+    // Whether the effect can run entirely on the GPU
+    function supports(effect) {
+        return !effect || !effect.apply || (!!effect.shader && !!getEffectProgram(effect));
+    }
+
+    // Draw source through the adjust and effect passes into glCanvas
+    // options: { mirror, grade, lut, effect, params, frame }
+    // grade comes from prepareGrade(); lut is null when none applies
+    function render(source, options) {
+        const { frame, effect } = options;
+        resize(frame.width, frame.height);
+        gl.viewport(0, 0, frame.width, frame.height);
+
+        uploadGrade(options.grade, options.lut);
+        gl.activeTexture(gl.TEXTURE2);
+        gl.bindTexture(gl.TEXTURE_2D, toneTexture);
+        gl.activeTexture(gl.TEXTURE3);
+        gl.bindTexture(gl.TEXTURE_3D, lutTexture);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, sourceTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+
+        const effectProgram = effect && effect.shader ? getEffectProgram(effect) : null;
+
+        // Adjust pass: straight to the canvas when there is no shader effect to follow
+        const { grade, lut } = options;
+        gl.useProgram(adjustProgram.program);
+        setCommonUniforms(adjustProgram, frame);
+        setUniform(adjustProgram, 'u_mirror', !!options.mirror);
+        setSampler(adjustProgram, 'u_tone', 2);
+        setSampler(adjustProgram, 'u_lut', 3);
+        setUniform(adjustProgram, 'u_colorMatrix', grade.matrix || GL_IDENTITY_MATRIX);
+        setUniform(adjustProgram, 'u_lutStrength', lut ? grade.lutStrength : 0);
+        if (lut) {
+            setUniform(adjustProgram, 'u_lutSize', lut.size);
+            setUniform(adjustProgram, 'u_lutMin', lut.domainMin);
+            setUniform(adjustProgram, 'u_lutRange', lut.domainMax.map((max, c) => max - lut.domainMin[c]));
+        }
+        gl.bindFramebuffer(gl.FRAMEBUFFER, effectProgram ? framebuffer : null);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+        if (!effectProgram) return;
+
+        // Effect pass
+        gl.useProgram(effectProgram.program);
+        setCommonUniforms(effectProgram, frame);
+        effect.params
+            .filter(isNumericParam)
+            .forEach(p => setUniform(effectProgram, `u_${p.id}`, Number(options.params[p.id])));
+
+        if (effect.shader.glyphs) {
+            const glyphs = typeof effect.shader.glyphs === 'function'
+                ? effect.shader.glyphs(options.params)
+                : effect.shader.glyphs;
+            gl.activeTexture(gl.TEXTURE1);
+            gl.bindTexture(gl.TEXTURE_2D, getGlyphAtlas(glyphs));
+            setSampler(effectProgram, 'u_glyphs', 1);
+            setUniform(effectProgram, 'u_glyphCount', Array.from(glyphs).length);
+            gl.activeTexture(gl.TEXTURE0);
+        }
+
+        if (effect.shader.uniforms) {
+            const extra = effect.shader.uniforms(options.params, frame);
+            Object.keys(extra).forEach(name => setUniform(effectProgram, name, extra[name]));
+        }
+
+        gl.bindTexture(gl.TEXTURE_2D, adjustedTexture);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+
+    return {
+        canvas: glCanvas,
+        get lost() { return lost || gl.isContextLost(); },
+        supports,
+        render
+    };
+}
@@ -0,0 +1,389 @@
+// Embeddable camera
+// Puts the camera and its effects into a host page without the app's panel.
+// createInteractiveCamera(container, options) renders into any element, and
+// <interactive-camera> wraps it as a custom element. It runs the same
+// pipeline, effects and blink detection as the app, on the main thread.
+//
+//     import { createInteractiveCamera } from './interactive-camera.js';
+//
+//     const camera = createInteractiveCamera(document.getElementById('stage'), { effect: 'edge' });
+//     await camera.start();
+//     camera.setParams({ threshold: 40 });
+//
+//     <script type="module" src="interactive-camera.js"></script>
+//     <interactive-camera effect="ascii" intensity="80" face-tracking autostart></interactive-camera>
+//
+// Events are dispatched on the container (or the element) and bubble out of
+// shadow roots; each carries its data in event.detail:
+//
+//     capture  { blob }      after capture(), the PNG of the output
+//     blink    { gesture }   'blink', 'double-blink', 'long-blink', 'wink-left' or 'wink-right'
+//     tilt     { tilt }      head tilt in degrees, on every face detection
+//     fps      { fps }       once a second while running
+//     error    { error }     face tracking failed to load or stopped working
+//
+// Blink and tilt need faceTracking, which loads Face Mesh on start() (see
+// face-mesh-loader.js). After an error it loads again on the next start() or
+// configure({ faceTracking: true }). Effect modules such as
+// temporal-effects.js add their effects once the host page imports them.
+
+import { getEffect, getDefaultParams } from './effects.js';
+import { hexToRgb } from './color-utils.js';
+import { extractFaceSignals } from './face-signals.js';
+import { createDefaultSettings, normalizeSettings } from './settings.js';
+import { createBlinkDetector } from './blink-detector.js';
+import { createFaceMesh } from './face-mesh-loader.js';
+import { createPipeline } from './pipeline.js';
+
+// options: { effect, params, intensity, brightness, contrast, accentColor,
+//            facingMode ('user' or 'environment'), faceTracking, faceMeshPath,
+//            blinkSensitivity (0-100) }
+export function createInteractiveCamera(container, options = {}) {
+    const config = {
+        facingMode: 'user',
+        faceTracking: false,
+        faceMeshPath: null,
+        blinkSensitivity: 50,
+        ...options
+    };
+
+    const settings = normalizeSettings({
+        effect: config.effect,
+        effectParams: config.effect ? { [config.effect]: config.params } : {},
+        intensity: config.intensity,
+        brightness: config.brightness,
+        contrast: config.contrast,
+        accentColor: config.accentColor
+    });
+
+    const video = document.createElement('video');
+    video.playsInline = true;
+    video.muted = true;
+    const canvas = document.createElement('canvas');
+    canvas.className = 'interactive-camera-output';
+    container.appendChild(canvas);
+
+    const pipeline = createPipeline(canvas);
+    pipeline.resize(640, 480);
+
+    const blinkDetector = createBlinkDetector({
+        sensitivity: config.blinkSensitivity,
+        onGesture: gesture => emit('blink', { gesture })
+    });
+
+    let stream = null;
+    // The camera request in flight, shared by overlapping start() calls
+    let starting = null;
+    // Bumped by stop(), so a request that resolves afterwards is dropped
+    let startId = 0;
+    let frameRequest = 0;
+    let faceDetector = null;
+    let faceLoading = null;
+    let facePending = false;
+    let frameCount = 0;
+    let fps = 0;
+    let lastFpsTime = 0;
+
+    function emit(type, detail) {
+        container.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+    }
+
+    function getEffectParams() {
+        if (!settings.effectParams[settings.effect]) {
+            settings.effectParams[settings.effect] = getDefaultParams(getEffect(settings.effect));
+        }
+        return settings.effectParams[settings.effect];
+    }
+
+    function getRenderState() {
+        return {
+            effect: settings.effect,
+            params: getEffectParams(),
+            intensity: settings.intensity,
+            brightness: settings.brightness,
+            contrast: settings.contrast,
+            grade: settings.grade,
+            accentColor: settings.accentColor,
+            faces: [],
+            faceRegion: 'full',
+            layers: []
+        };
+    }
+
+    function renderFrame(now) {
+        const live = stream && video.readyState >= 2;
+        pipeline.render(live ? video : null, config.facingMode === 'user', getRenderState());
+
+        if (live && faceDetector && !facePending) detectFace();
+
+        frameCount++;
+        if (now - lastFpsTime >= 1000) {
+            fps = frameCount;
+            frameCount = 0;
+            lastFpsTime = now;
+            emit('fps', { fps });
+        }
+        frameRequest = requestAnimationFrame(renderFrame);
+    }
+
+    async function detectFace() {
+        const detector = faceDetector;
+        facePending = true;
+        try {
+            await detector.send({ image: video });
+        } catch (err) {
+            console.error('Face tracking stopped working:', err);
+            if (detector === faceDetector) stopFaceTracking();
+            emit('error', { error: err });
+        } finally {
+            facePending = false;
+        }
+    }
+
+    function onFaceResults(results) {
+        const landmarks = (results.multiFaceLandmarks || [])[0];
+        if (!landmarks) {
+            blinkDetector.reset();
+            return;
+        }
+        blinkDetector.update(landmarks, performance.now());
+        emit('tilt', { tilt: extractFaceSignals(landmarks).tilt });
+    }
+
+    function startFaceTracking() {
+        if (!faceLoading) {
+            const loading = createFaceMesh({ basePath: config.faceMeshPath, onResults: onFaceResults })
+                .then(detector => {
+                    // Turned off, or off and on again, while this one loaded
+                    if (loading !== faceLoading || !config.faceTracking) {
+                        detector.close();
+                        return;
+                    }
+                    faceDetector = detector;
+                })
+                .catch(err => {
+                    if (loading !== faceLoading) return;
+                    faceLoading = null;
+                    console.error('Face tracking failed to load:', err);
+                    emit('error', { error: err });
+                });
+            faceLoading = loading;
+        }
+        return faceLoading;
+    }
+
+    // Frees the detector; a later startFaceTracking() loads a new one
+    function stopFaceTracking() {
+        if (faceDetector) faceDetector.close();
+        faceDetector = null;
+        faceLoading = null;
+        blinkDetector.reset();
+    }
+
+    // Asks for the camera; rejects when it is denied or unavailable. Calls
+    // made while the request is pending share it.
+    function start() {
+        if (stream) return Promise.resolve();
+        if (!starting) {
+            const request = openCamera().finally(() => {
+                if (starting === request) starting = null;
+            });
+            starting = request;
+        }
+        return starting;
+    }
+
+    async function openCamera() {
+        const id = startId;
+        const next = await navigator.mediaDevices.getUserMedia({
+            video: { facingMode: config.facingMode, width: { ideal: 1280 }, height: { ideal: 720 } },
+            audio: false
+        });
+        if (id !== startId) {
+            next.getTracks().forEach(track => track.stop());
+            return;
+        }
+        stream = next;
+        video.srcObject = stream;
+        await video.play();
+        pipeline.resize(video.videoWidth, video.videoHeight);
+
+        if (!frameRequest) {
+            lastFpsTime = performance.now();
+            frameRequest = requestAnimationFrame(renderFrame);
+        }
+        if (config.faceTracking) startFaceTracking();
+    }
+
+    function stop() {
+        startId++;
+        starting = null;
+        if (stream) {
+            stream.getTracks().forEach(track => track.stop());
+            stream = null;
+        }
+        video.srcObject = null;
+        cancelAnimationFrame(frameRequest);
+        frameRequest = 0;
+        fps = 0;
+        blinkDetector.reset();
+    }
+
+    // Switch effect; params are merged into that effect's current values
+    function setEffect(name, params) {
+        if (!getEffect(name)) throw new Error(`Unknown effect: ${name}`);
+        settings.effect = name;
+        if (params) setParams(params);
+    }
+
+    // Values outside a param's range are clamped, unknown ids ignored
+    function setParams(params) {
+        const merged = normalizeSettings({
+            effect: settings.effect,
+            effectParams: { [settings.effect]: { ...getEffectParams(), ...params } }
+        });
+        settings.effectParams[settings.effect] = merged.effectParams[settings.effect];
+    }
+
+    // changes: { intensity, brightness, contrast, accentColor, faceTracking }
+    // accentColor may be { r, g, b } or a hex string
+    function configure(changes) {
+        const accentColor = typeof changes.accentColor === 'string' ? hexToRgb(changes.accentColor) : changes.accentColor;
+        const merged = normalizeSettings({
+            ...settings,
+            ...changes,
+            accentColor: accentColor || settings.accentColor
+        });
+        ['intensity', 'brightness', 'contrast', 'accentColor'].forEach(key => { settings[key] = merged[key]; });
+
+        if (changes.faceTracking !== undefined) {
+            config.faceTracking = !!changes.faceTracking;
+            if (config.faceTracking && stream) startFaceTracking();
+            if (!config.faceTracking) stopFaceTracking();
+        }
+    }
+
+    // Resolves with a PNG of the current output and fires 'capture'
+    function capture() {
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/png')).then(blob => {
+            emit('capture', { blob });
+            return blob;
+        });
+    }
+
+    // The output as a MediaStream, e.g. for a WebRTC call (see stream-output.js)
+    function captureStream(frameRate = 30) {
+        return canvas.captureStream(frameRate);
+    }
+
+    function destroy() {
+        stop();
+        stopFaceTracking();
+        canvas.remove();
+    }
+
+    return {
+        start,
+        stop,
+        setEffect,
+        setParams,
+        configure,
+        capture,
+        captureStream,
+        destroy,
+        get running() { return stream !== null; },
+        get fps() { return fps; },
+        get effect() { return settings.effect; },
+        get params() { return { ...getEffectParams() }; },
+        get canvas() { return canvas; }
+    };
+}
+
+const ELEMENT_STYLE = `
+:host { display: block; position: relative; background: #000; }
+.interactive-camera-output { display: block; width: 100%; height: 100%; object-fit: contain; }
+`;
+
+// Attributes mirror the options: effect, intensity, brightness, contrast,
+// accent-color (hex), facing-mode, face-tracking and face-mesh-path;
+// autostart asks for the camera as soon as the element is connected. Moving
+// the element keeps its camera running; removing it stops and frees it.
+class InteractiveCameraElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['effect', 'intensity', 'brightness', 'contrast', 'accent-color', 'face-tracking'];
+    }
+
+    connectedCallback() {
+        // Moved within the page: still set up
+        if (this.camera) return;
+        if (!this.shadowRoot) {
+            this.attachShadow({ mode: 'open' });
+            const style = document.createElement('style');
+            style.textContent = ELEMENT_STYLE;
+            this.shadowRoot.appendChild(style);
+        }
+
+        const accentColor = this.getAttribute('accent-color');
+        this.camera = createInteractiveCamera(this.shadowRoot, {
+            effect: this.getAttribute('effect') || undefined,
+            intensity: this.getNumberAttribute('intensity'),
+            brightness: this.getNumberAttribute('brightness'),
+            contrast: this.getNumberAttribute('contrast'),
+            accentColor: accentColor ? hexToRgb(accentColor) : undefined,
+            facingMode: this.getAttribute('facing-mode') || 'user',
+            faceTracking: this.hasAttribute('face-tracking'),
+            faceMeshPath: this.getAttribute('face-mesh-path')
+        });
+
+        if (this.hasAttribute('autostart')) {
+            this.camera.start().catch(err => console.error('Camera failed to start:', err));
+        }
+    }
+
+    disconnectedCallback() {
+        // A move disconnects and reconnects in the same task
+        queueMicrotask(() => {
+            if (this.isConnected || !this.camera) return;
+            this.camera.destroy();
+            this.camera = null;
+        });
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        if (!this.camera || oldValue === value) return;
+
+        if (name === 'effect') {
+            // A removed attribute goes back to the default effect
+            try {
+                this.camera.setEffect(value === null ? createDefaultSettings().effect : value);
+            } catch (err) {
+                console.warn(err.message);
+            }
+        } else if (name === 'accent-color') {
+            this.camera.configure({ accentColor: value });
+        } else if (name === 'face-tracking') {
+            this.camera.configure({ faceTracking: value !== null });
+        } else {
+            this.camera.configure({ [name]: this.getNumberAttribute(name) });
+        }
+    }
+
+    getNumberAttribute(name) {
+        const value = this.getAttribute(name);
+        return value === null ? undefined : Number(value);
+    }
+
+    start() { return this.camera.start(); }
+    stop() { this.camera.stop(); }
+    setEffect(name, params) { this.camera.setEffect(name, params); }
+    setParams(params) { this.camera.setParams(params); }
+    configure(changes) { this.camera.configure(changes); }
+    capture() { return this.camera.capture(); }
+    captureStream(frameRate) { return this.camera.captureStream(frameRate); }
+    get running() { return this.camera ? this.camera.running : false; }
+    get fps() { return this.camera ? this.camera.fps : 0; }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get('interactive-camera')) {
+    customElements.define('interactive-camera', InteractiveCameraElement);
+}
@@ -0,0 +1,148 @@
+// MIDI control
+// Binds MIDI controls to app targets: a control change (knob or fader) or a
+// note (pad or key). Bindings are plain data so they can be saved:
+//
+//     { target: 'intensity', type: 'cc', channel: 1, number: 7 }
+//     { target: 'effect:ascii', type: 'note', channel: 10, number: 36 }
+//
+// Each message reaches its binding as a value from 0 to 1 and a pressed flag
+// that is set once per press: on note on, or when a control change crosses
+// the middle going up (pads that send CC 127 and 0). Sliders follow the value,
+// triggers wait for pressed. learn(target) binds the next control that moves.
+// No DOM access; openMidiInputs() wraps navigator.requestMIDIAccess().
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Raw bytes to { type: 'cc' | 'note', channel (1-16), number, value };
+// note off is a note with value 0. Other messages give null.
+export function parseMidiMessage(data) {
+    const [status, number, value = 0] = data;
+    const kind = status & 0xf0;
+    const channel = (status & 0x0f) + 1;
+    if (kind === 0xb0) return { type: 'cc', channel, number, value };
+    if (kind === 0x90) return { type: 'note', channel, number, value };
+    if (kind === 0x80) return { type: 'note', channel, number, value: 0 };
+    return null;
+}
+
+// Note 60 is C4
+export function getMidiNoteName(number) {
+    return NOTE_NAMES[number % 12] + (Math.floor(number / 12) - 1);
+}
+
+// 'CC 7 · Ch 1' or 'Note C4 · Ch 10'
+export function describeMidiBinding(binding) {
+    const control = binding.type === 'cc' ? `CC ${binding.number}` : `Note ${getMidiNoteName(binding.number)}`;
+    return `${control} · Ch ${binding.channel}`;
+}
+
+function isBinding(binding) {
+    return !!binding && typeof binding.target === 'string' && (binding.type === 'cc' || binding.type === 'note') &&
+        Number.isInteger(binding.channel) && Number.isInteger(binding.number);
+}
+
+function getSourceKey(message) {
+    return `${message.type}:${message.channel}:${message.number}`;
+}
+
+// options: { bindings, onAction(binding, value, pressed), onLearn(binding) }
+// Invalid saved bindings are dropped, and so is anything that isn't a list
+export function createMidiMapper(options = {}) {
+    const saved = Array.isArray(options.bindings) ? options.bindings : [];
+    let bindings = saved.filter(isBinding).map(binding => ({ ...binding }));
+    // Last value per control, for press detection
+    const lastValues = new Map();
+    let learning = null;
+
+    function bind(target, message) {
+        // One target per control and one control per target
+        const key = getSourceKey(message);
+        bindings = bindings.filter(binding => binding.target !== target && getSourceKey(binding) !== key);
+        const binding = { target, type: message.type, channel: message.channel, number: message.number };
+        bindings.push(binding);
+        return binding;
+    }
+
+    // Returns true when the message was a control or note
+    function handle(data) {
+        const message = parseMidiMessage(data);
+        if (!message) return false;
+
+        const key = getSourceKey(message);
+        const previous = lastValues.has(key) ? lastValues.get(key) : 0;
+        lastValues.set(key, message.value);
+        const pressed = message.type === 'note' ? message.value > 0 : message.value >= 64 && previous < 64;
+
+        if (learning) {
+            // Controls of the wrong type are ignored, and a release never starts a binding
+            if (!learning.types.includes(message.type) || message.type === 'note' && message.value === 0) return true;
+            const binding = bind(learning.target, message);
+            learning = null;
+            if (options.onLearn) options.onLearn({ ...binding });
+            return true;
+        }
+
+        bindings.forEach(binding => {
+            if (getSourceKey(binding) === key && options.onAction) {
+                options.onAction({ ...binding }, message.value / 127, pressed);
+            }
+        });
+        return true;
+    }
+
+    // types limits what may bind, e.g. ['cc'] for a slider
+    function learn(target, types = ['cc', 'note']) {
+        learning = { target, types };
+    }
+
+    function cancelLearn() {
+        learning = null;
+    }
+
+    function unbind(target) {
+        bindings = bindings.filter(binding => binding.target !== target);
+    }
+
+    function clear() {
+        bindings = [];
+    }
+
+    return {
+        handle,
+        learn,
+        cancelLearn,
+        unbind,
+        clear,
+        get learning() { return learning ? learning.target : null; },
+        get bindings() { return bindings.map(binding => ({ ...binding })); }
+    };
+}
+
+// Listens to every MIDI input, including ones plugged in later.
+// options: { onMessage(data), onInputsChange(names) }
+// Rejects when Web MIDI is unsupported or access is denied
+export async function openMidiInputs(options) {
+    if (typeof navigator === 'undefined' || !navigator.requestMIDIAccess) {
+        throw new Error('MIDI is not supported in this browser');
+    }
+    const access = await navigator.requestMIDIAccess();
+
+    function attach() {
+        const names = [];
+        access.inputs.forEach(input => {
+            input.onmidimessage = e => options.onMessage(e.data);
+            names.push(input.name);
+        });
+        if (options.onInputsChange) options.onInputsChange(names);
+    }
+
+    access.onstatechange = attach;
+    attach();
+
+    return {
+        close() {
+            access.onstatechange = null;
+            access.inputs.forEach(input => { input.onmidimessage = null; });
+        }
+    };
+}
@@ -0,0 +1,113 @@
+// Motion detection
+// Frame differencing on small, downscaled frames: a pixel counts as moving
+// when its brightness changed by more than the sensitivity allows since the
+// previous frame. Reports how much of the region of interest moved and where,
+// and fires onTrigger when that amount rises past the threshold, at most once
+// per cooldown. Has no DOM access; the caller draws and feeds the frames.
+//
+// Regions are normalized { x, y, width, height } in frame coordinates; null
+// watches the whole frame.
+
+// options: { sensitivity (0-100), threshold (0-1 of the region), cooldownMs,
+//            region, onTrigger(result) }
+export function createMotionDetector(options) {
+    const config = {
+        sensitivity: 50,
+        threshold: 0.05,
+        cooldownMs: 5000,
+        region: null,
+        onTrigger: null,
+        ...options
+    };
+
+    let previous = null;
+    let active = false;
+    let lastTrigger = -Infinity;
+
+    // Brightness change (0-255) a pixel needs to count as moving
+    function getPixelThreshold() {
+        return 60 - config.sensitivity * 0.5;
+    }
+
+    function getRegionPixels(width, height) {
+        const region = config.region || { x: 0, y: 0, width: 1, height: 1 };
+        const x0 = Math.max(0, Math.floor(region.x * width));
+        const y0 = Math.max(0, Math.floor(region.y * height));
+        return {
+            x0,
+            y0,
+            x1: Math.min(width, Math.max(x0 + 1, Math.ceil((region.x + region.width) * width))),
+            y1: Math.min(height, Math.max(y0 + 1, Math.ceil((region.y + region.height) * height)))
+        };
+    }
+
+    // Feed one frame; now is a millisecond timestamp. Returns
+    // { amount, active, triggered, bounds, center } with bounds and center
+    // normalized, or null when nothing moved
+    function update(imageData, now) {
+        const { data, width, height } = imageData;
+        const luma = new Uint8Array(width * height);
+        for (let i = 0, p = 0; p < luma.length; i += 4, p++) {
+            luma[p] = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+        }
+
+        const last = previous && previous.length === luma.length ? previous : luma;
+        previous = luma;
+
+        const { x0, y0, x1, y1 } = getRegionPixels(width, height);
+        const pixelThreshold = getPixelThreshold();
+        let moving = 0;
+        let sumX = 0, sumY = 0;
+        let minX = width, minY = height, maxX = -1, maxY = -1;
+
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0, p = y * width + x0; x < x1; x++, p++) {
+                if (Math.abs(luma[p] - last[p]) <= pixelThreshold) continue;
+                moving++;
+                sumX += x;
+                sumY += y;
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                if (y > maxY) maxY = y;
+            }
+        }
+
+        const amount = moving / ((x1 - x0) * (y1 - y0));
+        const result = {
+            amount,
+            active: amount >= config.threshold,
+            triggered: false,
+            bounds: moving > 0
+                ? { x: minX / width, y: minY / height, width: (maxX - minX + 1) / width, height: (maxY - minY + 1) / height }
+                : null,
+            center: moving > 0 ? { x: (sumX / moving + 0.5) / width, y: (sumY / moving + 0.5) / height } : null
+        };
+
+        // Rising edge only, so steady motion doesn't fire every cooldown
+        if (result.active && !active && now - lastTrigger >= config.cooldownMs) {
+            result.triggered = true;
+            lastTrigger = now;
+            if (config.onTrigger) config.onTrigger(result);
+        }
+        active = result.active;
+        return result;
+    }
+
+    // Forget the previous frame, e.g. after the source changes
+    function reset() {
+        previous = null;
+        active = false;
+    }
+
+    function configure(changes) {
+        Object.assign(config, changes);
+    }
+
+    return {
+        update,
+        reset,
+        configure,
+        get region() { return config.region; }
+    };
+}
@@ -0,0 +1,108 @@
+// Performance governor
+// Trades quality for frame rate: when the measured FPS stays under the target
+// it steps down a ladder of quality levels (face detection on fewer frames,
+// then a lower processing resolution), and when a level up is predicted to
+// fit in the frame budget it steps back up. Fed once a second with the FPS
+// and how long a frame's work took; it has no DOM access.
+
+// Best quality first. scale is the processing resolution relative to the
+// source; faceInterval runs face detection on every nth frame.
+export const GOVERNOR_LEVELS = [
+    { scale: 1, faceInterval: 1 },
+    { scale: 1, faceInterval: 2 },
+    { scale: 0.75, faceInterval: 2 },
+    { scale: 0.5, faceInterval: 2 },
+    { scale: 0.5, faceInterval: 3 },
+    { scale: 0.375, faceInterval: 4 },
+    { scale: 0.25, faceInterval: 4 }
+];
+
+// Seconds under target before stepping down, and with headroom before
+// stepping up; after any change the stats get this long to settle
+const GOVERNOR_DOWN_SECONDS = 2;
+const GOVERNOR_UP_SECONDS = 3;
+const GOVERNOR_SETTLE_SECONDS = 2;
+
+// Share of the frame budget a level up may be predicted to use
+const GOVERNOR_HEADROOM = 0.7;
+
+// options: { targetFps, onChange(level, index) }
+export function createPerformanceGovernor(options) {
+    const config = {
+        targetFps: 30,
+        onChange: null,
+        ...options
+    };
+
+    let index = 0;
+    let slowSeconds = 0;
+    let fastSeconds = 0;
+    let settleSeconds = 0;
+
+    function setLevel(next) {
+        index = Math.min(GOVERNOR_LEVELS.length - 1, Math.max(0, next));
+        slowSeconds = 0;
+        fastSeconds = 0;
+        settleSeconds = GOVERNOR_SETTLE_SECONDS;
+        if (config.onChange) config.onChange(GOVERNOR_LEVELS[index], index);
+    }
+
+    // Render work grows with the pixel count; face detection runs at its own
+    // input size, so only how often it runs changes its share
+    function predictFrameMs(sample, from, to) {
+        const pixels = (to.scale / from.scale) ** 2;
+        const faces = from.faceInterval / to.faceInterval;
+        return sample.renderMs * pixels + sample.faceMs / from.faceInterval * faces;
+    }
+
+    // sample: { fps, renderMs, faceMs } averaged over the last second;
+    // faceMs is per detection, 0 when face tracking is off
+    function update(sample) {
+        if (settleSeconds > 0) {
+            settleSeconds--;
+            return GOVERNOR_LEVELS[index];
+        }
+
+        const level = GOVERNOR_LEVELS[index];
+        // A frame or two short is the display's rounding, not a slowdown
+        if (sample.fps < config.targetFps - 2) {
+            fastSeconds = 0;
+            if (++slowSeconds >= GOVERNOR_DOWN_SECONDS && index < GOVERNOR_LEVELS.length - 1) {
+                setLevel(index + 1);
+            }
+            return GOVERNOR_LEVELS[index];
+        }
+
+        slowSeconds = 0;
+        const better = GOVERNOR_LEVELS[index - 1];
+        const budget = 1000 / config.targetFps;
+        if (better && predictFrameMs(sample, level, better) < budget * GOVERNOR_HEADROOM) {
+            if (++fastSeconds >= GOVERNOR_UP_SECONDS) setLevel(index - 1);
+        } else {
+            fastSeconds = 0;
+        }
+        return GOVERNOR_LEVELS[index];
+    }
+
+    // Back to full quality, e.g. when adaptive mode is turned off
+    function reset() {
+        if (index !== 0) setLevel(0);
+        slowSeconds = 0;
+        fastSeconds = 0;
+        settleSeconds = 0;
+    }
+
+    function configure(changes) {
+        Object.assign(config, changes);
+        slowSeconds = 0;
+        fastSeconds = 0;
+    }
+
+    return {
+        update,
+        reset,
+        configure,
+        get level() { return GOVERNOR_LEVELS[index]; },
+        get index() { return index; }
+    };
+}
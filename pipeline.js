@@ -0,0 +1,349 @@
+// Frame pipeline
+// Draws a source frame (or animated noise when there is none) into a canvas,
+// applies brightness/contrast, the color grade and the current effect. It has
+// no DOM access, so the same code runs in the render worker and on the main
+// thread fallback.
+//
+// state: { effect, params, intensity, brightness, contrast, grade,
+//          accentColor, faces, faceRegion, layers }
+//
+// faces are normalized bounding boxes in source coordinates ({ x, y, width,
+// height, accentColor }, accentColor null for the global one). faceRegion is
+// 'full', 'faces' (effect only inside faces) or 'background' (only outside).
+// layers are extra effects ({ effect, params, opacity, blend }) composited
+// bottom to top over the base effect, each rendered from the source frame.
+// Temporal effects anywhere in the stack share one frame history.
+// The .cube LUT is set with setLUT() rather than sent with every state.
+//
+// timings holds the milliseconds the last frame spent drawing the source,
+// adjusting it and running effects; a stage done by the GPU inside the draw
+// pass is null.
+
+import { getEffect, runEffect, createScratchCanvas } from './effects.js';
+import { createDefaultGrade, prepareGrade, applyGrade } from './color-grading.js';
+import { createFrameHistory } from './frame-history.js';
+import { createGLRenderer } from './gl-renderer.js';
+
+// Layer blend modes and the canvas composite operation for each
+export const BLEND_MODES = {
+    normal: 'source-over',
+    add: 'lighter',
+    multiply: 'multiply',
+    screen: 'screen',
+    difference: 'difference'
+};
+
+export function createPipeline(outputCanvas) {
+    const ctx = outputCanvas.getContext('2d', { willReadFrequently: true });
+    let glRenderer = null;
+    let noiseCanvas = null;
+    let noiseTime = 0;
+    let lastSource = null;
+    let lastMirror = false;
+    // Full-size layers for face region compositing, reused between frames
+    const layers = [];
+    const history = createFrameHistory();
+    let lut = null;
+    // prepareGrade() result, rebuilt only when the grade changes
+    let grade = null;
+    let gradeKey = '';
+    let timings = { draw: 0, adjust: 0, effect: 0 };
+
+    try {
+        glRenderer = createGLRenderer();
+    } catch (err) {
+        console.warn('WebGL renderer unavailable, using Canvas2D:', err);
+    }
+
+    // Generate animated noise (optimized with smaller buffer)
+    function generateNoise() {
+        // Use a smaller buffer for performance
+        const scale = 4;
+        const w = Math.ceil(outputCanvas.width / scale);
+        const h = Math.ceil(outputCanvas.height / scale);
+
+        if (!noiseCanvas || noiseCanvas.width !== w || noiseCanvas.height !== h) {
+            noiseCanvas = createScratchCanvas(w, h);
+        }
+        const noiseCtx = noiseCanvas.getContext('2d');
+
+        const imageData = noiseCtx.createImageData(w, h);
+        const data = imageData.data;
+        noiseTime += 0.02;
+
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                const i = (y * w + x) * 4;
+
+                // Flowing noise with multiple frequencies
+                const nx = x * 0.02;
+                const ny = y * 0.02;
+
+                const wave1 = Math.sin(nx + noiseTime) * Math.cos(ny + noiseTime * 0.7);
+                const wave2 = Math.sin(nx * 2.5 - noiseTime * 1.3) * Math.cos(ny * 2.5 + noiseTime * 0.5);
+                const grain = (Math.random() - 0.5) * 0.3;
+
+                const combined = (wave1 * 0.6 + wave2 * 0.3 + grain * 0.1) * 0.5 + 0.5;
+                const value = Math.floor(combined * 35 + 8);
+
+                data[i] = value;
+                data[i + 1] = value;
+                data[i + 2] = value + Math.floor(combined * 15); // Blue tint
+                data[i + 3] = 255;
+            }
+        }
+
+        noiseCtx.putImageData(imageData, 0, 0);
+        return noiseCanvas;
+    }
+
+    function drawSource2D(target, source, mirror) {
+        const { width, height } = outputCanvas;
+        target.save();
+        target.imageSmoothingEnabled = true;
+        if (mirror) {
+            target.scale(-1, 1);
+            target.drawImage(source, -width, 0, width, height);
+        } else {
+            target.drawImage(source, 0, 0, width, height);
+        }
+        target.restore();
+    }
+
+    function addTiming(stage, start) {
+        timings[stage] = (timings[stage] || 0) + performance.now() - start;
+    }
+
+    function getGrade(state) {
+        const key = JSON.stringify([state.brightness, state.contrast, state.grade]);
+        if (key !== gradeKey) {
+            gradeKey = key;
+            grade = prepareGrade(state.brightness, state.contrast, state.grade || createDefaultGrade());
+        }
+        return grade;
+    }
+
+    // The LUT only applies while its strength is above zero
+    function getActiveLUT(prepared) {
+        return prepared.lutStrength > 0 ? lut : null;
+    }
+
+    // Brightness/contrast and color grading
+    function applyAdjustments2D(target, state) {
+        const prepared = getGrade(state);
+        const activeLUT = getActiveLUT(prepared);
+        if (prepared.neutral && !activeLUT) return;
+
+        const imageData = target.getImageData(0, 0, outputCanvas.width, outputCanvas.height);
+        applyGrade(imageData.data, prepared, activeLUT);
+        target.putImageData(imageData, 0, 0);
+    }
+
+    function getFrameInfo(state) {
+        return {
+            width: outputCanvas.width,
+            height: outputCanvas.height,
+            intensity: state.intensity,
+            accentColor: state.accentColor
+        };
+    }
+
+    // Draw the source through adjustments and an effect (or none) into target
+    function renderLayer(target, image, mirror, state, effect, frame) {
+        const params = state.params;
+
+        if (glRenderer && glRenderer.lost) {
+            console.warn('WebGL context lost, falling back to Canvas2D');
+            glRenderer = null;
+        }
+
+        let start = performance.now();
+        if (glRenderer) {
+            const prepared = getGrade(state);
+            glRenderer.render(image, {
+                mirror,
+                grade: prepared,
+                lut: getActiveLUT(prepared),
+                effect,
+                params,
+                frame
+            });
+            target.drawImage(glRenderer.canvas, 0, 0);
+            addTiming('draw', start);
+            timings.adjust = timings.adjust || null;
+
+            // Effects without a shader still run on the CPU
+            if (!glRenderer.supports(effect)) {
+                start = performance.now();
+                runEffect(effect, target, params, frame);
+                addTiming('effect', start);
+            } else if (effect && effect.apply) {
+                timings.effect = timings.effect || null;
+            }
+        } else {
+            drawSource2D(target, image, mirror);
+            addTiming('draw', start);
+            start = performance.now();
+            applyAdjustments2D(target, state);
+            addTiming('adjust', start);
+            start = performance.now();
+            runEffect(effect, target, params, frame);
+            addTiming('effect', start);
+        }
+    }
+
+    function getLayer(index) {
+        const { width, height } = outputCanvas;
+        if (!layers[index] || layers[index].width !== width || layers[index].height !== height) {
+            const canvas = createScratchCanvas(width, height);
+            layers[index] = { width, height, canvas, ctx: canvas.getContext('2d', { willReadFrequently: true }) };
+        }
+        return layers[index].ctx;
+    }
+
+    function sameColor(a, b) {
+        return a.r === b.r && a.g === b.g && a.b === b.b;
+    }
+
+    // Draw a layer into an ellipse around the face
+    function drawFaceLayer(layerCanvas, face, mirror) {
+        const { width, height } = outputCanvas;
+        const x = (mirror ? 1 - face.x - face.width : face.x) * width;
+        const y = face.y * height;
+        const w = face.width * width;
+        const h = face.height * height;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.ellipse(x + w / 2, y + h / 2, w / 2, h / 2, 0, 0, Math.PI * 2);
+        ctx.clip();
+        ctx.drawImage(layerCanvas, 0, 0);
+        ctx.restore();
+    }
+
+    // Background first, then each face region with its own effect and accent
+    function renderFaceRegions(image, mirror, state, effect, frame) {
+        const region = state.faceRegion;
+        const backgroundEffect = region === 'faces' ? null : effect;
+        const faceEffect = region === 'background' ? null : effect;
+        renderLayer(ctx, image, mirror, state, backgroundEffect, frame);
+
+        // Layers are shared between faces that would render identically
+        const rendered = new Map();
+        state.faces.forEach(face => {
+            const accentColor = face.accentColor || state.accentColor;
+            const sameAccent = !faceEffect || sameColor(accentColor, state.accentColor);
+            if (faceEffect === backgroundEffect && sameAccent) return;
+
+            const key = sameAccent ? 'global' : `${accentColor.r},${accentColor.g},${accentColor.b}`;
+            if (!rendered.has(key)) {
+                const layerCtx = getLayer(rendered.size);
+                renderLayer(layerCtx, image, mirror, state, faceEffect, { ...frame, accentColor });
+                rendered.set(key, layerCtx.canvas);
+            }
+            drawFaceLayer(rendered.get(key), face, mirror);
+        });
+    }
+
+    // Most past frames any effect in the stack reads; 0 frees the history
+    function getHistoryFrames(state, effect) {
+        const stack = [{ effect, params: state.params }];
+        (state.layers || []).forEach(layer => {
+            stack.push({ effect: getEffect(layer.effect), params: layer.params });
+        });
+        return stack.reduce((frames, entry) => {
+            if (!entry.effect || !entry.effect.history) return frames;
+            return Math.max(frames, entry.effect.history(entry.params));
+        }, 0);
+    }
+
+    // source is a video, ImageBitmap or VideoFrame; null draws noise
+    function render(source, mirror, state) {
+        timings = { draw: 0, adjust: 0, effect: 0 };
+        const noiseStart = performance.now();
+        const image = source || generateNoise();
+        if (!source) addTiming('draw', noiseStart);
+        const effect = getEffect(state.effect);
+        const frame = getFrameInfo(state);
+        const historyFrames = getHistoryFrames(state, effect);
+        if (historyFrames > 0) {
+            history.begin(historyFrames, outputCanvas.width, outputCanvas.height);
+            frame.history = history;
+        } else if (history.length > 0) {
+            history.clear();
+        }
+        lastSource = image;
+        lastMirror = !!source && mirror;
+
+        const faces = source && state.faces ? state.faces : [];
+        const hasFaceColors = faces.some(face => face.accentColor);
+        if ((state.faceRegion && state.faceRegion !== 'full') || hasFaceColors) {
+            renderFaceRegions(image, lastMirror, { ...state, faces }, effect, frame);
+        } else {
+            renderLayer(ctx, image, lastMirror, state, effect, frame);
+        }
+
+        if (state.layers) renderEffectLayers(image, state, frame);
+    }
+
+    // Each layer renders the source with its own effect and params, then
+    // blends onto everything below it. Face region layers are done by now,
+    // so the first scratch layer is free to reuse.
+    function renderEffectLayers(image, state, frame) {
+        state.layers.forEach(layer => {
+            const layerEffect = getEffect(layer.effect);
+            if (!layerEffect || layer.opacity <= 0) return;
+
+            const layerCtx = getLayer(0);
+            renderLayer(layerCtx, image, lastMirror, { ...state, params: layer.params }, layerEffect, frame);
+            const start = performance.now();
+            ctx.save();
+            ctx.globalAlpha = layer.opacity / 100;
+            ctx.globalCompositeOperation = BLEND_MODES[layer.blend] || BLEND_MODES.normal;
+            ctx.drawImage(layerCtx.canvas, 0, 0);
+            ctx.restore();
+            addTiming('effect', start);
+        });
+    }
+
+    // Run one of the current effect's exports on the last rendered source
+    // (the caller must keep that source open until the next frame)
+    function exportFrame(exportId, state) {
+        const effect = getEffect(state.effect);
+        const exporter = effect && effect.exports.find(e => e.id === exportId);
+        if (!exporter) {
+            throw new Error(`Effect "${state.effect}" has no export "${exportId}"`);
+        }
+        if (!lastSource) {
+            throw new Error('No frame has been rendered yet');
+        }
+
+        const scratch = createScratchCanvas(outputCanvas.width, outputCanvas.height);
+        const scratchCtx = scratch.getContext('2d', { willReadFrequently: true });
+        drawSource2D(scratchCtx, lastSource, lastMirror);
+        applyAdjustments2D(scratchCtx, state);
+
+        const imageData = scratchCtx.getImageData(0, 0, scratch.width, scratch.height);
+        return exporter.run(imageData, state.params, getFrameInfo(state));
+    }
+
+    function resize(width, height) {
+        outputCanvas.width = width;
+        outputCanvas.height = height;
+    }
+
+    // lut is a parseCubeLUT() result, or null to remove it
+    function setLUT(next) {
+        lut = next;
+    }
+
+    return {
+        canvas: outputCanvas,
+        render,
+        resize,
+        setLUT,
+        get timings() { return timings; },
+        exportFrame,
+        get rendererName() { return glRenderer ? 'GPU' : 'CPU'; }
+    };
+}
@@ -0,0 +1,260 @@
+// Remote control
+// A WebSocket client for live control from another device: a phone, a
+// lighting desk, or anything that speaks OSC through a WebSocket bridge.
+// Every message is OSC-style, an address plus a list of arguments, and
+// arrives in any of three forms:
+//
+//   text        /intensity 80        one message per line; "quoted strings"
+//   JSON        { "address": "/intensity", "args": [80] }, or an array of them
+//   binary OSC  messages and bundles with i, f, d, s, T, F and N arguments
+//
+// Outgoing messages use the format the client was created with ('json',
+// 'text' or 'osc'). Has no DOM access; the app maps addresses to controls.
+
+// Reconnect delays double from the first to the last
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+function parseTextArg(token) {
+    if (token.length > 1 && token.startsWith('"') && token.endsWith('"')) return token.slice(1, -1).replace(/\\"/g, '"');
+    if (token === 'true') return true;
+    if (token === 'false') return false;
+    const number = Number(token);
+    return token !== '' && Number.isFinite(number) ? number : token;
+}
+
+function parseTextMessage(line) {
+    const tokens = line.match(/"(?:[^"\\]|\\.)*"|\S+/g);
+    return { address: tokens[0], args: tokens.slice(1).map(parseTextArg) };
+}
+
+function parseJSONMessage(value) {
+    if (!value || typeof value !== 'object' || typeof value.address !== 'string') {
+        throw new Error('JSON messages need an address');
+    }
+    const args = value.args === undefined ? [] : value.args;
+    return { address: value.address, args: Array.isArray(args) ? args : [args] };
+}
+
+function readOSCString(view, offset) {
+    let end = offset;
+    while (end < view.byteLength && view.getUint8(end) !== 0) end++;
+    if (end >= view.byteLength) throw new Error('OSC string is not terminated');
+    const text = new TextDecoder().decode(new Uint8Array(view.buffer, view.byteOffset + offset, end - offset));
+    // Strings are padded with nulls to a multiple of four bytes
+    return { value: text, offset: (end + 4) & ~3 };
+}
+
+function readOSCPacket(view, messages) {
+    const { value: address, offset: tagsOffset } = readOSCString(view, 0);
+
+    if (address === '#bundle') {
+        // Skip the time tag; bundles are applied as they arrive
+        let offset = tagsOffset + 8;
+        while (offset < view.byteLength) {
+            const size = view.getInt32(offset);
+            readOSCPacket(new DataView(view.buffer, view.byteOffset + offset + 4, size), messages);
+            offset += 4 + size;
+        }
+        return;
+    }
+
+    const args = [];
+    let offset = tagsOffset;
+    if (offset < view.byteLength) {
+        const tags = readOSCString(view, offset);
+        offset = tags.offset;
+        for (const tag of tags.value.slice(1)) {
+            switch (tag) {
+                case 'i': args.push(view.getInt32(offset)); offset += 4; break;
+                case 'f': args.push(view.getFloat32(offset)); offset += 4; break;
+                case 'd': args.push(view.getFloat64(offset)); offset += 8; break;
+                case 's': {
+                    const string = readOSCString(view, offset);
+                    args.push(string.value);
+                    offset = string.offset;
+                    break;
+                }
+                case 'T': args.push(true); break;
+                case 'F': args.push(false); break;
+                case 'N': args.push(null); break;
+                default: throw new Error(`Unsupported OSC argument type '${tag}'`);
+            }
+        }
+    }
+    messages.push({ address, args });
+}
+
+// Data from the socket (a string or an ArrayBuffer) to [{ address, args }];
+// throws when it is malformed
+export function parseRemoteMessages(data) {
+    const messages = [];
+    if (data instanceof ArrayBuffer) {
+        readOSCPacket(new DataView(data), messages);
+    } else {
+        const text = String(data).trim();
+        if (text.startsWith('{') || text.startsWith('[')) {
+            const value = JSON.parse(text);
+            (Array.isArray(value) ? value : [value]).forEach(item => messages.push(parseJSONMessage(item)));
+        } else {
+            text.split(/\r?\n/).map(line => line.trim()).filter(Boolean)
+                .forEach(line => messages.push(parseTextMessage(line)));
+        }
+    }
+
+    messages.forEach(message => {
+        if (!message.address.startsWith('/')) throw new Error(`Address must start with /: ${message.address}`);
+    });
+    return messages;
+}
+
+function encodeOSCString(text) {
+    const bytes = new TextEncoder().encode(text);
+    const padded = new Uint8Array((bytes.length + 4) & ~3);
+    padded.set(bytes);
+    return padded;
+}
+
+// One binary OSC message; whole numbers go out as int32, others as float32
+export function encodeOSCMessage(address, args) {
+    let tags = ',';
+    const parts = [encodeOSCString(address)];
+    args.forEach(arg => {
+        if (typeof arg === 'boolean') {
+            tags += arg ? 'T' : 'F';
+        } else if (arg === null) {
+            tags += 'N';
+        } else if (typeof arg === 'number') {
+            const integer = Number.isInteger(arg) && arg >= -0x80000000 && arg <= 0x7fffffff;
+            const bytes = new Uint8Array(4);
+            const view = new DataView(bytes.buffer);
+            if (integer) view.setInt32(0, arg);
+            else view.setFloat32(0, arg);
+            tags += integer ? 'i' : 'f';
+            parts.push(bytes);
+        } else {
+            tags += 's';
+            parts.push(encodeOSCString(String(arg)));
+        }
+    });
+    parts.splice(1, 0, encodeOSCString(tags));
+
+    const packet = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        packet.set(part, offset);
+        offset += part.length;
+    });
+    return packet.buffer;
+}
+
+// format: 'json', 'text' or 'osc' (an ArrayBuffer)
+export function formatRemoteMessage(address, args, format) {
+    if (format === 'osc') return encodeOSCMessage(address, args);
+    if (format === 'text') {
+        return [address, ...args.map(arg => (typeof arg === 'string' && /\s|^$/.test(arg) ? JSON.stringify(arg) : String(arg)))].join(' ');
+    }
+    return JSON.stringify({ address, args });
+}
+
+// Connects now and reconnects with backoff until closed; throws when the URL
+// is not a WebSocket URL.
+// options: { url, format, onMessage({ address, args }), onStatusChange(status),
+//            onError(err) for messages that could not be parsed }
+// status is 'connecting', 'connected', 'reconnecting' or 'closed'
+export function createRemoteClient(options) {
+    const config = {
+        format: 'json',
+        onMessage: null,
+        onStatusChange: null,
+        onError: null,
+        ...options
+    };
+
+    let socket = null;
+    let status = 'closed';
+    let retryDelay = RECONNECT_MIN_MS;
+    let retryTimer = null;
+    let closed = false;
+
+    function setStatus(next) {
+        if (status === next) return;
+        status = next;
+        if (config.onStatusChange) config.onStatusChange(status);
+    }
+
+    function connect() {
+        setStatus(status === 'closed' ? 'connecting' : 'reconnecting');
+        socket = new WebSocket(config.url);
+        socket.binaryType = 'arraybuffer';
+
+        socket.onopen = () => {
+            retryDelay = RECONNECT_MIN_MS;
+            setStatus('connected');
+        };
+        socket.onmessage = e => {
+            let messages;
+            try {
+                messages = parseRemoteMessages(e.data);
+            } catch (err) {
+                if (config.onError) config.onError(err);
+                return;
+            }
+            if (config.onMessage) messages.forEach(message => config.onMessage(message));
+        };
+        socket.onclose = () => {
+            socket = null;
+            if (closed) return;
+            setStatus('reconnecting');
+            retryTimer = setTimeout(connect, retryDelay);
+            retryDelay = Math.min(RECONNECT_MAX_MS, retryDelay * 2);
+        };
+    }
+
+    // Dropped unless connected; remote control is live, not queued
+    function send(address, ...args) {
+        if (!socket || socket.readyState !== WebSocket.OPEN) return false;
+        socket.send(formatRemoteMessage(address, args, config.format));
+        return true;
+    }
+
+    function close() {
+        closed = true;
+        clearTimeout(retryTimer);
+        if (socket) socket.close();
+        socket = null;
+        setStatus('closed');
+    }
+
+    // A new url drops the current connection and connects to it straight
+    // away; a bad one throws and leaves the client closed
+    function configure(changes) {
+        const urlChanged = 'url' in changes && changes.url !== config.url;
+        Object.assign(config, changes);
+        if (!urlChanged || closed) return;
+
+        clearTimeout(retryTimer);
+        if (socket) {
+            // The old socket must not schedule a reconnect of its own
+            socket.onclose = null;
+            socket.close();
+            socket = null;
+        }
+        retryDelay = RECONNECT_MIN_MS;
+        try {
+            connect();
+        } catch (err) {
+            close();
+            throw err;
+        }
+    }
+
+    connect();
+
+    return {
+        send,
+        close,
+        configure,
+        get status() { return status; }
+    };
+}
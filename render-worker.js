@@ -0,0 +1,98 @@
+// Render worker
+// Owns the output canvas after transferControlToOffscreen() and runs the frame
+// pipeline off the main thread. Frames arrive as VideoFrame or ImageBitmap
+// (or null for the noise placeholder) and render settings arrive as messages.
+// Runs as a module worker.
+
+import { createPipeline } from './pipeline.js';
+
+let pipeline = null;
+let state = null;
+// Kept open until the next frame so exports can re-read it
+let currentFrame = null;
+// Effect modules import asynchronously; later messages wait for init, which
+// resolves false when it failed
+let ready = null;
+
+function reply(id, promise) {
+    Promise.resolve(promise).then(result => {
+        const transfer = typeof ImageBitmap !== 'undefined' && result instanceof ImageBitmap ? [result] : [];
+        self.postMessage({ type: 'result', id, result }, transfer);
+    }).catch(err => {
+        self.postMessage({ type: 'error', id, message: err.message });
+    });
+}
+
+async function init(msg) {
+    // Third-party effect modules loaded on the page
+    await Promise.all(msg.scripts.map(src => import(src)));
+    pipeline = createPipeline(msg.canvas);
+    pipeline.resize(msg.width, msg.height);
+    pipeline.setLUT(msg.lut);
+    state = msg.state;
+    self.postMessage({ type: 'ready', renderer: pipeline.rendererName });
+    return true;
+}
+
+self.onmessage = (e) => {
+    const msg = e.data;
+    if (msg.type === 'init') {
+        // Reported once, so the page falls back to the main thread
+        ready = init(msg).catch(err => {
+            self.postMessage({ type: 'failed', message: err.message });
+            return false;
+        });
+        return;
+    }
+    ready.then(ok => {
+        if (ok) {
+            handleMessage(msg);
+        } else if (msg.frame) {
+            // Nothing will render it
+            msg.frame.close();
+        }
+    });
+};
+
+function handleMessage(msg) {
+    switch (msg.type) {
+        case 'settings':
+            state = msg.state;
+            break;
+
+        case 'lut':
+            pipeline.setLUT(msg.lut);
+            break;
+
+        case 'resize':
+            pipeline.resize(msg.width, msg.height);
+            break;
+
+        case 'frame':
+            try {
+                pipeline.render(msg.frame, msg.mirror, state);
+            } catch (err) {
+                console.error('Frame render failed:', err);
+            } finally {
+                if (currentFrame) currentFrame.close();
+                currentFrame = msg.frame;
+                self.postMessage({ type: 'rendered', renderer: pipeline.rendererName, timings: pipeline.timings });
+            }
+            break;
+
+        case 'export':
+            reply(msg.id, new Promise(resolve => resolve(pipeline.exportFrame(msg.exportId, state))));
+            break;
+
+        case 'capture':
+            reply(msg.id, pipeline.canvas.convertToBlob({ type: 'image/png' }));
+            break;
+
+        case 'snapshot':
+            reply(msg.id, createImageBitmap(pipeline.canvas, {
+                resizeWidth: msg.width,
+                resizeHeight: msg.height
+            }));
+            break;
+    }
+}
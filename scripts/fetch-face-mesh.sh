@@ -0,0 +1,27 @@
+#!/bin/sh
+# Downloads the MediaPipe Face Mesh assets into vendor/face_mesh/ so face
+# tracking works offline and without the CDN. The version must match
+# FACE_MESH_CDN in face-mesh-loader.js.
+set -e
+
+VERSION="0.4.1633559619"
+BASE="https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh@${VERSION}"
+DEST="$(dirname "$0")/../vendor/face_mesh"
+
+FILES="
+face_mesh.js
+face_mesh.binarypb
+face_mesh_solution_packed_assets_loader.js
+face_mesh_solution_packed_assets.data
+face_mesh_solution_simd_wasm_bin.js
+face_mesh_solution_simd_wasm_bin.wasm
+face_mesh_solution_wasm_bin.js
+face_mesh_solution_wasm_bin.wasm
+"
+
+mkdir -p "$DEST"
+for file in $FILES; do
+    echo "Fetching $file"
+    curl -fsSL "$BASE/$file" -o "$DEST/$file"
+done
+echo "Face mesh ${VERSION} saved to $DEST"
@@ -0,0 +1,260 @@
+// Settings
+// Everything that defines a look lives in one plain object so it can be saved
+// as a preset, exported as JSON and encoded into the URL hash. Like effects.js
+// this file has no DOM access.
+//
+// settings: {
+//   version,
+//   effect,                        // registered effect name
+//   effectParams: { [effect]: {} }, // values keyed by param id
+//   intensity, brightness, contrast,
+//   grade,                         // color grading (see color-grading.js)
+//   accentColor: { r, g, b },
+//   colorShift, blinkInvert,       // interactive toggles
+//   gestureActions: { [gesture]: action }, // what each blink gesture does
+//   maxFaces, faceRegion,          // faces tracked; 'full', 'faces' or 'background'
+//   mappings: [],                  // face signal mappings (see face-signals.js)
+//   layers: []                     // effect layers over the base effect:
+//                                  // { effect, params, opacity, blend, enabled }
+// }
+
+import { getEffect, getDefaultParams } from './effects.js';
+import { MAPPING_CURVES, getFaceSignal, getMappingTarget, createMapping } from './face-signals.js';
+import { MAX_CURVE_POINTS, createDefaultCurve, createDefaultGrade } from './color-grading.js';
+import { BLEND_MODES } from './pipeline.js';
+import { BLINK_GESTURES } from './blink-detector.js';
+
+export const SETTINGS_VERSION = 1;
+export const MAX_EFFECT_LAYERS = 4;
+
+// What a blink gesture can do; the app runs them
+export const GESTURE_ACTIONS = [
+    { id: 'none', label: 'Nothing' },
+    { id: 'invert', label: 'Invert Color' },
+    { id: 'capture', label: 'Capture' },
+    { id: 'record', label: 'Start/Stop Recording' },
+    { id: 'next-effect', label: 'Next Effect' },
+    { id: 'previous-effect', label: 'Previous Effect' }
+];
+
+// A blink inverts the accent, as it always has; the other gestures only act
+// once the user picks an action for them
+function createDefaultGestureActions() {
+    const actions = {};
+    BLINK_GESTURES.forEach(gesture => { actions[gesture.id] = 'none'; });
+    actions.blink = 'invert';
+    return actions;
+}
+
+export function createDefaultSettings() {
+    return {
+        version: SETTINGS_VERSION,
+        effect: 'ascii',
+        effectParams: {},
+        intensity: 100,
+        brightness: 100,
+        contrast: 100,
+        grade: createDefaultGrade(),
+        accentColor: { r: 0, g: 122, b: 255 },
+        colorShift: false,
+        blinkInvert: false,
+        gestureActions: createDefaultGestureActions(),
+        maxFaces: 1,
+        faceRegion: 'full',
+        // Head tilt drives the accent hue, as it always has
+        mappings: [
+            { signal: 'tilt', target: 'hue', inMin: -60, inMax: 60, outMin: 0, outMax: 360, curve: 'linear', smoothing: 0.7 }
+        ],
+        layers: []
+    };
+}
+
+export function createEffectLayer(effectName) {
+    return {
+        effect: effectName,
+        params: getDefaultParams(getEffect(effectName)),
+        opacity: 100,
+        blend: 'normal',
+        enabled: true
+    };
+}
+
+function clampSetting(value, min, max, fallback) {
+    const num = Number(value);
+    if (!Number.isFinite(num)) return fallback;
+    return Math.min(max, Math.max(min, num));
+}
+
+// Keep only values that fit the effect's param schema
+function normalizeEffectParams(effect, values) {
+    const params = getDefaultParams(effect);
+    if (!values || typeof values !== 'object') return params;
+
+    effect.params.forEach(param => {
+        const value = values[param.id];
+        if (value === undefined) return;
+
+        switch (param.type) {
+            case 'select':
+                if (param.options.some(option => option.value === value)) params[param.id] = value;
+                break;
+            case 'toggle':
+                params[param.id] = !!value;
+                break;
+            case 'text':
+                if (typeof value === 'string') params[param.id] = value;
+                break;
+            default:
+                params[param.id] = clampSetting(value, param.min, param.max, params[param.id]);
+        }
+    });
+    return params;
+}
+
+function normalizeMapping(input) {
+    if (!input || typeof input !== 'object') return null;
+    if (!getFaceSignal(input.signal) || !getMappingTarget(input.target)) return null;
+
+    const mapping = createMapping(input.signal, input.target);
+    ['inMin', 'inMax', 'outMin', 'outMax'].forEach(key => {
+        mapping[key] = clampSetting(input[key], -1e6, 1e6, mapping[key]);
+    });
+    if (Object.keys(MAPPING_CURVES).includes(input.curve)) mapping.curve = input.curve;
+    mapping.smoothing = clampSetting(input.smoothing, 0, 0.95, mapping.smoothing);
+    return mapping;
+}
+
+function normalizeLayer(input) {
+    if (!input || typeof input !== 'object') return null;
+    const effect = typeof input.effect === 'string' && getEffect(input.effect);
+    if (!effect) return null;
+
+    const layer = createEffectLayer(effect.name);
+    layer.params = normalizeEffectParams(effect, input.params);
+    layer.opacity = Math.round(clampSetting(input.opacity, 0, 100, layer.opacity));
+    if (Object.keys(BLEND_MODES).includes(input.blend)) layer.blend = input.blend;
+    if (input.enabled !== undefined) layer.enabled = !!input.enabled;
+    return layer;
+}
+
+// Points sorted by input with duplicate inputs dropped; the default line
+// when fewer than two points survive
+function normalizeCurve(input) {
+    if (!Array.isArray(input)) return createDefaultCurve();
+    const points = input
+        .filter(point => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite))
+        .map(point => point.map(value => Math.round(clampSetting(value, 0, 255, 0))))
+        .sort((a, b) => a[0] - b[0])
+        .filter((point, i, sorted) => i === 0 || point[0] !== sorted[i - 1][0])
+        .slice(0, MAX_CURVE_POINTS);
+    return points.length >= 2 ? points : createDefaultCurve();
+}
+
+function normalizeGrade(input) {
+    const grade = createDefaultGrade();
+    if (!input || typeof input !== 'object') return grade;
+
+    grade.temperature = Math.round(clampSetting(input.temperature, -100, 100, grade.temperature));
+    grade.tint = Math.round(clampSetting(input.tint, -100, 100, grade.tint));
+    grade.gamma = Math.round(clampSetting(input.gamma, 50, 200, grade.gamma));
+    grade.saturation = Math.round(clampSetting(input.saturation, 0, 200, grade.saturation));
+    grade.hue = Math.round(clampSetting(input.hue, -180, 180, grade.hue));
+    grade.lutStrength = Math.round(clampSetting(input.lutStrength, 0, 100, grade.lutStrength));
+    if (input.curves && typeof input.curves === 'object') {
+        ['r', 'g', 'b'].forEach(channel => {
+            grade.curves[channel] = normalizeCurve(input.curves[channel]);
+        });
+    }
+    return grade;
+}
+
+// Fill in defaults and drop anything malformed, so a pasted link or an
+// imported file can't leave the app in a broken state
+export function normalizeSettings(input) {
+    const settings = createDefaultSettings();
+    if (!input || typeof input !== 'object') return settings;
+
+    if (typeof input.effect === 'string' && getEffect(input.effect)) {
+        settings.effect = input.effect;
+    }
+
+    if (input.effectParams && typeof input.effectParams === 'object') {
+        Object.keys(input.effectParams).forEach(name => {
+            const effect = getEffect(name);
+            if (effect) settings.effectParams[name] = normalizeEffectParams(effect, input.effectParams[name]);
+        });
+    }
+
+    settings.intensity = Math.round(clampSetting(input.intensity, 0, 100, settings.intensity));
+    settings.brightness = Math.round(clampSetting(input.brightness, 50, 150, settings.brightness));
+    settings.contrast = Math.round(clampSetting(input.contrast, 50, 150, settings.contrast));
+    settings.grade = normalizeGrade(input.grade);
+
+    const color = input.accentColor;
+    if (color && typeof color === 'object') {
+        ['r', 'g', 'b'].forEach(channel => {
+            settings.accentColor[channel] = Math.round(clampSetting(color[channel], 0, 255, settings.accentColor[channel]));
+        });
+    }
+
+    settings.colorShift = !!input.colorShift;
+    settings.blinkInvert = !!input.blinkInvert;
+    if (input.gestureActions && typeof input.gestureActions === 'object') {
+        BLINK_GESTURES.forEach(gesture => {
+            const action = input.gestureActions[gesture.id];
+            if (GESTURE_ACTIONS.some(item => item.id === action)) settings.gestureActions[gesture.id] = action;
+        });
+    }
+    settings.maxFaces = Math.round(clampSetting(input.maxFaces, 1, 4, settings.maxFaces));
+    if (['full', 'faces', 'background'].includes(input.faceRegion)) {
+        settings.faceRegion = input.faceRegion;
+    }
+
+    if (Array.isArray(input.mappings)) {
+        settings.mappings = input.mappings.map(normalizeMapping).filter(Boolean);
+    }
+    if (Array.isArray(input.layers)) {
+        settings.layers = input.layers.map(normalizeLayer).filter(Boolean).slice(0, MAX_EFFECT_LAYERS);
+    }
+    return settings;
+}
+
+// Compact, URL-safe encoding: UTF-8 JSON as base64url
+export function encodeSettings(settings) {
+    const bytes = new TextEncoder().encode(JSON.stringify(settings));
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Returns normalized settings, or null when the string can't be decoded
+export function decodeSettings(encoded) {
+    try {
+        const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return normalizeSettings(JSON.parse(new TextDecoder().decode(bytes)));
+    } catch (err) {
+        return null;
+    }
+}
+
+// Saved presets are a Map of name to settings, so any name is a safe key
+// ("__proto__" or "constructor" would clash with a plain object's own
+// properties). Stored as a JSON object; anything unreadable gives no presets.
+export function parsePresets(json) {
+    const presets = new Map();
+    try {
+        const stored = JSON.parse(json);
+        if (!stored || typeof stored !== 'object' || Array.isArray(stored)) return presets;
+        Object.entries(stored).forEach(([name, settings]) => {
+            if (settings && typeof settings === 'object') presets.set(name, normalizeSettings(settings));
+        });
+    } catch (err) {
+        // Corrupt storage starts over
+    }
+    return presets;
+}
+
+export function serializePresets(presets) {
+    return JSON.stringify(Object.fromEntries(presets));
+}
@@ -0,0 +1,198 @@
+// Stream output
+// Sends the processed output to WebRTC peers, so calls and other pages can
+// use it like a camera. Peers find each other through a signaling channel:
+// any object with send(message) and an onmessage property. Two stand-ins
+// need no server: createBroadcastSignaling() reaches other tabs of this
+// origin (see viewer.html) and createLoopbackSignaling() pairs two ends in
+// one page. A WebSocket relay that forwards the same messages works as well.
+//
+// Messages, all plain JSON:
+//   { type: 'ready', from }                 a sender started
+//   { type: 'join', from }                  a receiver wants the stream
+//   { type: 'offer' | 'answer', from, to, description }
+//   { type: 'candidate', from, to, candidate }
+//   { type: 'leave', from }
+//
+// Like the pipeline it has no DOM access; the caller shows the streams.
+
+const SIGNALING_CHANNEL = 'camera-output';
+
+function createPeerId() {
+    return Math.random().toString(36).slice(2, 10);
+}
+
+// Other tabs and windows of this origin
+export function createBroadcastSignaling(name = SIGNALING_CHANNEL) {
+    const channel = new BroadcastChannel(name);
+    const signaling = {
+        onmessage: null,
+        send: message => channel.postMessage(message),
+        close: () => channel.close()
+    };
+    channel.onmessage = e => {
+        if (signaling.onmessage) signaling.onmessage(e.data);
+    };
+    return signaling;
+}
+
+// Two connected ends in one page; delivery is asynchronous like a network
+export function createLoopbackSignaling() {
+    const ends = [0, 1].map(() => ({ onmessage: null, closed: false }));
+    ends.forEach((end, i) => {
+        const other = ends[1 - i];
+        end.send = message => {
+            if (end.closed) return;
+            const copy = JSON.parse(JSON.stringify(message));
+            setTimeout(() => {
+                if (!other.closed && other.onmessage) other.onmessage(copy);
+            }, 0);
+        };
+        end.close = () => { end.closed = true; };
+    });
+    return ends;
+}
+
+// Offers the stream's tracks to every receiver that joins.
+// options: { iceServers, onPeersChange(count) }
+export function createStreamSender(stream, signaling, options = {}) {
+    const id = createPeerId();
+    const peers = new Map();
+
+    function notify() {
+        if (options.onPeersChange) options.onPeersChange(peers.size);
+    }
+
+    function disconnect(peerId) {
+        const peer = peers.get(peerId);
+        if (!peer) return;
+        peer.close();
+        peers.delete(peerId);
+        notify();
+    }
+
+    async function connect(peerId) {
+        const peer = new RTCPeerConnection({ iceServers: options.iceServers || [] });
+        peers.set(peerId, peer);
+        notify();
+
+        peer.onicecandidate = e => {
+            if (e.candidate) signaling.send({ type: 'candidate', from: id, to: peerId, candidate: e.candidate.toJSON() });
+        };
+        peer.onconnectionstatechange = () => {
+            if (peer.connectionState === 'failed' || peer.connectionState === 'closed') disconnect(peerId);
+        };
+        stream.getTracks().forEach(track => peer.addTrack(track, stream));
+
+        const offer = await peer.createOffer();
+        await peer.setLocalDescription(offer);
+        signaling.send({ type: 'offer', from: id, to: peerId, description: peer.localDescription.toJSON() });
+    }
+
+    signaling.onmessage = msg => {
+        if (msg.to && msg.to !== id) return;
+        const peer = peers.get(msg.from);
+
+        switch (msg.type) {
+            case 'join':
+                // A receiver may ask twice while the first offer is on its way
+                if (!peer) {
+                    connect(msg.from).catch(err => {
+                        console.error('Stream offer failed:', err);
+                        disconnect(msg.from);
+                    });
+                }
+                break;
+            case 'answer':
+                if (peer) peer.setRemoteDescription(msg.description).catch(err => console.error('Stream answer failed:', err));
+                break;
+            case 'candidate':
+                if (peer) peer.addIceCandidate(msg.candidate).catch(() => {});
+                break;
+            case 'leave':
+                disconnect(msg.from);
+                break;
+        }
+    };
+
+    // Receivers that were already waiting join now
+    signaling.send({ type: 'ready', from: id });
+
+    function close() {
+        signaling.send({ type: 'leave', from: id });
+        Array.from(peers.keys()).forEach(disconnect);
+        signaling.close();
+    }
+
+    return {
+        close,
+        get peerCount() { return peers.size; }
+    };
+}
+
+// Joins whichever sender answers and hands over its stream.
+// options: { iceServers, onStream(stream), onClose() }
+export function createStreamReceiver(signaling, options = {}) {
+    const id = createPeerId();
+    let peer = null;
+    let senderId = null;
+
+    function disconnect() {
+        if (!peer) return;
+        peer.close();
+        peer = null;
+        senderId = null;
+        if (options.onClose) options.onClose();
+    }
+
+    async function answer(msg) {
+        // A newer offer (e.g. the camera tab reloaded) replaces the old one
+        if (peer) peer.close();
+        const current = new RTCPeerConnection({ iceServers: options.iceServers || [] });
+        peer = current;
+        senderId = msg.from;
+
+        current.onicecandidate = e => {
+            if (e.candidate) signaling.send({ type: 'candidate', from: id, to: msg.from, candidate: e.candidate.toJSON() });
+        };
+        current.ontrack = e => {
+            if (options.onStream) options.onStream(e.streams[0]);
+        };
+        current.onconnectionstatechange = () => {
+            if (current === peer && current.connectionState === 'failed') disconnect();
+        };
+
+        await current.setRemoteDescription(msg.description);
+        const description = await current.createAnswer();
+        await current.setLocalDescription(description);
+        signaling.send({ type: 'answer', from: id, to: msg.from, description: current.localDescription.toJSON() });
+    }
+
+    signaling.onmessage = msg => {
+        if (msg.to && msg.to !== id) return;
+
+        switch (msg.type) {
+            case 'ready':
+                signaling.send({ type: 'join', from: id });
+                break;
+            case 'offer':
+                answer(msg).catch(err => console.error('Stream answer failed:', err));
+                break;
+            case 'candidate':
+                if (peer && msg.from === senderId) peer.addIceCandidate(msg.candidate).catch(() => {});
+                break;
+            case 'leave':
+                if (msg.from === senderId) disconnect();
+                break;
+        }
+    };
+
+    signaling.send({ type: 'join', from: id });
+
+    function close() {
+        signaling.send({ type: 'leave', from: id });
+        disconnect();
+        signaling.close();
+    }
+
+    return { close };
+}
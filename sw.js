@@ -0,0 +1,114 @@
+// Service worker
+// Precaches the app shell so the app opens offline and can be installed.
+// App files are served from the cache and refreshed in the background; face
+// mesh assets and fonts never change for a given URL, so they are cached on
+// first use and served from the cache after that. Bump CACHE_VERSION when the
+// shell list changes.
+
+const CACHE_VERSION = 'camera-v7';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'effects.js',
+    'color-grading.js',
+    'color-utils.js',
+    'face-signals.js',
+    'settings.js',
+    'blink-detector.js',
+    'motion-detector.js',
+    'debug-overlay.js',
+    'face-mesh-loader.js',
+    'gl-renderer.js',
+    'frame-history.js',
+    'performance-governor.js',
+    'pipeline.js',
+    'gif-encoder.js',
+    'stream-output.js',
+    'remote-control.js',
+    'midi-control.js',
+    'render-worker.js',
+    'app.js',
+    'temporal-effects.js',
+    'interactive-camera.js',
+    'viewer.html',
+    'viewer.js',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+const IMMUTABLE_HOSTS = ['cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_VERSION)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== CACHE_VERSION)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+function isImmutable(url) {
+    return IMMUTABLE_HOSTS.includes(url.hostname) ||
+        (url.origin === self.location.origin && url.pathname.includes('/vendor/'));
+}
+
+// Opaque responses (cross-origin without CORS) can't be checked, but are still
+// worth keeping for offline use
+function isCacheable(response) {
+    return response && (response.ok || response.type === 'opaque');
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (isCacheable(response)) {
+        const cache = await caches.open(CACHE_VERSION);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const cached = await caches.match(request, { ignoreSearch: true });
+    const network = fetch(request).then(async (response) => {
+        if (isCacheable(response)) {
+            const cache = await caches.open(CACHE_VERSION);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (!url.protocol.startsWith('http')) return;
+
+    if (isImmutable(url)) {
+        event.respondWith(cacheFirst(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
@@ -0,0 +1,304 @@
+// Temporal effects
+// Effects built on the frame history instead of a single frame. Loaded as an
+// effect module (see effects.js), so the render worker picks it up too.
+// Every effect reads past frames through frame.history.get(age); the history
+// holds at most FRAME_HISTORY_BUDGET bytes, so a long delay at a high output
+// resolution uses the oldest frame available instead.
+
+import { registerEffect, blendWithSource, COLOR_MODE_PARAM } from './effects.js';
+
+function getPastFrames(history, count) {
+    const frames = [];
+    for (let age = 0; age <= count; age++) frames.push(history.get(age));
+    return frames;
+}
+
+registerEffect({
+    name: 'echo',
+    label: 'Echo',
+    icon: '<circle cx="9" cy="12" r="5"/><path d="M15 7.5a5 5 0 0 1 0 9M18.5 5a8.5 8.5 0 0 1 0 14"/>',
+    params: [
+        { id: 'echoes', label: 'Echoes', min: 1, max: 6, value: 3 },
+        { id: 'spacing', label: 'Spacing', min: 1, max: 10, value: 4, unit: ' fr' },
+        { id: 'decay', label: 'Decay', min: 10, max: 95, value: 60, unit: '%' },
+        { id: 'tint', label: 'Accent Tint', min: 0, max: 100, value: 50, unit: '%' }
+    ],
+    history: params => params.echoes * params.spacing,
+    apply(imageData, params, frame) {
+        const { data, width, height } = imageData;
+        const output = new Uint8ClampedArray(data.length);
+        const accent = frame.accentColor;
+        const tint = params.tint / 100;
+
+        // Each echo weighs decay times the one after it; older echoes lean
+        // further toward the accent color
+        const echoes = [];
+        let totalWeight = 0;
+        for (let k = 0; k <= params.echoes; k++) {
+            const weight = Math.pow(params.decay / 100, k);
+            echoes.push({
+                pixels: frame.history.get(k * params.spacing),
+                weight,
+                tint: k === 0 ? 0 : tint * k / params.echoes
+            });
+            totalWeight += weight;
+        }
+
+        for (let i = 0; i < data.length; i += 4) {
+            let r = 0, g = 0, b = 0;
+            for (let k = 0; k < echoes.length; k++) {
+                const echo = echoes[k];
+                const p = echo.pixels;
+                const luma = (p[i] * 0.299 + p[i + 1] * 0.587 + p[i + 2] * 0.114) / 255;
+                r += (p[i] * (1 - echo.tint) + accent.r * luma * echo.tint) * echo.weight;
+                g += (p[i + 1] * (1 - echo.tint) + accent.g * luma * echo.tint) * echo.weight;
+                b += (p[i + 2] * (1 - echo.tint) + accent.b * luma * echo.tint) * echo.weight;
+            }
+            output[i] = r / totalWeight;
+            output[i + 1] = g / totalWeight;
+            output[i + 2] = b / totalWeight;
+        }
+
+        blendWithSource(data, output, frame.intensity / 100);
+        return new ImageData(output, width, height);
+    }
+});
+
+registerEffect({
+    name: 'motion',
+    label: 'Motion',
+    icon: '<path d="M4 12h4M3 8h6M5 16h4"/><circle cx="15" cy="12" r="5"/>',
+    params: [
+        { id: 'delay', label: 'Compare With', min: 1, max: 10, value: 1, unit: ' fr' },
+        { id: 'gain', label: 'Gain', min: 1, max: 10, value: 4, unit: '×' },
+        { id: 'threshold', label: 'Threshold', min: 0, max: 100, value: 12 },
+        COLOR_MODE_PARAM
+    ],
+    history: params => params.delay,
+    apply(imageData, params, frame) {
+        const { data, width, height } = imageData;
+        const output = new Uint8ClampedArray(data.length);
+        const previous = frame.history.get(params.delay);
+        const accent = frame.accentColor;
+        const sourceColor = params.colorMode === 'source';
+
+        // Only what changed since the earlier frame stays visible
+        for (let i = 0; i < data.length; i += 4) {
+            const diff = (Math.abs(data[i] - previous[i]) * 0.299 +
+                Math.abs(data[i + 1] - previous[i + 1]) * 0.587 +
+                Math.abs(data[i + 2] - previous[i + 2]) * 0.114);
+            if (diff < params.threshold) continue;
+
+            const amount = Math.min(1, diff * params.gain / 255);
+            output[i] = (sourceColor ? data[i] : accent.r) * amount;
+            output[i + 1] = (sourceColor ? data[i + 1] : accent.g) * amount;
+            output[i + 2] = (sourceColor ? data[i + 2] : accent.b) * amount;
+        }
+
+        blendWithSource(data, output, frame.intensity / 100);
+        return new ImageData(output, width, height);
+    }
+});
+
+registerEffect({
+    name: 'slitscan',
+    label: 'Slit-Scan',
+    icon: '<path d="M4 6h16M4 10h12M4 14h8M4 18h4"/>',
+    params: [
+        { id: 'depth', label: 'Depth', min: 4, max: 60, value: 30, unit: ' fr' },
+        {
+            id: 'direction',
+            label: 'Newest At',
+            type: 'select',
+            value: 'top',
+            options: [
+                { value: 'top', label: 'Top' },
+                { value: 'bottom', label: 'Bottom' },
+                { value: 'left', label: 'Left' },
+                { value: 'right', label: 'Right' }
+            ]
+        }
+    ],
+    history: params => params.depth,
+    apply(imageData, params, frame) {
+        const { data, width, height } = imageData;
+        const output = new Uint8ClampedArray(data.length);
+        const frames = getPastFrames(frame.history, params.depth);
+        const rows = params.direction === 'top' || params.direction === 'bottom';
+        const reversed = params.direction === 'bottom' || params.direction === 'right';
+        const lines = rows ? height : width;
+
+        // Each row (or column) comes from a frame further back in time
+        for (let line = 0; line < lines; line++) {
+            const t = lines > 1 ? line / (lines - 1) : 0;
+            const pixels = frames[Math.round((reversed ? 1 - t : t) * params.depth)];
+            if (rows) {
+                const start = line * width * 4;
+                output.set(pixels.subarray(start, start + width * 4), start);
+            } else {
+                for (let y = 0, i = line * 4; y < height; y++, i += width * 4) {
+                    output[i] = pixels[i];
+                    output[i + 1] = pixels[i + 1];
+                    output[i + 2] = pixels[i + 2];
+                }
+            }
+        }
+
+        blendWithSource(data, output, frame.intensity / 100);
+        return new ImageData(output, width, height);
+    }
+});
+
+registerEffect({
+    name: 'timewarp',
+    label: 'Time Warp',
+    icon: '<circle cx="12" cy="12" r="8"/><path d="M12 7v5l3 2"/>',
+    params: [
+        { id: 'depth', label: 'Depth', min: 4, max: 60, value: 20, unit: ' fr' },
+        {
+            id: 'map',
+            label: 'Delay Map',
+            type: 'select',
+            value: 'luma',
+            options: [
+                { value: 'luma', label: 'Brightness' },
+                { value: 'radial', label: 'Radial' },
+                { value: 'horizontal', label: 'Left to Right' }
+            ]
+        },
+        { id: 'invert', label: 'Invert Map', type: 'toggle', value: false }
+    ],
+    history: params => params.depth,
+    apply(imageData, params, frame) {
+        const { data, width, height } = imageData;
+        const output = new Uint8ClampedArray(data.length);
+        const frames = getPastFrames(frame.history, params.depth);
+        const cx = width / 2;
+        const cy = height / 2;
+        const maxRadius = Math.hypot(cx, cy);
+
+        // Every pixel shows the frame its delay map value points to
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                let t;
+                if (params.map === 'luma') {
+                    t = (data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114) / 255;
+                } else if (params.map === 'radial') {
+                    t = Math.sqrt((x - cx) * (x - cx) + (y - cy) * (y - cy)) / maxRadius;
+                } else {
+                    t = x / width;
+                }
+                if (params.invert) t = 1 - t;
+
+                const pixels = frames[Math.round(t * params.depth)];
+                output[i] = pixels[i];
+                output[i + 1] = pixels[i + 1];
+                output[i + 2] = pixels[i + 2];
+            }
+        }
+
+        blendWithSource(data, output, frame.intensity / 100);
+        return new ImageData(output, width, height);
+    }
+});
+
+// Mean luma difference between a block of `current` and the block offset by
+// (dx, dy) in `previous`, sampled every few pixels
+function getBlockError(current, previous, width, height, block, dx, dy) {
+    let error = 0;
+    let samples = 0;
+    for (let y = block.y; y < block.y + block.height; y += 4) {
+        const py = Math.min(height - 1, Math.max(0, y - dy));
+        for (let x = block.x; x < block.x + block.width; x += 4) {
+            const px = Math.min(width - 1, Math.max(0, x - dx));
+            const i = (y * width + x) * 4;
+            const j = (py * width + px) * 4;
+            error += Math.abs(current[i] - previous[j]) * 0.299 +
+                Math.abs(current[i + 1] - previous[j + 1]) * 0.587 +
+                Math.abs(current[i + 2] - previous[j + 2]) * 0.114;
+            samples++;
+        }
+    }
+    return error / samples;
+}
+
+// Datamosh: like a video stream that lost its keyframes. Still blocks keep
+// the pixels they already show; moving blocks drag those pixels along their
+// motion instead of showing the new frame, except for a few that refresh.
+registerEffect({
+    name: 'datamosh',
+    label: 'Datamosh',
+    icon: '<rect x="4" y="4" width="8" height="8"/><path d="M12 12l8 8M14 20h6v-6"/>',
+    params: [
+        { id: 'blockSize', label: 'Block Size', min: 8, max: 64, value: 16, unit: 'px' },
+        { id: 'threshold', label: 'Motion Threshold', min: 0, max: 60, value: 8 },
+        { id: 'refresh', label: 'Refresh', min: 0, max: 100, value: 3, unit: '%' }
+    ],
+    history: () => 1,
+    apply(imageData, params, frame) {
+        const { data, width, height } = imageData;
+        const state = frame.history.getState('datamosh');
+        const previous = frame.history.get(1);
+
+        // Another region or layer already moshed this frame
+        if (state.frameId === frame.history.frameId) {
+            const output = new Uint8ClampedArray(state.output);
+            blendWithSource(data, output, frame.intensity / 100);
+            return new ImageData(output, width, height);
+        }
+        state.frameId = frame.history.frameId;
+
+        if (!state.output || state.output.length !== data.length || frame.history.length < 2) {
+            state.output = new Uint8ClampedArray(data);
+            return imageData;
+        }
+
+        const moshed = state.output;
+        const source = new Uint8ClampedArray(moshed);
+        const size = Math.round(params.blockSize);
+        const step = Math.max(2, Math.round(size / 2));
+
+        for (let by = 0; by < height; by += size) {
+            for (let bx = 0; bx < width; bx += size) {
+                const block = { x: bx, y: by, width: Math.min(size, width - bx), height: Math.min(size, height - by) };
+                const still = getBlockError(data, previous, width, height, block, 0, 0);
+                if (still < params.threshold) continue;
+
+                if (Math.random() * 100 < params.refresh) {
+                    for (let y = by; y < by + block.height; y++) {
+                        const start = (y * width + bx) * 4;
+                        moshed.set(data.subarray(start, start + block.width * 4), start);
+                    }
+                    continue;
+                }
+
+                // Coarse block matching over a 3×3 grid of offsets
+                let best = { dx: 0, dy: 0, error: still };
+                for (let dy = -step; dy <= step; dy += step) {
+                    for (let dx = -step; dx <= step; dx += step) {
+                        if (dx === 0 && dy === 0) continue;
+                        const error = getBlockError(data, previous, width, height, block, dx, dy);
+                        if (error < best.error) best = { dx, dy, error };
+                    }
+                }
+
+                for (let y = by; y < by + block.height; y++) {
+                    const sy = Math.min(height - 1, Math.max(0, y - best.dy));
+                    for (let x = bx; x < bx + block.width; x++) {
+                        const sx = Math.min(width - 1, Math.max(0, x - best.dx));
+                        const i = (y * width + x) * 4;
+                        const j = (sy * width + sx) * 4;
+                        moshed[i] = source[j];
+                        moshed[i + 1] = source[j + 1];
+                        moshed[i + 2] = source[j + 2];
+                    }
+                }
+            }
+        }
+
+        const output = new Uint8ClampedArray(moshed);
+        blendWithSource(data, output, frame.intensity / 100);
+        return new ImageData(output, width, height);
+    }
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { listLandmarkFixtures, loadLandmarks } from './helpers.js';
+import {
+    calculateEAR, createBlinkDetector, LEFT_EYE_INDICES, RIGHT_EYE_INDICES, DEFAULT_EAR_BASELINE
+} from '../blink-detector.js';
+
+// The synthetic face has exact eye shapes for the EAR checks; replays run
+// on every fixture, recordings included
+const sequence = loadLandmarks('blink-sequence');
+const fixtures = listLandmarkFixtures().map(name => ({ name, ...loadLandmarks(name) }));
+
+test('EAR is the eye height over its width', () => {
+    const landmarks = [];
+    // Corners 6 apart, lids 2 and 1 apart
+    const eye = { 33: [0, 0], 159: [2, -1], 158: [4, -0.5], 133: [6, 0], 153: [4, 0.5], 145: [2, 1] };
+    Object.entries(eye).forEach(([i, [x, y]]) => { landmarks[i] = { x, y, z: 0 }; });
+    assert.equal(calculateEAR(landmarks, RIGHT_EYE_INDICES), (2 + 1) / (2 * 6));
+});
+
+test('EAR of a degenerate eye does not divide by zero', () => {
+    const landmarks = [];
+    LEFT_EYE_INDICES.forEach(i => { landmarks[i] = { x: 0.5, y: 0.5, z: 0 }; });
+    assert.equal(calculateEAR(landmarks, LEFT_EYE_INDICES), 1);
+});
+
+test('open eyes in the fixture sit at the default baseline', () => {
+    const [face] = sequence.frames[0].faces;
+    assert.ok(Math.abs(calculateEAR(face, LEFT_EYE_INDICES) - DEFAULT_EAR_BASELINE) < 0.01);
+    assert.ok(Math.abs(calculateEAR(face, RIGHT_EYE_INDICES) - DEFAULT_EAR_BASELINE) < 0.01);
+});
+
+for (const fixture of fixtures.filter(item => item.gestures)) {
+    test(`replaying ${fixture.name} fires its gestures in order`, () => {
+        const gestures = [];
+        const detector = createBlinkDetector({ ...fixture.blinkSettings, onGesture: name => gestures.push(name) });
+        fixture.frames.forEach(frame => detector.update(frame.faces[0], frame.time));
+        assert.deepEqual(gestures, fixture.gestures);
+    });
+}
+
+test('the fixtures cover a blink and a wink per eye', () => {
+    const gestures = new Set(fixtures.flatMap(fixture => fixture.gestures || []));
+    ['blink', 'wink-left', 'wink-right'].forEach(gesture => assert.ok(gestures.has(gesture), gesture));
+});
+
+test('low sensitivity ignores a half-closed eye', () => {
+    const gestures = [];
+    const detector = createBlinkDetector({ sensitivity: 0, onGesture: name => gestures.push(name) });
+    const [face] = sequence.frames[0].faces;
+    // Squint: lids at 60% of the open height, EAR about 0.18
+    const squint = face.map((point, i) => (
+        [...LEFT_EYE_INDICES, ...RIGHT_EYE_INDICES].includes(i) ? { ...point, y: 0.42 + (point.y - 0.42) * 0.6 } : point
+    ));
+    detector.update(face, 0);
+    detector.update(squint, 100);
+    assert.deepEqual(gestures, []);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestImage, assertMatchesGolden } from './helpers.js';
+import {
+    createDefaultGrade, buildCurveTable, getColorMatrix, prepareGrade, applyGrade, parseCubeLUT, sampleLUT
+} from '../color-grading.js';
+
+// Identity 2×2×2 LUT, red varying fastest
+function createIdentityCube(header = '') {
+    const rows = [];
+    for (let b = 0; b < 2; b++) {
+        for (let g = 0; g < 2; g++) {
+            for (let r = 0; r < 2; r++) rows.push(`${r} ${g} ${b}`);
+        }
+    }
+    return `${header}LUT_3D_SIZE 2\n${rows.join('\n')}\n`;
+}
+
+test('the default grade is neutral and leaves pixels alone', () => {
+    const grade = prepareGrade(100, 100, createDefaultGrade());
+    assert.equal(grade.neutral, true);
+    assert.equal(grade.matrix, null);
+
+    const imageData = createTestImage();
+    const original = new Uint8ClampedArray(imageData.data);
+    applyGrade(imageData.data, grade, null);
+    assert.deepEqual(imageData.data, original);
+});
+
+test('curves pass through their points without overshooting', () => {
+    const table = buildCurveTable([[0, 0], [64, 32], [192, 224], [255, 255]]);
+    assert.equal(table[0], 0);
+    assert.equal(table[64], 32);
+    assert.equal(table[192], 224);
+    assert.equal(table[255], 255);
+    for (let x = 1; x < 256; x++) assert.ok(table[x] >= table[x - 1], `monotone at ${x}`);
+});
+
+test('zero saturation turns colors gray', () => {
+    const matrix = getColorMatrix(0, 0);
+    const [r, g, b] = [0, 1, 2].map(row => matrix[row * 3] * 200 + matrix[row * 3 + 1] * 50 + matrix[row * 3 + 2] * 10);
+    assert.ok(Math.abs(r - g) < 1e-9 && Math.abs(g - b) < 1e-9);
+});
+
+test('a warm, contrasty grade matches its golden image', () => {
+    const grade = {
+        ...createDefaultGrade(),
+        temperature: 40,
+        gamma: 120,
+        saturation: 140,
+        hue: 20,
+        curves: { r: [[0, 0], [128, 150], [255, 255]], g: [[0, 0], [255, 255]], b: [[0, 20], [255, 235]] }
+    };
+    const imageData = createTestImage();
+    applyGrade(imageData.data, prepareGrade(110, 120, grade), null);
+    assertMatchesGolden(imageData, 'grade');
+});
+
+test('an identity LUT leaves colors unchanged', () => {
+    const lut = parseCubeLUT(createIdentityCube('TITLE "Identity"\n# comment\n'));
+    assert.equal(lut.title, 'Identity');
+    assert.equal(lut.size, 2);
+
+    const out = [0, 0, 0];
+    sampleLUT(lut, 10, 128, 250, out);
+    out.forEach((value, c) => assert.ok(Math.abs(value - [10, 128, 250][c]) < 1e-3));
+});
+
+test('malformed .cube files report the offending line', () => {
+    assert.throws(() => parseCubeLUT('LUT_3D_SIZE 1\n'), /Line 1: LUT_3D_SIZE must be between 2/);
+    assert.throws(() => parseCubeLUT('0 0 0\n'), /Line 1: LUT_3D_SIZE must come before the table/);
+    assert.throws(() => parseCubeLUT('LUT_3D_SIZE 2\n0 0\n'), /Line 2: expected three numbers/);
+    assert.throws(() => parseCubeLUT('LUT_1D_SIZE 16\n'), /1D LUTs are not supported/);
+    assert.throws(() => parseCubeLUT('LUT_3D_SIZE 2\n0 0 0\n'), /Expected 8 entries, found 1/);
+    assert.throws(() => parseCubeLUT('TITLE "Empty"\n'), /Missing LUT_3D_SIZE/);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_ACCENT_COLOR, hexToRgb, rgbToHex, getLuminance, hueToRgb, invertColor, getSwatchContrast
+} from '../color-utils.js';
+
+test('hex colors round-trip', () => {
+    assert.deepEqual(hexToRgb('#007aff'), { r: 0, g: 122, b: 255 });
+    assert.deepEqual(hexToRgb('FF8000'), { r: 255, g: 128, b: 0 });
+    assert.equal(rgbToHex({ r: 0, g: 122, b: 255 }), '#007aff');
+    assert.equal(rgbToHex(hexToRgb('#a1b2c3')), '#a1b2c3');
+});
+
+test('malformed hex falls back to the default accent', () => {
+    assert.deepEqual(hexToRgb('#abc'), DEFAULT_ACCENT_COLOR);
+    assert.deepEqual(hexToRgb('not a color'), DEFAULT_ACCENT_COLOR);
+    assert.notEqual(hexToRgb(''), DEFAULT_ACCENT_COLOR);
+});
+
+test('hues map onto fully saturated colors', () => {
+    assert.deepEqual(hueToRgb(0), { r: 255, g: 0, b: 0 });
+    assert.deepEqual(hueToRgb(60), { r: 255, g: 255, b: 0 });
+    assert.deepEqual(hueToRgb(120), { r: 0, g: 255, b: 0 });
+    assert.deepEqual(hueToRgb(180), { r: 0, g: 255, b: 255 });
+    assert.deepEqual(hueToRgb(240), { r: 0, g: 0, b: 255 });
+    assert.deepEqual(hueToRgb(300), { r: 255, g: 0, b: 255 });
+    assert.deepEqual(hueToRgb(210), { r: 0, g: 128, b: 255 });
+});
+
+test('inverting twice gives the original color', () => {
+    const color = { r: 12, g: 200, b: 99 };
+    assert.deepEqual(invertColor(color), { r: 243, g: 55, b: 156 });
+    assert.deepEqual(invertColor(invertColor(color)), color);
+});
+
+test('swatch text is dark on light colors and light on dark ones', () => {
+    assert.equal(getLuminance(255, 255, 255), 1);
+    assert.equal(getLuminance(0, 0, 0), 0);
+    assert.equal(getSwatchContrast({ r: 255, g: 255, b: 0 }).text, 'rgba(0,0,0,0.8)');
+    assert.equal(getSwatchContrast(DEFAULT_ACCENT_COLOR).text, 'rgba(255,255,255,0.95)');
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestImage, copyImageData, assertMatchesGolden, assertMatchesGoldenText } from './helpers.js';
+import {
+    getEffect, getEffects, getDefaultParams, getSobelMagnitude, getAsciiCharIndex,
+    getAsciiGlyphs, sampleAsciiCells, renderAsciiText, ASCII_CHARSETS
+} from '../effects.js';
+
+const ACCENT = { r: 0, g: 122, b: 255 };
+
+function createFrame(imageData, intensity = 75) {
+    return { width: imageData.width, height: imageData.height, intensity, accentColor: ACCENT };
+}
+
+function runImageEffect(name, params) {
+    const effect = getEffect(name);
+    const imageData = createTestImage();
+    const result = effect.apply(imageData, { ...getDefaultParams(effect), ...params }, createFrame(imageData));
+    return result || imageData;
+}
+
+// Every built-in effect that works on ImageData; ASCII draws text instead and
+// temporal effects need a frame history (see temporal-effects.test.js)
+const IMAGE_EFFECTS = getEffects()
+    .filter(effect => effect.apply && effect.input !== 'context' && !effect.history)
+    .map(effect => effect.name);
+
+test('built-in ImageData effects are all covered', () => {
+    assert.deepEqual(IMAGE_EFFECTS, ['edge', 'pixelate', 'blur', 'halftone', 'dither', 'posterize', 'thermal']);
+});
+
+for (const name of IMAGE_EFFECTS) {
+    test(`${name} matches its golden image`, () => {
+        assertMatchesGolden(runImageEffect(name), name);
+    });
+}
+
+test('effects leave their input size alone and are deterministic', () => {
+    for (const name of IMAGE_EFFECTS) {
+        const first = runImageEffect(name);
+        const second = runImageEffect(name);
+        assert.equal(first.width, 48, name);
+        assert.equal(first.height, 36, name);
+        assert.deepEqual(first.data, second.data, name);
+    }
+});
+
+test('zero intensity leaves the source unchanged', () => {
+    for (const name of IMAGE_EFFECTS) {
+        const effect = getEffect(name);
+        const source = createTestImage();
+        const imageData = copyImageData(source);
+        const result = effect.apply(imageData, getDefaultParams(effect), createFrame(imageData, 0)) || imageData;
+        // Edge leaves its one-pixel border black
+        for (let y = 1; y < source.height - 1; y++) {
+            for (let x = 1; x < source.width - 1; x++) {
+                const i = (y * source.width + x) * 4;
+                assert.deepEqual([...result.data.subarray(i, i + 3)], [...source.data.subarray(i, i + 3)], `${name} at ${x},${y}`);
+            }
+        }
+    }
+});
+
+test('Sobel magnitude responds to a vertical edge only across it', () => {
+    const width = 5;
+    const data = new Uint8ClampedArray(width * 5 * 4);
+    for (let y = 0; y < 5; y++) {
+        for (let x = 3; x < width; x++) data.fill(255, (y * width + x) * 4, (y * width + x) * 4 + 4);
+    }
+
+    assert.equal(getSobelMagnitude(data, width, 1, 2), 0);
+    // Full kernel weight (1 + 2 + 1) times the 255 step
+    assert.equal(getSobelMagnitude(data, width, 2, 2), 1020);
+    assert.equal(getSobelMagnitude(data, width, 3, 2), 1020);
+});
+
+test('Sobel magnitude is zero on flat color', () => {
+    const data = new Uint8ClampedArray(3 * 3 * 4).fill(128);
+    assert.equal(getSobelMagnitude(data, 3, 1, 1), 0);
+});
+
+test('ASCII brightness maps onto the glyph ramp', () => {
+    const glyphs = Array.from(ASCII_CHARSETS.standard);
+    assert.equal(getAsciiCharIndex(0, glyphs.length), 0);
+    assert.equal(getAsciiCharIndex(1, glyphs.length), glyphs.length - 1);
+    assert.equal(getAsciiCharIndex(0.5, glyphs.length), 4);
+    assert.equal(getAsciiCharIndex(0.999, glyphs.length), 8);
+});
+
+test('ASCII glyph ramps fall back to standard and can be inverted', () => {
+    const params = getDefaultParams(getEffect('ascii'));
+    assert.deepEqual(getAsciiGlyphs({ ...params, charset: 'custom', customChars: 'x' }), Array.from(ASCII_CHARSETS.standard));
+    assert.deepEqual(getAsciiGlyphs({ ...params, charset: 'block', invert: true }), ['█', '▓', '▒', '░', ' ']);
+    // Multi-byte glyphs stay whole
+    assert.equal(getAsciiGlyphs({ ...params, charset: 'braille' }).length, 9);
+});
+
+test('ASCII cells average their pixels', () => {
+    const data = new Uint8ClampedArray(4 * 2 * 4);
+    data.fill(255, 0, 8);
+    data.fill(255, 16, 24);
+    const cells = sampleAsciiCells(data, 4, 2, 2, 1);
+    assert.equal(cells.cols, 2);
+    assert.equal(cells.rows, 1);
+    assert.equal(cells.brightness[0], 1);
+    assert.equal(cells.brightness[1], 0);
+});
+
+test('ASCII text export matches its golden file', () => {
+    const effect = getEffect('ascii');
+    const imageData = createTestImage();
+    const params = { ...getDefaultParams(effect), fontSize: 4 };
+    assertMatchesGoldenText(renderAsciiText(imageData, params, createFrame(imageData), false), 'ascii');
+    assertMatchesGoldenText(renderAsciiText(imageData, { ...params, colorMode: 'source' }, createFrame(imageData), true), 'ascii-ansi');
+});
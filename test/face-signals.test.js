@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { listLandmarkFixtures, loadLandmarks } from './helpers.js';
+import {
+    FACE_SIGNALS, extractFaceSignals, createMapping, evaluateMapping, createMappingRunner, getFaceBounds, matchFaceTracks
+} from '../face-signals.js';
+
+// The synthetic face is level and centered, so its signals are exact
+const [face] = loadLandmarks('blink-sequence').frames[0].faces;
+const fixtures = listLandmarkFixtures().map(loadLandmarks);
+
+function near(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} is not ${expected}`);
+}
+
+test('a level, centered face has no tilt or turn', () => {
+    const signals = extractFaceSignals(face);
+    near(signals.tilt, 0, 'tilt');
+    near(signals.yaw, 0, 'yaw');
+    near(signals.pitch, 0.1 / 0.36, 'pitch');
+    near(signals.faceDistance, 0.36, 'faceDistance');
+    near(signals.noseX, 0.5, 'noseX');
+});
+
+test('rolling the head shows up as tilt', () => {
+    const angle = 10 * Math.PI / 180;
+    const rolled = face.map(({ x, y, z }) => ({
+        x: 0.5 + (x - 0.5) * Math.cos(angle) - (y - 0.5) * Math.sin(angle),
+        y: 0.5 + (x - 0.5) * Math.sin(angle) + (y - 0.5) * Math.cos(angle),
+        z
+    }));
+    near(extractFaceSignals(rolled).tilt, 10, 'tilt');
+});
+
+test('mappings clamp, shape and scale the signal', () => {
+    const mapping = createMapping('tilt', 'hue');
+    assert.equal(evaluateMapping(mapping, -100), 0);
+    assert.equal(evaluateMapping(mapping, 0), 180);
+    assert.equal(evaluateMapping(mapping, 100), 360);
+    assert.equal(evaluateMapping({ ...mapping, curve: 'ease-in' }, 0), 90);
+    assert.equal(evaluateMapping({ ...mapping, outMin: 360, outMax: 0 }, 60), 0);
+});
+
+test('the mapping runner smooths between frames', () => {
+    const mapping = { ...createMapping('noseX', 'intensity'), inMin: 0, inMax: 1, smoothing: 0.5 };
+    const runner = createMappingRunner();
+    assert.equal(runner.run([mapping], { noseX: 0 })[0].value, 0);
+    assert.equal(runner.run([mapping], { noseX: 1 })[0].value, 50);
+    assert.equal(runner.run([mapping], { noseX: 1 })[0].value, 75);
+    assert.deepEqual(runner.run([mapping], {}), []);
+});
+
+test('face bounds are padded around the landmarks', () => {
+    const bounds = getFaceBounds(face, 0);
+    near(bounds.x, 0.32, 'x');
+    near(bounds.width, 0.36, 'width');
+    const padded = getFaceBounds(face);
+    near(padded.width, 0.36 * 1.3, 'padded width');
+});
+
+test('faces keep their tracks as they move', () => {
+    const a = { x: 0.1, y: 0.1, width: 0.2, height: 0.2 };
+    const b = { x: 0.6, y: 0.5, width: 0.2, height: 0.2 };
+    const moved = box => ({ ...box, x: box.x + 0.05 });
+    assert.deepEqual(matchFaceTracks([a, b], [moved(b), moved(a)]), [1, 0]);
+    assert.deepEqual(matchFaceTracks([a], [b]), [-1]);
+});
+
+test('every fixture face gives signals in their usual ranges', () => {
+    fixtures.forEach(fixture => fixture.frames.forEach(frame => frame.faces.forEach(points => {
+        const signals = extractFaceSignals(points);
+        FACE_SIGNALS.forEach(signal => {
+            const value = signals[signal.id];
+            // Generous margins: the defaults cover a comfortable range of motion
+            const margin = signal.max - signal.min;
+            assert.ok(value >= signal.min - margin && value <= signal.max + margin, `${signal.id} at ${frame.time} ms: ${value}`);
+        });
+    })));
+});
@@ -0,0 +1,167 @@
+// Test helpers
+// The modules under test only need ImageData from the browser, so a minimal
+// stand-in is installed globally and everything else runs as-is in Node.
+//
+// Golden images live in fixtures/golden as binary PPM (P6), which any image
+// viewer opens; only RGB is compared. Run `UPDATE_GOLDEN=1 npm test` to
+// rewrite them after an intentional change to an effect, then look at the
+// diff before committing.
+//
+// Landmark fixtures live in fixtures/landmarks in the format the app's
+// "Start/Stop Recording Landmarks" command downloads:
+// { version, source, frames: [{ time, faces: [[[x, y, z], ...]] }] }
+// To add a camera recording, record open eyes, a blink and a wink with each
+// eye, save the download there and add the gestures it should fire, in
+// order, as "gestures" (plus "blinkSettings" when the default baseline
+// doesn't suit the face). Every fixture with gestures is replayed, and
+// recorded ones are preferred over the synthetic blink-sequence.json.
+
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync, readdirSync, writeFileSync } from 'node:fs';
+
+const FIXTURES = new URL('./fixtures/', import.meta.url);
+
+// Largest per-channel difference allowed against a golden image
+const GOLDEN_TOLERANCE = 1;
+
+class TestImageData {
+    constructor(dataOrWidth, width, height) {
+        if (typeof dataOrWidth === 'number') {
+            this.width = dataOrWidth;
+            this.height = width;
+            this.data = new Uint8ClampedArray(dataOrWidth * width * 4);
+        } else {
+            this.data = dataOrWidth;
+            this.width = width;
+            this.height = height ?? dataOrWidth.length / 4 / width;
+        }
+    }
+}
+
+if (typeof globalThis.ImageData === 'undefined') {
+    globalThis.ImageData = TestImageData;
+}
+
+// Deterministic test card: color gradients, a bright square with hard edges
+// and a dark diagonal, so every effect has something to work on
+export function createTestImage(width = 48, height = 36) {
+    const imageData = new ImageData(width, height);
+    const { data } = imageData;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            data[i] = Math.round(x / (width - 1) * 255);
+            data[i + 1] = Math.round(y / (height - 1) * 255);
+            data[i + 2] = Math.round((1 - x / (width - 1)) * 160 + 40);
+            data[i + 3] = 255;
+
+            if (x >= width / 4 && x < width / 2 && y >= height / 4 && y < height * 3 / 4) {
+                data[i] = data[i + 1] = data[i + 2] = 235;
+            }
+            if (Math.abs(x - y) < 2) {
+                data[i] = data[i + 1] = data[i + 2] = 20;
+            }
+        }
+    }
+    return imageData;
+}
+
+export function copyImageData(imageData) {
+    return new ImageData(new Uint8ClampedArray(imageData.data), imageData.width, imageData.height);
+}
+
+export function encodePPM(imageData) {
+    const { data, width, height } = imageData;
+    const header = Buffer.from(`P6\n${width} ${height}\n255\n`, 'ascii');
+    const pixels = Buffer.alloc(width * height * 3);
+    for (let i = 0, p = 0; p < pixels.length; i += 4, p += 3) {
+        pixels[p] = data[i];
+        pixels[p + 1] = data[i + 1];
+        pixels[p + 2] = data[i + 2];
+    }
+    return Buffer.concat([header, pixels]);
+}
+
+// Reads the binary PPMs written by encodePPM; comments are not supported
+export function decodePPM(buffer) {
+    const header = /^P6\s+(\d+)\s+(\d+)\s+255\s/.exec(buffer.toString('latin1', 0, 32));
+    if (!header) throw new Error('Not a binary PPM with 8-bit channels');
+
+    const width = Number(header[1]);
+    const height = Number(header[2]);
+    const imageData = new ImageData(width, height);
+    const pixels = buffer.subarray(header[0].length);
+    for (let i = 0, p = 0; p < width * height * 3; i += 4, p += 3) {
+        imageData.data[i] = pixels[p];
+        imageData.data[i + 1] = pixels[p + 1];
+        imageData.data[i + 2] = pixels[p + 2];
+        imageData.data[i + 3] = 255;
+    }
+    return imageData;
+}
+
+function isUpdating() {
+    return process.env.UPDATE_GOLDEN === '1';
+}
+
+// Compares against fixtures/golden/<name>.ppm, or writes it when updating
+export function assertMatchesGolden(imageData, name) {
+    const url = new URL(`golden/${name}.ppm`, FIXTURES);
+    if (isUpdating() || !existsSync(url)) {
+        assert.ok(isUpdating(), `Missing golden image ${name}.ppm, run with UPDATE_GOLDEN=1 to create it`);
+        writeFileSync(url, encodePPM(imageData));
+        return;
+    }
+
+    const golden = decodePPM(readFileSync(url));
+    assert.equal(imageData.width, golden.width, `${name}: width`);
+    assert.equal(imageData.height, golden.height, `${name}: height`);
+
+    let mismatches = 0;
+    let first = -1;
+    for (let i = 0; i < golden.data.length; i++) {
+        if (i % 4 === 3) continue;
+        if (Math.abs(imageData.data[i] - golden.data[i]) > GOLDEN_TOLERANCE) {
+            mismatches++;
+            if (first === -1) first = i;
+        }
+    }
+    if (mismatches > 0) {
+        const pixel = first >> 2;
+        assert.fail(`${name}: ${mismatches} channels differ from the golden image, ` +
+            `first at (${pixel % golden.width}, ${Math.floor(pixel / golden.width)})`);
+    }
+}
+
+// Same as assertMatchesGolden for text output, in fixtures/golden/<name>.txt
+export function assertMatchesGoldenText(text, name) {
+    const url = new URL(`golden/${name}.txt`, FIXTURES);
+    if (isUpdating() || !existsSync(url)) {
+        assert.ok(isUpdating(), `Missing golden text ${name}.txt, run with UPDATE_GOLDEN=1 to create it`);
+        writeFileSync(url, text);
+        return;
+    }
+    assert.equal(text, readFileSync(url, 'utf8'), `${name}: text differs from the golden file`);
+}
+
+// Names of every landmark fixture, camera recordings first
+export function listLandmarkFixtures() {
+    return readdirSync(new URL('landmarks/', FIXTURES))
+        .filter(file => file.endsWith('.json'))
+        .map(file => file.slice(0, -'.json'.length))
+        .map(name => ({ name, recorded: loadLandmarks(name).source === 'recorded' }))
+        .sort((a, b) => b.recorded - a.recorded || a.name.localeCompare(b.name))
+        .map(fixture => fixture.name);
+}
+
+// Landmark fixture with every point as { x, y, z }, like Face Mesh results
+export function loadLandmarks(name) {
+    const fixture = JSON.parse(readFileSync(new URL(`landmarks/${name}.json`, FIXTURES), 'utf8'));
+    return {
+        ...fixture,
+        frames: fixture.frames.map(frame => ({
+            time: frame.time,
+            faces: frame.faces.map(points => points.map(([x, y, z]) => ({ x, y, z })))
+        }))
+    };
+}
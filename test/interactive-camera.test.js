@@ -0,0 +1,196 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+
+// Just enough browser for the camera: canvases whose 2D contexts draw
+// nothing, a video that is always ready, a camera that hands out streams and
+// a Face Mesh whose script "loads" as soon as it is added to the page
+
+function create2DContext() {
+    const ctx = {
+        getImageData: (x, y, width, height) => new ImageData(width, height),
+        createImageData: (width, height) => new ImageData(width, height)
+    };
+    return new Proxy(ctx, {
+        get: (target, key) => (key in target ? target[key] : () => {}),
+        set: () => true
+    });
+}
+
+class FakeCanvas {
+    constructor(width = 300, height = 150) {
+        this.width = width;
+        this.height = height;
+        this.removed = false;
+    }
+
+    getContext(type) { return type === '2d' ? create2DContext() : null; }
+    addEventListener() {}
+    remove() { this.removed = true; }
+}
+
+class FakeFaceMesh {
+    constructor() {
+        this.closed = false;
+        FakeFaceMesh.instances.push(this);
+    }
+
+    setOptions() {}
+    onResults(callback) { this.callback = callback; }
+    async initialize() {}
+
+    async send() {
+        if (FakeFaceMesh.failing) throw new Error('graph crashed');
+        this.callback({ multiFaceLandmarks: [] });
+    }
+
+    close() { this.closed = true; }
+}
+
+class FakeContainer extends EventTarget {
+    appendChild(child) { this.child = child; }
+}
+
+const camera = { requests: 0, streams: [] };
+let frameCallbacks = [];
+
+globalThis.HTMLElement = class {};
+globalThis.OffscreenCanvas = FakeCanvas;
+globalThis.FaceMesh = FakeFaceMesh;
+globalThis.document = {
+    createElement: tag => (tag === 'canvas' ? new FakeCanvas() : {
+        readyState: 4,
+        videoWidth: 64,
+        videoHeight: 48,
+        play: async () => {}
+    }),
+    querySelector: () => null,
+    head: { appendChild: script => setTimeout(script.onload, 0) }
+};
+Object.defineProperty(globalThis, 'navigator', {
+    configurable: true,
+    value: {
+        mediaDevices: {
+            async getUserMedia() {
+                camera.requests++;
+                await settle();
+                const track = { stopped: false, stop() { this.stopped = true; } };
+                const stream = { track, getTracks: () => [track] };
+                camera.streams.push(stream);
+                return stream;
+            }
+        }
+    }
+});
+globalThis.requestAnimationFrame = callback => frameCallbacks.push(callback);
+globalThis.cancelAnimationFrame = () => { frameCallbacks = []; };
+
+// Imported once the fakes are in place: the module defines its element class on load
+const { createInteractiveCamera } = await import('../interactive-camera.js');
+
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 5));
+}
+
+function runFrame() {
+    const callbacks = frameCallbacks;
+    frameCallbacks = [];
+    callbacks.forEach(callback => callback(performance.now()));
+}
+
+beforeEach(() => {
+    camera.requests = 0;
+    camera.streams = [];
+    frameCallbacks = [];
+    FakeFaceMesh.instances = [];
+    FakeFaceMesh.failing = false;
+});
+
+test('params are clamped to their range and unknown ones ignored', () => {
+    const instance = createInteractiveCamera(new FakeContainer(), { effect: 'edge', params: { threshold: -5 } });
+    assert.equal(instance.params.threshold, 0);
+
+    instance.setParams({ threshold: 999, bogus: 1 });
+    assert.deepEqual(instance.params, { threshold: 255 });
+    assert.throws(() => instance.setEffect('nope'), /Unknown effect/);
+    assert.equal(instance.effect, 'edge');
+});
+
+test('overlapping start() calls share one camera request', async () => {
+    const instance = createInteractiveCamera(new FakeContainer());
+    await Promise.all([instance.start(), instance.start()]);
+    await instance.start();
+    assert.equal(camera.requests, 1);
+    assert.equal(instance.running, true);
+});
+
+test('a stop() during the camera request drops its stream', async () => {
+    const instance = createInteractiveCamera(new FakeContainer());
+    const starting = instance.start();
+    instance.stop();
+    await starting;
+    assert.equal(instance.running, false);
+    assert.equal(camera.streams[0].track.stopped, true);
+});
+
+test('face tracking can be turned off and on again', async () => {
+    const instance = createInteractiveCamera(new FakeContainer(), { faceTracking: true });
+    await instance.start();
+    await settle();
+    assert.equal(FakeFaceMesh.instances.length, 1);
+
+    instance.configure({ faceTracking: false });
+    assert.equal(FakeFaceMesh.instances[0].closed, true);
+
+    instance.configure({ faceTracking: true });
+    await settle();
+    assert.equal(FakeFaceMesh.instances.length, 2);
+    assert.equal(FakeFaceMesh.instances[1].closed, false);
+});
+
+test('a detector that loads after tracking was turned off is closed', async () => {
+    const instance = createInteractiveCamera(new FakeContainer(), { faceTracking: true });
+    await instance.start();
+    instance.configure({ faceTracking: false });
+    await settle();
+    assert.equal(FakeFaceMesh.instances.length, 1);
+    assert.equal(FakeFaceMesh.instances[0].closed, true);
+});
+
+test('a failed detection emits an error and tracking can recover', async () => {
+    const container = new FakeContainer();
+    const errors = [];
+    container.addEventListener('error', e => errors.push(e.detail.error.message));
+    const instance = createInteractiveCamera(container, { faceTracking: true });
+    await instance.start();
+    await settle();
+
+    FakeFaceMesh.failing = true;
+    mock.method(console, 'error', () => {});
+    runFrame();
+    await settle();
+    mock.restoreAll();
+    assert.deepEqual(errors, ['graph crashed']);
+    assert.equal(FakeFaceMesh.instances[0].closed, true);
+
+    FakeFaceMesh.failing = false;
+    instance.configure({ faceTracking: true });
+    await settle();
+    assert.equal(FakeFaceMesh.instances.length, 2);
+});
+
+test('stop() releases the camera and destroy() frees the canvas and detector', async () => {
+    const container = new FakeContainer();
+    const instance = createInteractiveCamera(container, { faceTracking: true });
+    await instance.start();
+    await settle();
+
+    instance.stop();
+    assert.equal(instance.running, false);
+    assert.equal(camera.streams[0].track.stopped, true);
+    assert.equal(FakeFaceMesh.instances[0].closed, false);
+
+    instance.destroy();
+    assert.equal(container.child.removed, true);
+    assert.equal(FakeFaceMesh.instances[0].closed, true);
+});
@@ -0,0 +1,153 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseMidiMessage, getMidiNoteName, describeMidiBinding, createMidiMapper, openMidiInputs
+} from '../midi-control.js';
+
+const cc = (number, value, channel = 1) => [0xb0 + channel - 1, number, value];
+const noteOn = (number, velocity = 100, channel = 1) => [0x90 + channel - 1, number, velocity];
+const noteOff = (number, channel = 1) => [0x80 + channel - 1, number, 64];
+
+function createRecorder(bindings) {
+    const actions = [];
+    const learned = [];
+    const mapper = createMidiMapper({
+        bindings,
+        onAction: (binding, value, pressed) => actions.push([binding.target, Math.round(value * 100) / 100, pressed]),
+        onLearn: binding => learned.push(binding)
+    });
+    return { mapper, actions, learned };
+}
+
+// Node has no Web MIDI; each test may install its own navigator
+function setNavigator(value) {
+    Object.defineProperty(globalThis, 'navigator', { value, configurable: true, writable: true });
+}
+
+afterEach(() => setNavigator(undefined));
+
+test('control changes and notes parse with 1-based channels', () => {
+    assert.deepEqual(parseMidiMessage(cc(7, 100)), { type: 'cc', channel: 1, number: 7, value: 100 });
+    assert.deepEqual(parseMidiMessage(noteOn(36, 90, 10)), { type: 'note', channel: 10, number: 36, value: 90 });
+    // Note off and note on with no velocity are both releases
+    assert.deepEqual(parseMidiMessage(noteOff(36, 10)), { type: 'note', channel: 10, number: 36, value: 0 });
+    assert.equal(parseMidiMessage(noteOn(36, 0)).value, 0);
+    // Pitch bend, clock
+    assert.equal(parseMidiMessage([0xe0, 0, 64]), null);
+    assert.equal(parseMidiMessage([0xf8]), null);
+});
+
+test('bindings describe their control', () => {
+    assert.equal(getMidiNoteName(60), 'C4');
+    assert.equal(getMidiNoteName(37), 'C#2');
+    assert.equal(describeMidiBinding({ type: 'cc', channel: 1, number: 7 }), 'CC 7 · Ch 1');
+    assert.equal(describeMidiBinding({ type: 'note', channel: 10, number: 36 }), 'Note C2 · Ch 10');
+});
+
+test('learning binds the next control that moves', () => {
+    const { mapper, actions, learned } = createRecorder();
+    mapper.learn('intensity', ['cc']);
+    assert.equal(mapper.learning, 'intensity');
+
+    // A slider waits for a knob; the pad is ignored
+    mapper.handle(noteOn(36));
+    assert.equal(mapper.learning, 'intensity');
+    mapper.handle(cc(21, 10));
+    assert.equal(mapper.learning, null);
+    assert.deepEqual(learned, [{ target: 'intensity', type: 'cc', channel: 1, number: 21 }]);
+    assert.deepEqual(actions, []);
+
+    mapper.handle(cc(21, 127));
+    mapper.handle(cc(22, 127));
+    assert.deepEqual(actions, [['intensity', 1, true]]);
+});
+
+test('relearning replaces the old binding on either side', () => {
+    const { mapper } = createRecorder();
+    mapper.learn('intensity');
+    mapper.handle(cc(21, 0));
+    mapper.learn('intensity');
+    mapper.handle(cc(22, 0));
+    assert.deepEqual(mapper.bindings.map(b => [b.target, b.number]), [['intensity', 22]]);
+
+    mapper.learn('contrast');
+    mapper.handle(cc(22, 0));
+    assert.deepEqual(mapper.bindings.map(b => [b.target, b.number]), [['contrast', 22]]);
+});
+
+test('a release never starts a binding', () => {
+    const { mapper } = createRecorder();
+    mapper.learn('capture');
+    mapper.handle(noteOff(36));
+    assert.equal(mapper.learning, 'capture');
+    mapper.handle(noteOn(36));
+    assert.deepEqual(mapper.bindings, [{ target: 'capture', type: 'note', channel: 1, number: 36 }]);
+});
+
+test('presses fire once per note and once per upward crossing of a control', () => {
+    const { mapper, actions } = createRecorder([
+        { target: 'capture', type: 'note', channel: 10, number: 36 },
+        { target: 'record', type: 'cc', channel: 1, number: 64 }
+    ]);
+    mapper.handle(noteOn(36, 127, 10));
+    mapper.handle(noteOff(36, 10));
+    // Same note on another channel is another control
+    mapper.handle(noteOn(36, 127, 1));
+    assert.deepEqual(actions, [['capture', 1, true], ['capture', 0, false]]);
+
+    actions.length = 0;
+    [0, 80, 127, 30, 100].forEach(value => mapper.handle(cc(64, value)));
+    assert.deepEqual(actions.map(action => action[2]), [false, true, false, false, true]);
+});
+
+test('saved bindings are copied and invalid ones dropped', () => {
+    const saved = [
+        { target: 'brightness', type: 'cc', channel: 2, number: 1 },
+        { target: 'contrast', type: 'pitch', channel: 1, number: 1 },
+        null,
+        { type: 'cc', channel: 1, number: 2 }
+    ];
+    const { mapper, actions } = createRecorder(saved);
+    assert.deepEqual(mapper.bindings, [saved[0]]);
+
+    mapper.handle(cc(1, 64, 2));
+    assert.deepEqual(actions, [['brightness', 0.5, true]]);
+
+    mapper.unbind('brightness');
+    assert.deepEqual(mapper.bindings, []);
+    assert.equal(saved.length, 4);
+
+    // Corrupted storage
+    ['nope', { target: 'brightness' }, 3].forEach(bindings => {
+        assert.deepEqual(createRecorder(bindings).mapper.bindings, []);
+    });
+});
+
+test('MIDI inputs are all heard until closed', async () => {
+    const inputs = new Map([['a', { name: 'Pads' }], ['b', { name: 'Faders' }]]);
+    const access = { inputs };
+    setNavigator({ requestMIDIAccess: async () => access });
+
+    const received = [];
+    const deviceLists = [];
+    const connection = await openMidiInputs({
+        onMessage: data => received.push(data),
+        onInputsChange: names => deviceLists.push(names)
+    });
+    inputs.get('b').onmidimessage({ data: cc(1, 2) });
+    assert.deepEqual(received, [cc(1, 2)]);
+
+    // A controller plugged in later
+    inputs.set('c', { name: 'Keys' });
+    access.onstatechange();
+    assert.deepEqual(deviceLists, [['Pads', 'Faders'], ['Pads', 'Faders', 'Keys']]);
+
+    connection.close();
+    assert.equal(inputs.get('c').onmidimessage, null);
+    assert.equal(access.onstatechange, null);
+});
+
+test('opening MIDI rejects without Web MIDI', async () => {
+    setNavigator({});
+    await assert.rejects(openMidiInputs({ onMessage() {} }), /not supported/);
+});
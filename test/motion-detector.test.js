@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+import { createMotionDetector } from '../motion-detector.js';
+
+// Gray frame with an optional white square
+function createFrame(square) {
+    const width = 40, height = 30;
+    const imageData = new ImageData(width, height);
+    imageData.data.fill(64);
+    if (square) {
+        for (let y = square.y; y < square.y + square.size; y++) {
+            imageData.data.fill(255, (y * width + square.x) * 4, (y * width + square.x + square.size) * 4);
+        }
+    }
+    return imageData;
+}
+
+const SQUARE = { x: 10, y: 5, size: 10 };
+
+test('the first frame and a still scene show no motion', () => {
+    const detector = createMotionDetector();
+    assert.equal(detector.update(createFrame(), 0).amount, 0);
+    const result = detector.update(createFrame(), 100);
+    assert.equal(result.amount, 0);
+    assert.equal(result.bounds, null);
+});
+
+test('a new object is found with its bounds and center', () => {
+    const detector = createMotionDetector();
+    detector.update(createFrame(), 0);
+    const result = detector.update(createFrame(SQUARE), 100);
+
+    assert.equal(result.amount, 100 / 1200);
+    assert.deepEqual(result.bounds, { x: 0.25, y: 5 / 30, width: 0.25, height: 10 / 30 });
+    assert.deepEqual(result.center, { x: 15 / 40, y: 10 / 30 });
+});
+
+test('the region of interest limits where motion counts', () => {
+    const detector = createMotionDetector({ region: { x: 0.5, y: 0, width: 0.5, height: 1 } });
+    detector.update(createFrame(), 0);
+    assert.equal(detector.update(createFrame(SQUARE), 100).amount, 0);
+});
+
+test('triggers fire on the rising edge, at most once per cooldown', () => {
+    const triggers = [];
+    const detector = createMotionDetector({ threshold: 0.05, cooldownMs: 1000, onTrigger: result => triggers.push(result) });
+    const frames = [createFrame(), createFrame(SQUARE), createFrame(), createFrame(SQUARE), createFrame()];
+
+    detector.update(frames[0], 0);
+    assert.equal(detector.update(frames[1], 100).triggered, true);
+    // Moving away is still motion, so still active and not a new trigger
+    assert.equal(detector.update(frames[2], 200).triggered, false);
+    detector.update(createFrame(), 300);
+    // Inside the cooldown
+    assert.equal(detector.update(frames[3], 400).triggered, false);
+    detector.update(frames[4], 500);
+    detector.update(createFrame(), 600);
+    assert.equal(detector.update(createFrame(SQUARE), 1200).triggered, true);
+    assert.equal(triggers.length, 2);
+});
+
+test('low sensitivity ignores small brightness changes', () => {
+    const detector = createMotionDetector({ sensitivity: 0 });
+    detector.update(createFrame(), 0);
+    const dimmer = createFrame();
+    dimmer.data.fill(100);
+    assert.equal(detector.update(dimmer, 100).amount, 0);
+});
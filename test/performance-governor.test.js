@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GOVERNOR_LEVELS, createPerformanceGovernor } from '../performance-governor.js';
+
+function run(governor, sample, seconds) {
+    for (let i = 0; i < seconds; i++) governor.update(sample);
+    return governor.index;
+}
+
+test('steps down after two slow seconds, then lets the stats settle', () => {
+    const changes = [];
+    const governor = createPerformanceGovernor({ targetFps: 30, onChange: (level, index) => changes.push(index) });
+    const slow = { fps: 20, renderMs: 45, faceMs: 10 };
+
+    assert.equal(run(governor, slow, 1), 0);
+    assert.equal(run(governor, slow, 1), 1);
+    // Two settle seconds, then two more slow ones
+    assert.equal(run(governor, slow, 3), 1);
+    assert.equal(run(governor, slow, 1), 2);
+    assert.deepEqual(changes, [1, 2]);
+});
+
+test('a frame or two under target is not a slowdown', () => {
+    const governor = createPerformanceGovernor({ targetFps: 30 });
+    assert.equal(run(governor, { fps: 28, renderMs: 30, faceMs: 0 }, 10), 0);
+});
+
+test('never steps past the lowest level', () => {
+    const governor = createPerformanceGovernor({ targetFps: 60 });
+    run(governor, { fps: 5, renderMs: 200, faceMs: 50 }, 100);
+    assert.equal(governor.index, GOVERNOR_LEVELS.length - 1);
+});
+
+test('steps back up only when the better level is predicted to fit', () => {
+    const governor = createPerformanceGovernor({ targetFps: 30 });
+    run(governor, { fps: 10, renderMs: 90, faceMs: 0 }, 6);
+    assert.equal(governor.index, 2);
+
+    // At 0.75 scale, 14 ms of rendering predicts about 25 ms at full scale,
+    // over 70% of the 33 ms budget
+    assert.equal(run(governor, { fps: 30, renderMs: 14, faceMs: 0 }, 10), 2);
+    // 5 ms predicts about 9 ms: room to spare
+    assert.equal(run(governor, { fps: 30, renderMs: 5, faceMs: 0 }, 3), 1);
+});
+
+test('reset returns to full quality', () => {
+    const governor = createPerformanceGovernor({ targetFps: 30 });
+    run(governor, { fps: 10, renderMs: 90, faceMs: 0 }, 4);
+    governor.reset();
+    assert.equal(governor.index, 0);
+    assert.deepEqual(governor.level, GOVERNOR_LEVELS[0]);
+});
@@ -0,0 +1,201 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseRemoteMessages, encodeOSCMessage, formatRemoteMessage, createRemoteClient
+} from '../remote-control.js';
+
+// Opens only when the test says so; sent data is kept for inspection
+class FakeWebSocket {
+    static OPEN = 1;
+
+    constructor(url) {
+        if (!/^wss?:/.test(url)) throw new SyntaxError(`Invalid URL: ${url}`);
+        this.url = url;
+        this.readyState = 0;
+        this.sent = [];
+        FakeWebSocket.sockets.push(this);
+    }
+
+    open() {
+        this.readyState = FakeWebSocket.OPEN;
+        this.onopen();
+    }
+
+    receive(data) { this.onmessage({ data }); }
+    send(data) { this.sent.push(data); }
+
+    close() {
+        this.readyState = 3;
+        if (this.onclose) this.onclose();
+    }
+}
+
+// A bundle holding the given packets, with an immediate time tag
+function createBundle(packets) {
+    const parts = [new Uint8Array(encodeOSCMessage('#bundle', [])).slice(0, 8), new Uint8Array(8)];
+    packets.forEach(packet => {
+        const size = new Uint8Array(4);
+        new DataView(size.buffer).setInt32(0, packet.byteLength);
+        parts.push(size, new Uint8Array(packet));
+    });
+    const bundle = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        bundle.set(part, offset);
+        offset += part.length;
+    });
+    return bundle.buffer;
+}
+
+beforeEach(() => {
+    FakeWebSocket.sockets = [];
+    globalThis.WebSocket = FakeWebSocket;
+});
+
+test('text messages parse numbers, booleans and quoted strings', () => {
+    assert.deepEqual(parseRemoteMessages('/intensity 80\n/color #ff0000\r\n\n/capture'), [
+        { address: '/intensity', args: [80] },
+        { address: '/color', args: ['#ff0000'] },
+        { address: '/capture', args: [] }
+    ]);
+    assert.deepEqual(parseRemoteMessages('/note "two words" true -1.5'), [
+        { address: '/note', args: ['two words', true, -1.5] }
+    ]);
+});
+
+test('JSON messages come alone or as an array', () => {
+    assert.deepEqual(parseRemoteMessages('{"address": "/effect", "args": ["ascii"]}'), [
+        { address: '/effect', args: ['ascii'] }
+    ]);
+    assert.deepEqual(parseRemoteMessages('[{"address": "/next"}, {"address": "/hue", "args": 120}]'), [
+        { address: '/next', args: [] },
+        { address: '/hue', args: [120] }
+    ]);
+});
+
+test('malformed messages throw', () => {
+    assert.throws(() => parseRemoteMessages('{"args": [1]}'), /address/);
+    assert.throws(() => parseRemoteMessages('{"address": '));
+    assert.throws(() => parseRemoteMessages('intensity 80'), /must start with \//);
+    assert.throws(() => parseRemoteMessages(new Uint8Array([47, 120]).buffer), /not terminated/);
+});
+
+test('OSC messages round trip with every argument type', () => {
+    const packet = encodeOSCMessage('/mix', [80, 0.5, 'edge', true, false, null]);
+    // Address and type tags are padded to four bytes
+    assert.equal(packet.byteLength % 4, 0);
+    const [message] = parseRemoteMessages(packet);
+    assert.equal(message.address, '/mix');
+    assert.deepEqual(message.args, [80, 0.5, 'edge', true, false, null]);
+});
+
+test('OSC bundles unpack into their messages in order', () => {
+    const bundle = createBundle([
+        encodeOSCMessage('/effect', ['thermal']),
+        createBundle([encodeOSCMessage('/intensity', [40])])
+    ]);
+    assert.deepEqual(parseRemoteMessages(bundle), [
+        { address: '/effect', args: ['thermal'] },
+        { address: '/intensity', args: [40] }
+    ]);
+});
+
+test('outgoing messages follow the chosen format', () => {
+    assert.equal(formatRemoteMessage('/face/tilt', [12.5], 'json'), '{"address":"/face/tilt","args":[12.5]}');
+    assert.equal(formatRemoteMessage('/face/blink', ['double-blink'], 'text'), '/face/blink double-blink');
+    assert.equal(formatRemoteMessage('/note', ['two words'], 'text'), '/note "two words"');
+    assert.deepEqual(parseRemoteMessages(formatRemoteMessage('/face/tilt', [-3], 'osc')), [
+        { address: '/face/tilt', args: [-3] }
+    ]);
+});
+
+test('the client delivers messages and only sends while connected', () => {
+    const statuses = [];
+    const messages = [];
+    const errors = [];
+    const client = createRemoteClient({
+        url: 'ws://localhost:8080',
+        format: 'text',
+        onMessage: message => messages.push(message),
+        onStatusChange: status => statuses.push(status),
+        onError: err => errors.push(err)
+    });
+    const socket = FakeWebSocket.sockets[0];
+    assert.equal(socket.binaryType, 'arraybuffer');
+    assert.equal(client.send('/face/tilt', 4), false);
+
+    socket.open();
+    socket.receive('/intensity 80\n/capture');
+    socket.receive('not a message');
+    assert.equal(client.send('/face/tilt', 4), true);
+    assert.deepEqual(socket.sent, ['/face/tilt 4']);
+    assert.deepEqual(messages, [{ address: '/intensity', args: [80] }, { address: '/capture', args: [] }]);
+    assert.equal(errors.length, 1);
+
+    client.close();
+    assert.deepEqual(statuses, ['connecting', 'connected', 'closed']);
+    assert.equal(FakeWebSocket.sockets.length, 1);
+});
+
+test('the client reconnects with growing delays until closed', () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    try {
+        const client = createRemoteClient({ url: 'ws://localhost:8080' });
+        FakeWebSocket.sockets[0].close();
+        assert.equal(client.status, 'reconnecting');
+
+        mock.timers.tick(1000);
+        assert.equal(FakeWebSocket.sockets.length, 2);
+        FakeWebSocket.sockets[1].close();
+        mock.timers.tick(1000);
+        assert.equal(FakeWebSocket.sockets.length, 2);
+        mock.timers.tick(1000);
+        assert.equal(FakeWebSocket.sockets.length, 3);
+
+        // A successful connection starts the backoff over
+        FakeWebSocket.sockets[2].open();
+        assert.equal(client.status, 'connected');
+        FakeWebSocket.sockets[2].close();
+        mock.timers.tick(1000);
+        assert.equal(FakeWebSocket.sockets.length, 4);
+
+        client.close();
+        mock.timers.tick(60000);
+        assert.equal(FakeWebSocket.sockets.length, 4);
+        assert.equal(client.status, 'closed');
+    } finally {
+        mock.timers.reset();
+    }
+});
+
+test('changing the url reconnects to the new server', () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    try {
+        const statuses = [];
+        const client = createRemoteClient({ url: 'ws://localhost:8080', onStatusChange: status => statuses.push(status) });
+        const [first] = FakeWebSocket.sockets;
+        first.open();
+
+        client.configure({ format: 'text' });
+        assert.equal(FakeWebSocket.sockets.length, 1);
+
+        client.configure({ url: 'ws://studio:9000' });
+        assert.equal(first.readyState, 3);
+        assert.deepEqual(FakeWebSocket.sockets.map(socket => socket.url), ['ws://localhost:8080', 'ws://studio:9000']);
+        FakeWebSocket.sockets[1].open();
+        assert.deepEqual(statuses, ['connecting', 'connected', 'reconnecting', 'connected']);
+
+        // The old socket's close scheduled nothing
+        mock.timers.tick(60000);
+        assert.equal(FakeWebSocket.sockets.length, 2);
+
+        assert.throws(() => client.configure({ url: 'studio:9000' }), SyntaxError);
+        assert.equal(client.status, 'closed');
+    } finally {
+        mock.timers.reset();
+    }
+});
+
+test('an invalid URL throws straight away', () => {
+    assert.throws(() => createRemoteClient({ url: 'localhost:8080' }), SyntaxError);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MAX_EFFECT_LAYERS, createDefaultSettings, createEffectLayer, normalizeSettings, encodeSettings, decodeSettings,
+    parsePresets, serializePresets
+} from '../settings.js';
+
+test('default settings survive normalizing', () => {
+    assert.deepEqual(normalizeSettings(createDefaultSettings()), createDefaultSettings());
+});
+
+test('settings round-trip through the URL encoding', () => {
+    const settings = createDefaultSettings();
+    settings.effect = 'pixelate';
+    settings.effectParams.ascii = { ...createEffectLayer('ascii').params, charset: 'katakana', customChars: 'äöü' };
+    settings.intensity = 42;
+    settings.grade.curves.r = [[0, 10], [128, 140], [255, 250]];
+    settings.accentColor = { r: 255, g: 64, b: 0 };
+    settings.layers = [{ ...createEffectLayer('edge'), opacity: 60, blend: 'screen' }];
+
+    const encoded = encodeSettings(settings);
+    assert.match(encoded, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(decodeSettings(encoded), settings);
+});
+
+test('out-of-range and unknown values are clamped or dropped', () => {
+    const settings = normalizeSettings({
+        effect: 'no-such-effect',
+        intensity: 500,
+        brightness: 'bright',
+        accentColor: { r: -20, g: 300, b: 12.6 },
+        faceRegion: 'everywhere',
+        effectParams: { pixelate: { size: 1000, bogus: 1 }, missing: {} },
+        mappings: [{ signal: 'tilt', target: 'nowhere' }, { signal: 'yaw', target: 'hue', curve: 'wobbly' }],
+        layers: Array.from({ length: 10 }, () => ({ effect: 'blur', blend: 'sparkle' })),
+        grade: { gamma: 1, curves: { r: [[300, 0], [300, 255]] } }
+    });
+
+    assert.equal(settings.effect, createDefaultSettings().effect);
+    assert.equal(settings.intensity, 100);
+    assert.equal(settings.brightness, 100);
+    assert.deepEqual(settings.accentColor, { r: 0, g: 255, b: 13 });
+    assert.equal(settings.faceRegion, 'full');
+    assert.equal(settings.effectParams.pixelate.size, 64);
+    assert.equal('bogus' in settings.effectParams.pixelate, false);
+    assert.equal('missing' in settings.effectParams, false);
+    assert.deepEqual(settings.mappings.map(mapping => [mapping.signal, mapping.curve]), [['yaw', 'linear']]);
+    assert.equal(settings.layers.length, MAX_EFFECT_LAYERS);
+    assert.equal(settings.layers[0].blend, 'normal');
+    assert.equal(settings.grade.gamma, 50);
+    assert.deepEqual(settings.grade.curves.r, [[0, 0], [255, 255]]);
+});
+
+test('gestures other than blink do nothing until an action is picked', () => {
+    const defaults = createDefaultSettings().gestureActions;
+    assert.equal(defaults.blink, 'invert');
+    assert.deepEqual(Object.keys(defaults).filter(gesture => defaults[gesture] !== 'none'), ['blink']);
+
+    // Older looks have no gesture actions; unknown gestures and actions are dropped
+    assert.deepEqual(normalizeSettings({ effect: 'edge' }).gestureActions, defaults);
+    const settings = normalizeSettings({
+        gestureActions: { 'double-blink': 'capture', 'wink-left': 'explode', 'nod': 'record' }
+    });
+    assert.deepEqual(settings.gestureActions, { ...defaults, 'double-blink': 'capture' });
+});
+
+test('undecodable strings give null', () => {
+    assert.equal(decodeSettings('%%%'), null);
+    // Valid base64url, but not JSON
+    assert.equal(decodeSettings(btoa('{').replace(/=+$/, '')), null);
+});
+
+test('presets may have any name and survive storage', () => {
+    const presets = new Map();
+    ['__proto__', 'constructor', 'toString', 'Night'].forEach((name, index) => {
+        presets.set(name, normalizeSettings({ effect: 'edge', intensity: index * 10 }));
+    });
+
+    const loaded = parsePresets(serializePresets(presets));
+    assert.deepEqual([...loaded.keys()], ['__proto__', 'constructor', 'toString', 'Night']);
+    assert.equal(loaded.get('__proto__').intensity, 0);
+    assert.equal(loaded.get('constructor').effect, 'edge');
+    assert.ok(Object.hasOwn(JSON.parse(serializePresets(loaded)), '__proto__'));
+
+    // Missing, corrupt or malformed storage gives no presets; bad entries are dropped
+    assert.equal(parsePresets(null).size, 0);
+    assert.equal(parsePresets('{').size, 0);
+    assert.equal(parsePresets('[1]').size, 0);
+    assert.deepEqual([...parsePresets('{"a":1,"b":{"intensity":5}}').keys()], ['b']);
+});
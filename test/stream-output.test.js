@@ -0,0 +1,103 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createLoopbackSignaling, createStreamSender, createStreamReceiver
+} from '../stream-output.js';
+
+// Just enough of RTCPeerConnection to run the offer/answer exchange: an
+// offer delivers a remote stream as soon as it is applied
+class FakePeerConnection {
+    constructor() {
+        this.tracks = [];
+        this.closed = false;
+        FakePeerConnection.created++;
+    }
+
+    addTrack(track) { this.tracks.push(track); }
+    async createOffer() { return { type: 'offer', sdp: `tracks:${this.tracks.length}` }; }
+    async createAnswer() { return { type: 'answer', sdp: 'answer' }; }
+
+    async setLocalDescription(description) {
+        this.localDescription = { ...description, toJSON: () => ({ ...description }) };
+    }
+
+    async setRemoteDescription(description) {
+        this.remoteDescription = description;
+        if (description.type === 'offer' && this.ontrack) this.ontrack({ streams: [{ id: description.sdp }] });
+    }
+
+    async addIceCandidate() {}
+    close() { this.closed = true; }
+}
+
+const stream = { getTracks: () => [{ kind: 'video' }] };
+
+// Lets queued signaling messages and promise chains run
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 20));
+}
+
+beforeEach(() => {
+    FakePeerConnection.created = 0;
+    globalThis.RTCPeerConnection = FakePeerConnection;
+});
+
+test('loopback signaling delivers copies to the other end only', async () => {
+    const [a, b] = createLoopbackSignaling();
+    const received = { a: [], b: [] };
+    a.onmessage = msg => received.a.push(msg);
+    b.onmessage = msg => received.b.push(msg);
+
+    const message = { type: 'join', from: 'x' };
+    a.send(message);
+    assert.deepEqual(received.b, []);
+    await settle();
+    assert.deepEqual(received.b, [message]);
+    assert.notEqual(received.b[0], message);
+    assert.deepEqual(received.a, []);
+
+    b.close();
+    a.send(message);
+    await settle();
+    assert.equal(received.b.length, 1);
+});
+
+test('a receiver gets the sender stream through one connection each', async () => {
+    const [senderEnd, receiverEnd] = createLoopbackSignaling();
+    const counts = [];
+    const sender = createStreamSender(stream, senderEnd, { onPeersChange: count => counts.push(count) });
+    const streams = [];
+    createStreamReceiver(receiverEnd, { onStream: remote => streams.push(remote) });
+    await settle();
+
+    // The receiver both joined and answered 'ready', but only one offer is made
+    assert.equal(sender.peerCount, 1);
+    assert.equal(FakePeerConnection.created, 2);
+    assert.deepEqual(streams, [{ id: 'tracks:1' }]);
+    assert.deepEqual(counts, [1]);
+});
+
+test('closing the sender ends the receiver', async () => {
+    const [senderEnd, receiverEnd] = createLoopbackSignaling();
+    const sender = createStreamSender(stream, senderEnd);
+    let closed = 0;
+    createStreamReceiver(receiverEnd, { onClose: () => closed++ });
+    await settle();
+
+    sender.close();
+    await settle();
+    assert.equal(sender.peerCount, 0);
+    assert.equal(closed, 1);
+});
+
+test('closing a receiver frees its connection on the sender', async () => {
+    const [senderEnd, receiverEnd] = createLoopbackSignaling();
+    const sender = createStreamSender(stream, senderEnd);
+    const receiver = createStreamReceiver(receiverEnd);
+    await settle();
+    assert.equal(sender.peerCount, 1);
+
+    receiver.close();
+    await settle();
+    assert.equal(sender.peerCount, 0);
+});
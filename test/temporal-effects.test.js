@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestImage, assertMatchesGolden } from './helpers.js';
+import { getEffect, getDefaultParams } from '../effects.js';
+import { createFrameHistory } from '../frame-history.js';
+import '../temporal-effects.js';
+
+// The test image scrolled left by `shift` pixels, so every frame differs
+function createMovingFrame(shift) {
+    const source = createTestImage();
+    const imageData = createTestImage();
+    const { width, height } = source;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const from = (y * width + (x + shift) % width) * 4;
+            imageData.data.set(source.data.subarray(from, from + 4), (y * width + x) * 4);
+        }
+    }
+    return imageData;
+}
+
+// Runs an effect over `count` frames the way the pipeline does and returns
+// the last result; `runs` repeats it each frame like face regions and layers
+function runTemporalEffect(name, params, count = 12, runs = 1) {
+    const effect = getEffect(name);
+    const history = createFrameHistory();
+    const values = { ...getDefaultParams(effect), ...params };
+    let result = null;
+    for (let i = 0; i < count; i++) {
+        const imageData = createMovingFrame(i * 2);
+        history.begin(effect.history(values), imageData.width, imageData.height);
+        history.record(imageData);
+        const frame = {
+            width: imageData.width,
+            height: imageData.height,
+            intensity: 100,
+            accentColor: { r: 255, g: 64, b: 0 },
+            history
+        };
+        for (let run = 0; run < runs; run++) {
+            const input = new ImageData(new Uint8ClampedArray(imageData.data), imageData.width, imageData.height);
+            result = effect.apply(input, values, frame) || input;
+        }
+    }
+    return result;
+}
+
+test('the frame history returns past frames and clamps to the oldest', () => {
+    const history = createFrameHistory();
+    for (let i = 0; i < 5; i++) {
+        history.begin(2, 1, 1);
+        history.record(new ImageData(new Uint8ClampedArray([i, 0, 0, 255]), 1, 1));
+        // A second record in the same frame is ignored
+        history.record(new ImageData(new Uint8ClampedArray([99, 0, 0, 255]), 1, 1));
+    }
+    assert.equal(history.length, 3);
+    assert.equal(history.get(0)[0], 4);
+    assert.equal(history.get(2)[0], 2);
+    assert.equal(history.get(10)[0], 2);
+});
+
+test('the frame history starts over when the size changes', () => {
+    const history = createFrameHistory();
+    history.begin(3, 2, 2);
+    history.record(new ImageData(2, 2));
+    history.getState('effect').value = 1;
+    history.begin(3, 4, 4);
+    assert.equal(history.length, 0);
+    assert.deepEqual(history.getState('effect'), {});
+});
+
+for (const name of ['echo', 'motion', 'slitscan', 'timewarp']) {
+    test(`${name} matches its golden image`, () => {
+        assertMatchesGolden(runTemporalEffect(name), name);
+    });
+}
+
+test('datamosh without refresh matches its golden image', () => {
+    assertMatchesGolden(runTemporalEffect('datamosh', { refresh: 0, blockSize: 8 }), 'datamosh');
+});
+
+test('datamosh advances once per frame however often it runs', () => {
+    const params = { refresh: 0, blockSize: 8 };
+    assert.deepEqual(runTemporalEffect('datamosh', params, 12, 3).data, runTemporalEffect('datamosh', params).data);
+});
+
+test('motion shows nothing when the scene is still', () => {
+    const effect = getEffect('motion');
+    const history = createFrameHistory();
+    const params = getDefaultParams(effect);
+    let result;
+    for (let i = 0; i < 3; i++) {
+        const imageData = createTestImage();
+        history.begin(effect.history(params), imageData.width, imageData.height);
+        history.record(imageData);
+        result = effect.apply(imageData, params, { intensity: 100, accentColor: { r: 255, g: 255, b: 255 }, history });
+    }
+    assert.ok(result.data.every((value, i) => i % 4 === 3 || value === 0));
+});
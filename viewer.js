@@ -0,0 +1,22 @@
+// Viewer
+// Joins a camera tab that is sharing its output and shows the stream. Uses
+// the same-origin signaling stand-in, so it only sees tabs of this origin.
+
+import { createBroadcastSignaling, createStreamReceiver } from './stream-output.js';
+
+const video = document.getElementById('viewer-video');
+const status = document.getElementById('viewer-status');
+
+const receiver = createStreamReceiver(createBroadcastSignaling(), {
+    onStream: stream => {
+        video.srcObject = stream;
+        status.hidden = true;
+    },
+    onClose: () => {
+        video.srcObject = null;
+        status.textContent = 'The camera tab stopped sharing';
+        status.hidden = false;
+    }
+});
+
+window.addEventListener('pagehide', () => receiver.close());